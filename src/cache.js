@@ -0,0 +1,212 @@
+/***********************************
+ * File: src/cache.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// Where the cache lives, relative to a node_modules directory, as other build tools do.
+const CACHE_DIR = path.join('.cache', 'gitverdiff')
+const CACHE_FILE = 'digests.json'
+
+// Format of the cache file. Files in another format are ignored, and replaced on the next write.
+const CACHE_FORMAT = 1
+
+// Maximum number of entries kept in the cache file: the least recently stored are dropped first.
+const MAX_ENTRIES = 50000
+
+/**
+ * Lists the node_modules directories the cache may live in: those of packageRoot and of each
+ * parent directory up to gitRoot, nearest first.
+ *
+ * @param {string} packageRoot The package root directory.
+ * @param {string} gitRoot     The Git root directory.
+ * @returns {string[]}         Absolute paths, whether they exist or not.
+ */
+function listNodeModulesDirs (packageRoot, gitRoot) {
+  const dirs = []
+  let dir = packageRoot
+  while (!path.relative(gitRoot, dir).startsWith('..')) {
+    dirs.push(path.join(dir, 'node_modules'))
+    if (dir === gitRoot || path.dirname(dir) === dir) break
+    dir = path.dirname(dir)
+  }
+  return dirs
+}
+
+/**
+ * Reads the entries of a cache file. A missing, partial or foreign file gives no entries.
+ *
+ * @param {string|null} content The contents of the cache file, or null if it does not exist.
+ * @returns {Map<string, { key: string, digest: string }>} The entries, by absolute path.
+ */
+function parseEntries (content) {
+  const entries = new Map()
+  let data = null
+  try {
+    data = JSON.parse(content)
+  } catch (error) {
+    return entries
+  }
+  if (!data || data.format !== CACHE_FORMAT || !data.entries || typeof data.entries !== 'object') return entries
+  for (const [filePath, entry] of Object.entries(data.entries)) {
+    if (Array.isArray(entry) && typeof entry[0] === 'string' && typeof entry[1] === 'string') {
+      entries.set(filePath, { key: entry[0], digest: entry[1] })
+    }
+  }
+  return entries
+}
+
+/**
+ * Renders a cache file: the entries read back from it (possibly written by another process since
+ * this one opened it), with the entries stored by this process moved last, so that the least
+ * recently stored entries are the ones dropped beyond MAX_ENTRIES.
+ *
+ * @param {string|null} current    The current contents of the cache file.
+ * @param {Map} stored             The entries stored by this process.
+ * @returns {string}
+ */
+function renderEntries (current, stored) {
+  const entries = parseEntries(current)
+  for (const [filePath, entry] of stored) {
+    entries.delete(filePath)
+    entries.set(filePath, entry)
+  }
+  const kept = [...entries].slice(-MAX_ENTRIES)
+  return JSON.stringify({ format: CACHE_FORMAT, entries: Object.fromEntries(kept.map(([filePath, { key, digest }]) => [filePath, [key, digest]])) })
+}
+
+/**
+ * Creates a digest cache, as used by hashFiles: entries { key, digest } by absolute path.
+ *
+ * @param {string} dir     The cache directory.
+ * @param {Map} entries    The entries read from the cache file.
+ * @returns {{ dir: string, file: string, get: function(string): object, set: function(string, object): void,
+ *             stored: Map }} The cache; `stored` holds the entries set since it was opened.
+ */
+function createDigestCache (dir, entries) {
+  const stored = new Map()
+  return {
+    dir,
+    file: path.join(dir, CACHE_FILE),
+    stored,
+    get: filePath => entries.get(filePath),
+    set (filePath, entry) {
+      entries.set(filePath, entry)
+      stored.set(filePath, entry)
+    }
+  }
+}
+
+/**
+ * Gives the name of a temporary file next to the cache file, unique to this write.
+ *
+ * @param {string} file The cache file.
+ * @returns {string}
+ */
+function toTemporaryFile (file) {
+  return `${file}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`
+}
+
+/**
+ * Opens the digest cache of a package: node_modules/.cache/gitverdiff in the nearest directory
+ * from packageRoot up to gitRoot that has a node_modules directory. Without one, there is no
+ * cache, so that none is created in projects that do not install packages.
+ *
+ * @param {string} packageRoot The package root directory.
+ * @param {string} gitRoot     The Git root directory.
+ * @returns {object|null}      The cache (see createDigestCache), or null.
+ */
+function openDigestCache (packageRoot, gitRoot) {
+  const nodeModules = listNodeModulesDirs(packageRoot, gitRoot).find(dir => fs.existsSync(dir))
+  if (!nodeModules) return null
+  const dir = path.join(nodeModules, CACHE_DIR)
+  let content = null
+  try {
+    content = fs.readFileSync(path.join(dir, CACHE_FILE), 'utf8')
+  } catch (error) {
+    // No cache yet.
+  }
+  return createDigestCache(dir, parseEntries(content))
+}
+
+/**
+ * Asynchronous variant of openDigestCache.
+ *
+ * @param {string} packageRoot The package root directory.
+ * @param {string} gitRoot     The Git root directory.
+ * @returns {Promise<object|null>} The cache, or null.
+ */
+async function openDigestCacheAsync (packageRoot, gitRoot) {
+  for (const nodeModules of listNodeModulesDirs(packageRoot, gitRoot)) {
+    try {
+      await fs.promises.access(nodeModules)
+    } catch (error) {
+      continue
+    }
+    const dir = path.join(nodeModules, CACHE_DIR)
+    const content = await fs.promises.readFile(path.join(dir, CACHE_FILE), 'utf8').catch(() => null)
+    return createDigestCache(dir, parseEntries(content))
+  }
+  return null
+}
+
+/**
+ * Writes the entries stored in a digest cache to its file, if any. Concurrent invocations are
+ * safe: the file is merged with its current contents, and replaced at once by renaming a
+ * temporary file, so that readers never see a partial file and a lost race only costs a rehash.
+ * The cache is an optimization, so failures to write it are ignored.
+ *
+ * @param {object} cache As returned by openDigestCache.
+ */
+function saveDigestCache (cache) {
+  if (!cache.stored.size) return
+  const temporaryFile = toTemporaryFile(cache.file)
+  try {
+    fs.mkdirSync(cache.dir, { recursive: true })
+    let current = null
+    try {
+      current = fs.readFileSync(cache.file, 'utf8')
+    } catch (error) {
+      // No cache yet.
+    }
+    fs.writeFileSync(temporaryFile, renderEntries(current, cache.stored))
+    fs.renameSync(temporaryFile, cache.file)
+    cache.stored.clear()
+  } catch (error) {
+    try {
+      fs.rmSync(temporaryFile, { force: true })
+    } catch (removeError) {
+      // The cache is optional: nothing more to do.
+    }
+  }
+}
+
+/**
+ * Asynchronous variant of saveDigestCache.
+ *
+ * @param {object} cache As returned by openDigestCacheAsync.
+ * @returns {Promise<void>}
+ */
+async function saveDigestCacheAsync (cache) {
+  if (!cache.stored.size) return
+  const temporaryFile = toTemporaryFile(cache.file)
+  try {
+    await fs.promises.mkdir(cache.dir, { recursive: true })
+    const current = await fs.promises.readFile(cache.file, 'utf8').catch(() => null)
+    await fs.promises.writeFile(temporaryFile, renderEntries(current, cache.stored))
+    await fs.promises.rename(temporaryFile, cache.file)
+    cache.stored.clear()
+  } catch (error) {
+    await fs.promises.rm(temporaryFile, { force: true }).catch(() => {})
+  }
+}
+
+module.exports = {
+  openDigestCache,
+  openDigestCacheAsync,
+  saveDigestCache,
+  saveDigestCacheAsync
+}
@@ -0,0 +1,112 @@
+/***********************************
+ * File: src/ci.js
+ ***********************************/
+
+'use strict'
+
+/**
+ * Removes a prefix from a value, if present.
+ *
+ * @param {string} value  The value.
+ * @param {string} prefix The prefix.
+ * @returns {string}
+ */
+function stripPrefix (value, prefix) {
+  return value.startsWith(prefix) ? value.slice(prefix.length) : value
+}
+
+/**
+ * Extracts the pull request number from a ref like "refs/pull/123/merge".
+ *
+ * @param {string} [ref] The ref.
+ * @returns {string}     The number, or ''.
+ */
+function pullRequestFromRef (ref) {
+  const match = /^refs\/pull\/(\d+)\//.exec(ref || '')
+  return match ? match[1] : ''
+}
+
+// CI providers, in detection order. `detect` tells whether the environment is theirs; `read`
+// returns the branch (the source branch for pull requests), the pull request number and the build id.
+const CI_PROVIDERS = [
+  {
+    name: 'github-actions',
+    detect: env => env.GITHUB_ACTIONS === 'true',
+    read: env => ({
+      branch: env.GITHUB_HEAD_REF ||
+        (env.GITHUB_REF && env.GITHUB_REF.startsWith('refs/heads/') ? stripPrefix(env.GITHUB_REF, 'refs/heads/') : ''),
+      pullRequest: pullRequestFromRef(env.GITHUB_REF),
+      build: env.GITHUB_RUN_ID
+    })
+  },
+  {
+    name: 'gitlab-ci',
+    detect: env => env.GITLAB_CI === 'true',
+    read: env => ({
+      branch: env.CI_MERGE_REQUEST_SOURCE_BRANCH_NAME || env.CI_COMMIT_BRANCH,
+      pullRequest: env.CI_MERGE_REQUEST_IID,
+      build: env.CI_PIPELINE_ID
+    })
+  },
+  {
+    name: 'circleci',
+    detect: env => env.CIRCLECI === 'true',
+    read: env => ({
+      branch: env.CIRCLE_BRANCH,
+      // CIRCLE_PULL_REQUEST is the URL of the pull request, ending with its number.
+      pullRequest: env.CIRCLE_PR_NUMBER || ((/\/(\d+)$/.exec(env.CIRCLE_PULL_REQUEST || '') || [])[1]),
+      build: env.CIRCLE_BUILD_NUM
+    })
+  },
+  {
+    name: 'jenkins',
+    detect: env => Boolean(env.JENKINS_URL && env.BUILD_ID),
+    read: env => ({
+      // CHANGE_* variables are set for pull requests in multibranch pipelines.
+      branch: env.CHANGE_BRANCH || env.BRANCH_NAME || stripPrefix(env.GIT_BRANCH || '', 'origin/'),
+      pullRequest: env.CHANGE_ID,
+      build: env.BUILD_NUMBER
+    })
+  },
+  {
+    name: 'buildkite',
+    detect: env => env.BUILDKITE === 'true',
+    read: env => ({
+      branch: env.BUILDKITE_BRANCH,
+      // BUILDKITE_PULL_REQUEST is "false" for builds outside pull requests.
+      pullRequest: env.BUILDKITE_PULL_REQUEST === 'false' ? '' : env.BUILDKITE_PULL_REQUEST,
+      build: env.BUILDKITE_BUILD_NUMBER
+    })
+  },
+  {
+    name: 'azure-pipelines',
+    detect: env => env.TF_BUILD === 'True',
+    read: env => ({
+      branch: stripPrefix(env.SYSTEM_PULLREQUEST_SOURCEBRANCH ||
+        (pullRequestFromRef(env.BUILD_SOURCEBRANCH) ? '' : env.BUILD_SOURCEBRANCH || ''), 'refs/heads/'),
+      pullRequest: env.SYSTEM_PULLREQUEST_PULLREQUESTNUMBER || env.SYSTEM_PULLREQUEST_PULLREQUESTID,
+      build: env.BUILD_BUILDID
+    })
+  }
+]
+
+/**
+ * Detects the CI provider running the process and reads the build metadata it provides.
+ *
+ * @param {object} [env] The environment variables (defaults to process.env).
+ * @returns {{ provider: string, branch: string, pullRequest: string, build: string }|null}
+ *                       The provider name ("github-actions", "gitlab-ci", "circleci", "jenkins",
+ *                       "buildkite" or "azure-pipelines") and its metadata ('' when unknown), or
+ *                       null outside CI.
+ */
+function detectCI (env = process.env) {
+  const provider = CI_PROVIDERS.find(candidate => candidate.detect(env))
+  if (!provider) return null
+  const { branch, pullRequest, build } = provider.read(env)
+  return { provider: provider.name, branch: branch || '', pullRequest: pullRequest || '', build: build || '' }
+}
+
+module.exports = {
+  CI_PROVIDERS,
+  detectCI
+}
@@ -0,0 +1,492 @@
+/***********************************
+ * File: src/cli.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { parseArgs } = require('util')
+const { DEFAULT_FORMAT, emitVersion, generateVersionInfo, generateWorkspaceVersions, watchVersion } = require('./index')
+const { explainVersion } = require('./explain')
+const { quoteEnvValue, toEnvVariables } = require('./env')
+const { DEFAULT_MANIFEST, DEFAULT_REWRITE, DEFAULT_TEMPLATE, stampFiles } = require('./stamp')
+const { DEFAULT_DEBOUNCE } = require('./watch')
+
+// Read package version from package.json
+const packageVersion = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')).version
+
+// Provide help text for the available format tokens
+const FORMAT_TOKENS_HELP = `
+Available format tokens:
+  - package-version: The version from package.json.
+  - branch: The current Git branch name.
+  - short-commit-sha: The first 7 characters of the commit hash.
+  - commit-sha: The full commit hash.
+  - diff-hash: The SHA256 hash of the diff (modified files).
+  - tree-hash: The SHA256 hash of the committed files matching the include/ignore patterns,
+               plus the diff. Only changes when those files change.
+  - deps-hash: The SHA256 hash of the lockfile entries (pnpm, npm or Yarn) of the package's
+               dependencies, transitively. Only changes when those dependencies change.
+  - ci-build: The build id of the CI provider (GitHub Actions, GitLab CI, CircleCI, Jenkins,
+              Buildkite or Azure Pipelines).
+  - tag: The nearest tag reachable from the commit.
+  - describe: The output of \`git describe --tags --always\`, e.g. v1.2.0-3-g1a2b3c4.
+  - commit-count: The number of commits since the nearest tag (or since the first commit).
+  - commit-date: The commit date as an ISO 8601 UTC timestamp; use {commit-date|epoch} for seconds.
+  - author: The name of the commit author.
+  - build-date: The current date as an ISO 8601 UTC timestamp (SOURCE_DATE_EPOCH if set).
+  - dirty: "dirty" when files matching the include/ignore patterns (or, with --dependencies, files of
+           workspace dependencies) are modified, otherwise empty.
+
+Custom tokens can be added with a module named by "gitverdiff.tokens" in package.json.
+
+Default format: package-version, branch, short-commit-sha, diff-hash.
+
+Templates: any format containing "{" is a template, e.g. "v{package-version}+{branch|slug}.{diff-hash:12}".
+  {token:N}              Keep the first N characters.
+  {token|lower}          Lowercase; also |upper.
+  {token|slug}           Lowercase, with anything but letters and digits turned into "-".
+  {token|default:text}   Use "text" when the token is empty (e.g. no branch on a detached HEAD).
+  {date|epoch}           Seconds since the Unix epoch; |compact keeps the digits only (20240501123000).
+  {{ and }}              Literal braces.
+Text between tokens is kept as-is and the separator is not used. In comma-separated lists,
+tokens accept the same ":N" and "|modifier" suffixes, and package-version gets a "v" prefix.
+`
+
+// Raised for invalid command lines; the usage of the command is printed along with it.
+class UsageError extends Error {}
+
+// Options selecting the files and configuration, shared by every command. `value` names the
+// argument in help texts; options without one are boolean flags.
+const SELECTION_OPTIONS = {
+  include: { type: 'string', multiple: true, value: 'pattern', help: 'Glob pattern to include files; repeatable. Also accepted as arguments.' },
+  ignore: { type: 'string', multiple: true, value: 'pattern', help: 'Glob pattern to exclude files; repeatable.' },
+  'package-root': { type: 'string', value: 'dir', help: 'Directory of the package (default: the current directory).' },
+  profile: { type: 'string', value: 'name', help: 'Apply a profile of the configuration file (.gitverdiffrc.json, ...).' },
+  merge: {
+    type: 'string',
+    value: 'strategy',
+    help: 'How include and ignore patterns of the command line and configuration layers combine:\nreplace (default; the nearest wins), append or extend (append without duplicates).'
+  },
+  since: {
+    type: 'string',
+    value: 'ref',
+    help: 'Hash every change since the merge base of <ref> and HEAD (committed, staged, unstaged\nand untracked) instead of only working tree changes.'
+  },
+  dependencies: {
+    type: 'boolean',
+    help: 'Include the changes of the workspace packages this one depends on, transitively.'
+  },
+  'hash-scheme': {
+    type: 'string',
+    value: 'scheme',
+    help: 'Diff hash scheme: v2 (default) frames each file with its path, status and mode;\nv1 hashes raw contents only, as gitverdiff 1.x did.'
+  },
+  'no-cache': {
+    type: 'boolean',
+    help: 'Read and hash every modified file, instead of reusing the digests cached in\nnode_modules/.cache/gitverdiff for files whose stats are unchanged.'
+  }
+}
+
+// Options shaping the version string.
+const FORMAT_OPTIONS = {
+  format: {
+    type: 'string',
+    value: 'format',
+    help: 'Comma-separated list of format tokens, or a template, to compose the version hash.\n' + FORMAT_TOKENS_HELP.trim()
+  },
+  separator: { type: 'string', value: 'sep', help: 'Separator string used to join tokens (default: \'-\').' },
+  semver: { type: 'boolean', help: 'Print a SemVer 2.0 version, <version>-<branch>.g<short sha>+<diff hash>,\ninstead of using the format and separator.' },
+  target: {
+    type: 'string',
+    value: 'profile',
+    help: 'Make the output valid where it is used: filename, docker, npm, url, k8s-label\nor env. Each profile has its own characters, case and maximum length; long\noutputs are truncated and end with a short hash of the full output.'
+  }
+}
+
+const JSON_OPTION = {
+  json: { type: 'boolean', help: 'Print the result as JSON.' }
+}
+
+const HELP_OPTION = {
+  help: { type: 'boolean', short: 'h', help: 'Show this help message.' }
+}
+
+/**
+ * Builds the options passed to generateVersionInfo from parsed CLI values.
+ *
+ * @param {object} values        Option values from parseArgs.
+ * @param {string[]} includes    Include patterns given as arguments.
+ * @param {string} cwd           The working directory.
+ * @returns {object}
+ */
+function toVersionOptions (values, includes, cwd) {
+  return {
+    packageRoot: path.resolve(cwd, values['package-root'] || process.env.GITVERDIFF_PACKAGE_ROOT || '.'),
+    include: [...(values.include || []), ...includes],
+    ignore: values.ignore || [],
+    format: values.format,
+    separator: values.separator,
+    hashScheme: values['hash-scheme'],
+    since: values.since,
+    semver: values.semver,
+    target: values.target,
+    profile: values.profile,
+    merge: values.merge,
+    dependencies: values.dependencies,
+    cache: values['no-cache'] ? false : undefined
+  }
+}
+
+// The commands. `usage` and `summary` feed the help texts; `run` receives the parsed values and
+// positionals and an output object, and returns the exit code (a promise of it for long-running commands).
+const COMMANDS = {
+  hash: {
+    usage: 'gitverdiff [hash] [include patterns...] [options]',
+    summary: 'Print the version hash (the default command).',
+    options: { ...SELECTION_OPTIONS, ...FORMAT_OPTIONS, ...JSON_OPTION },
+    run (values, positionals, { cwd, stdout }) {
+      const info = generateVersionInfo(toVersionOptions(values, positionals, cwd))
+      stdout(values.json ? JSON.stringify(info, null, 2) : info.version)
+      return 0
+    }
+  },
+  explain: {
+    usage: 'gitverdiff explain [include patterns...] [options]',
+    summary: 'Show where each setting came from, and whether each changed file was included\nor ignored and by which pattern.',
+    options: { ...SELECTION_OPTIONS, ...FORMAT_OPTIONS, ...JSON_OPTION },
+    run (values, positionals, { cwd, stdout }) {
+      const info = generateVersionInfo(toVersionOptions(values, positionals, cwd))
+      stdout(values.json ? JSON.stringify(info, null, 2) : explainVersion(info))
+      return 0
+    }
+  },
+  files: {
+    usage: 'gitverdiff files [include patterns...] [options]',
+    summary: 'List the changed files that go into the diff hash, with their status.',
+    options: { ...SELECTION_OPTIONS, ...JSON_OPTION },
+    run (values, positionals, { cwd, stdout }) {
+      const { files } = generateVersionInfo(toVersionOptions(values, positionals, cwd))
+      if (values.json) {
+        stdout(JSON.stringify(files, null, 2))
+      } else if (files.length) {
+        stdout(files.map(file => `${file.status.padEnd(11)}${file.path}`).join('\n'))
+      }
+      return 0
+    }
+  },
+  env: {
+    usage: 'gitverdiff env [include patterns...] [options]',
+    summary: 'Print the version and its components as GITVERDIFF_VERSION, GITVERDIFF_PACKAGE_VERSION,\n' +
+      'GITVERDIFF_BRANCH, GITVERDIFF_COMMIT, GITVERDIFF_SHORT_COMMIT, GITVERDIFF_DIFF_HASH and\n' +
+      'GITVERDIFF_DIRTY environment variables, e.g. for `gitverdiff env >> "$GITHUB_ENV"`\n' +
+      'or `eval "$(gitverdiff env --export)"`.',
+    options: {
+      ...SELECTION_OPTIONS,
+      ...FORMAT_OPTIONS,
+      export: { type: 'boolean', help: 'Prefix each line with "export ", for shells.' },
+      ...JSON_OPTION
+    },
+    run (values, positionals, { cwd, stdout }) {
+      const info = generateVersionInfo(toVersionOptions(values, positionals, cwd))
+      const variables = toEnvVariables(info)
+      stdout(values.json
+        ? JSON.stringify(variables, null, 2)
+        : Object.entries(variables)
+          .map(([name, value]) => `${values.export ? 'export ' : ''}${name}=${quoteEnvValue(value)}`)
+          .join('\n'))
+      return 0
+    }
+  },
+  verify: {
+    usage: 'gitverdiff verify <expected version> [include patterns...] [options]',
+    summary: 'Check that the current version is the expected one, e.g. that an artifact was built\nfrom the current state. Exits with status 1 when it is not.',
+    options: { ...SELECTION_OPTIONS, ...FORMAT_OPTIONS },
+    run (values, [expected, ...positionals], { cwd, stdout, stderr }) {
+      if (expected === undefined) {
+        throw new UsageError('Missing the expected version')
+      }
+      const { version } = generateVersionInfo(toVersionOptions(values, positionals, cwd))
+      if (version !== expected) {
+        stderr(`Version mismatch: expected ${expected}, got ${version}`)
+        return 1
+      }
+      stdout(`Version matches: ${version}`)
+      return 0
+    }
+  },
+  workspaces: {
+    usage: 'gitverdiff workspaces [include patterns...] [options]',
+    summary: 'Print the version of every package of the pnpm, npm or Yarn workspace, computed from\na single Git scan. Options apply to every package.',
+    options: { ...SELECTION_OPTIONS, ...FORMAT_OPTIONS, ...JSON_OPTION },
+    run (values, positionals, { cwd, stdout }) {
+      const versions = generateWorkspaceVersions(toVersionOptions(values, positionals, cwd))
+      const names = Object.keys(versions)
+      if (values.json) {
+        stdout(JSON.stringify(versions, null, 2))
+      } else if (names.length) {
+        const width = Math.max(...names.map(name => name.length))
+        stdout(names.map(name => `${name.padEnd(width)}  ${versions[name]}`).join('\n'))
+      }
+      return 0
+    }
+  },
+  watch: {
+    usage: 'gitverdiff watch [include patterns...] [options]',
+    summary: 'Print the version, then each new version as files change, until interrupted. Changes\n' +
+      'to the working tree, HEAD, the index and the branch are debounced, and only the changed\n' +
+      'files are hashed again.',
+    options: {
+      ...SELECTION_OPTIONS,
+      ...FORMAT_OPTIONS,
+      debounce: { type: 'string', value: 'ms', help: `Milliseconds to wait for changes to settle (default: ${DEFAULT_DEBOUNCE}).` },
+      json: { type: 'boolean', help: 'Print each version info as a line of JSON.' }
+    },
+    run (values, positionals, { cwd, stdout, stderr, signal }) {
+      const debounce = values.debounce === undefined ? DEFAULT_DEBOUNCE : Number(values.debounce)
+      if (!Number.isInteger(debounce) || debounce < 0) {
+        throw new UsageError(`Invalid debounce: ${values.debounce} (expected a number of milliseconds)`)
+      }
+      let exitCode = 0
+      const watcher = watchVersion({ ...toVersionOptions(values, positionals, cwd), debounce, signal }, info => {
+        stdout(values.json ? JSON.stringify(info) : info.version)
+      })
+      watcher.on('error', error => {
+        stderr(`Error: ${error.message}`)
+        // Without a first version there is nothing to watch; later errors are retried on the next change.
+        if (!watcher.info) {
+          exitCode = 1
+          watcher.close()
+        }
+      })
+      // The command ends once the watcher is closed and its last computation is over.
+      return new Promise(resolve => watcher.once('close', resolve))
+        .then(() => watcher.close())
+        .then(() => exitCode)
+    }
+  },
+  emit: {
+    usage: 'gitverdiff emit [outputs...] [options]',
+    summary: 'Write the version and its components to outputs: dotenv, json, esm, cjs, ts,\n' +
+      'package-json or git-note, each optionally followed by ":" and its file (relative to\n' +
+      'the package root), package.json field or notes ref, e.g. dotenv or ts:src/version.ts.\n' +
+      'Without outputs, those of the "outputs" setting are written. Files already holding the\n' +
+      'version are left untouched. Set "outputs" for the other commands to leave them out too.',
+    options: { ...SELECTION_OPTIONS, ...FORMAT_OPTIONS, ...JSON_OPTION },
+    run (values, outputs, { cwd, stdout }) {
+      const result = emitVersion({ ...toVersionOptions(values, [], cwd), outputs })
+      if (values.json) {
+        stdout(JSON.stringify({ version: result.info.version, outputs: result.outputs }, null, 2))
+        return 0
+      }
+      stdout(result.outputs.map(output => {
+        const target = output.type === 'git-note' ? `refs/notes/${output.ref}` : path.relative(cwd, output.path)
+        return `${output.changed ? 'updated  ' : 'unchanged'}  ${target}`
+      }).join('\n'))
+      return 0
+    }
+  },
+  stamp: {
+    usage: 'gitverdiff stamp <file patterns...> [options]',
+    summary: 'Copy build artifacts to names embedding the version (app.js to app.<version>.js),\n' +
+      'write a manifest mapping the original names to the stamped ones and rewrite the\n' +
+      'references in HTML and CSS files. Patterns are relative to --dir; the version uses\n' +
+      'the filename target unless --target is given.',
+    options: {
+      ...SELECTION_OPTIONS,
+      ...FORMAT_OPTIONS,
+      dir: { type: 'string', value: 'dir', help: 'Directory of the artifacts (default: the current directory).' },
+      rename: { type: 'boolean', help: 'Rename the files instead of copying them.' },
+      template: { type: 'string', value: 'template', help: `Name of the stamped files, with [name], [version] and [ext]\n(default: ${DEFAULT_TEMPLATE}).` },
+      manifest: { type: 'string', value: 'file', help: `Path of the manifest, relative to --dir (default: ${DEFAULT_MANIFEST}).` },
+      rewrite: {
+        type: 'string',
+        multiple: true,
+        value: 'pattern',
+        help: `Glob pattern of the files whose references are rewritten; repeatable\n(default: ${DEFAULT_REWRITE.join(', ')}).`
+      },
+      'dry-run': { type: 'boolean', help: 'Print what would be done, without changing any file.' },
+      ...JSON_OPTION
+    },
+    run (values, patterns, { cwd, stdout }) {
+      if (!patterns.length) {
+        throw new UsageError('Missing the patterns of the files to stamp')
+      }
+      const { version } = generateVersionInfo({ ...toVersionOptions(values, [], cwd), target: values.target || 'filename' })
+      const dir = path.resolve(cwd, values.dir || '.')
+      const plan = stampFiles(version, patterns, {
+        dir,
+        template: values.template,
+        rename: values.rename,
+        manifest: values.manifest,
+        rewrite: values.rewrite,
+        dryRun: values['dry-run']
+      })
+      if (values.json) {
+        const { files, rewrites, manifest } = plan
+        stdout(JSON.stringify({ version, files, rewrites: rewrites.map(({ file, count }) => ({ file, count })), manifest: manifest.path }, null, 2))
+        return 0
+      }
+      const show = file => path.relative(cwd, path.join(dir, file))
+      const lines = [
+        ...plan.files.map(({ from, to }) => `${plan.mode.padEnd(7)}  ${show(from)} -> ${show(to)}`),
+        ...plan.rewrites.map(({ file, count }) => `rewrite  ${show(file)} (${count} reference${count === 1 ? '' : 's'})`),
+        `write    ${show(plan.manifest.path)}`
+      ]
+      if (values['dry-run']) lines.push('Dry run: no file was changed.')
+      stdout(lines.join('\n'))
+      return 0
+    }
+  },
+  init: {
+    usage: 'gitverdiff init [include patterns...] [options]',
+    summary: 'Add a "gitverdiff" section to package.json, with the given include patterns, ignore\npatterns, format and separator, or the defaults.',
+    options: {
+      include: SELECTION_OPTIONS.include,
+      ignore: SELECTION_OPTIONS.ignore,
+      'package-root': SELECTION_OPTIONS['package-root'],
+      format: FORMAT_OPTIONS.format,
+      separator: FORMAT_OPTIONS.separator,
+      force: { type: 'boolean', help: 'Replace an existing "gitverdiff" section.' }
+    },
+    run (values, positionals, { cwd, stdout }) {
+      const { packageRoot, include, ignore, format, separator } = toVersionOptions(values, positionals, cwd)
+      const packageJsonPath = path.join(packageRoot, 'package.json')
+      if (!fs.existsSync(packageJsonPath)) {
+        throw new Error(`No package.json in ${packageRoot}`)
+      }
+      const text = fs.readFileSync(packageJsonPath, 'utf8')
+      const packageJson = JSON.parse(text)
+      if (packageJson.gitverdiff && !values.force) {
+        throw new Error(`${packageJsonPath} already has a "gitverdiff" section; use --force to replace it`)
+      }
+      packageJson.gitverdiff = {
+        include: include.length ? include : ['**/*'],
+        ignore,
+        format: format || DEFAULT_FORMAT.join(','),
+        separator: separator || '-'
+      }
+      // Keep the file's indentation.
+      const indent = (/^[ \t]+/m.exec(text) || ['  '])[0]
+      fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, indent) + '\n')
+      stdout(`Added a "gitverdiff" section to ${packageJsonPath}`)
+      return 0
+    }
+  }
+}
+
+/**
+ * Formats the help of a set of options, e.g. `  --ignore <pattern>      Glob pattern...`.
+ *
+ * @param {object} options Option definitions, as in COMMANDS.
+ * @returns {string}
+ */
+function formatOptionsHelp (options) {
+  const column = 26
+  return Object.entries(options).map(([name, option]) => {
+    const flag = `${option.short ? `-${option.short}, ` : ''}--${name}${option.value ? ` <${option.value}>` : ''}`
+    const help = option.help.split('\n').join('\n' + ' '.repeat(column))
+    return flag.length < column - 3
+      ? `  ${flag.padEnd(column - 2)}${help}`
+      : `  ${flag}\n${' '.repeat(column)}${help}`
+  }).join('\n')
+}
+
+/**
+ * Builds the help text of a command, or the overall help text without one.
+ *
+ * @param {string} [name] The command name.
+ * @returns {string}
+ */
+function getHelpText (name) {
+  if (name) {
+    const command = COMMANDS[name]
+    return [
+      `Usage: ${command.usage}`,
+      '',
+      command.summary,
+      '',
+      'Options:',
+      formatOptionsHelp({ ...command.options, ...HELP_OPTION })
+    ].join('\n')
+  }
+  return [
+    'Usage: gitverdiff [command] [include patterns...] [options]',
+    '',
+    'Commands:',
+    ...Object.entries(COMMANDS).map(([commandName, command]) =>
+      `  ${commandName.padEnd(12)}${command.summary.split('\n').join('\n' + ' '.repeat(14))}`),
+    '',
+    'Without a command, gitverdiff runs "hash". Run "gitverdiff <command> --help" for the options',
+    'of a command. Put include patterns that start with "-" or match a command name after "--".',
+    'Options can also be set with GITVERDIFF_* environment variables, e.g. GITVERDIFF_HASH_SCHEME=v1.',
+    '',
+    'Options:',
+    formatOptionsHelp({ ...HELP_OPTION, version: { type: 'boolean', help: 'Show version number.' } })
+  ].join('\n')
+}
+
+/**
+ * Runs the command line.
+ *
+ * @param {string[]} argv                  The arguments, without the node and script paths.
+ * @param {object} [io]                    Where to run and write.
+ * @param {string} [io.cwd]                The working directory (defaults to process.cwd()).
+ * @param {function(string): void} [io.stdout] Writes a line of output.
+ * @param {function(string): void} [io.stderr] Writes a line of error output.
+ * @param {AbortSignal} [io.signal]        Stops the watch command.
+ * @returns {number|Promise<number>}       The exit code: 0 on success, 1 on failure, 2 on usage errors.
+ *                                         The watch command resolves it once it stops.
+ */
+function runCli (argv, { cwd = process.cwd(), stdout = console.log, stderr = console.error, signal } = {}) {
+  // Global flags are only recognized on their own, so that they cannot be mistaken for values.
+  if (argv.length === 1 && (argv[0] === '--help' || argv[0] === '-h')) {
+    stdout(getHelpText())
+    return 0
+  }
+  if (argv.length === 1 && argv[0] === '--version') {
+    stdout(`v${packageVersion}`)
+    return 0
+  }
+
+  const explicit = Object.prototype.hasOwnProperty.call(COMMANDS, argv[0])
+  const name = explicit ? argv[0] : 'hash'
+  const command = COMMANDS[name]
+  try {
+    let parsed
+    try {
+      parsed = parseArgs({
+        args: explicit ? argv.slice(1) : argv,
+        options: { ...command.options, ...HELP_OPTION },
+        allowPositionals: true,
+        strict: true
+      })
+    } catch (error) {
+      throw new UsageError(error.message)
+    }
+    if (parsed.values.help) {
+      stdout(getHelpText(name))
+      return 0
+    }
+    return command.run(parsed.values, parsed.positionals, { cwd, stdout, stderr, signal })
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr(`Error: ${error.message}`)
+      stderr(`Run "gitverdiff ${name} --help" for usage.`)
+      return 2
+    }
+    stderr(`Error: ${error.message}`)
+    // If there's an unknown token, print the token help
+    if (error.message.includes('Unknown token:')) {
+      stderr(FORMAT_TOKENS_HELP)
+    }
+    return 1
+  }
+}
+
+module.exports = {
+  COMMANDS,
+  getHelpText,
+  runCli
+}
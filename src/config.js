@@ -0,0 +1,253 @@
+/***********************************
+ * File: src/config.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const { runAsync, runSync } = require('./utils')
+
+// Configuration files looked up in a directory, in order of preference.
+const CONFIG_FILES = ['.gitverdiffrc.json', '.gitverdiffrc.yaml', '.gitverdiffrc.yml', 'gitverdiff.config.js']
+
+// Keys allowed in configuration files. `profiles` maps names to partial configurations;
+// `root: true` stops the lookup of configurations in parent directories.
+const CONFIG_KEYS = [
+  'extends', 'root', 'merge', 'include', 'ignore', 'dependencies', 'format', 'separator', 'hashScheme', 'semver', 'target',
+  'tokens', 'outputs', 'profiles'
+]
+
+// Keys whose values are pattern lists; a single string is accepted too.
+const PATTERN_KEYS = ['include', 'ignore']
+
+const syncIO = {
+  exists: filePath => fs.existsSync(filePath),
+  readFile: filePath => fs.readFileSync(filePath, 'utf8')
+}
+
+const asyncIO = {
+  exists: filePath => fs.promises.access(filePath).then(() => true, () => false),
+  readFile: filePath => fs.promises.readFile(filePath, 'utf8')
+}
+
+/**
+ * Removes `//` and `/* *\/` comments from JSON text, leaving strings untouched.
+ *
+ * @param {string} text The JSON text.
+ * @returns {string}
+ */
+function stripJsonComments (text) {
+  let result = ''
+  let i = 0
+  while (i < text.length) {
+    const char = text[i]
+    if (char === '"') {
+      // Copy the string as-is, including escaped quotes.
+      let end = i + 1
+      while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1
+      result += text.slice(i, end + 1)
+      i = end + 1
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++
+    } else if (char === '/' && text[i + 1] === '*') {
+      const end = text.indexOf('*/', i + 2)
+      i = end === -1 ? text.length : end + 2
+    } else {
+      result += char
+      i++
+    }
+  }
+  return result
+}
+
+/**
+ * Parses a configuration file according to its extension.
+ *
+ * @param {string} filePath The absolute path of the file.
+ * @param {string} text     Its contents (unused for JavaScript files, which are required).
+ * @returns {object}        The raw configuration.
+ */
+function parseConfig (filePath, text) {
+  let config
+  try {
+    if (/\.c?js$/.test(filePath)) {
+      config = require(filePath)
+    } else if (/\.ya?ml$/.test(filePath)) {
+      config = yaml.load(text) || {}
+    } else {
+      config = JSON.parse(stripJsonComments(text))
+    }
+  } catch (error) {
+    throw new Error(`Invalid config file ${filePath}: ${error.message}`)
+  }
+  validateConfig(config, filePath)
+  return config
+}
+
+/**
+ * Checks that a configuration, or a profile of it, only holds known keys, with patterns where
+ * patterns are expected and the path of a module for `tokens`.
+ *
+ * @param {*} config        The configuration.
+ * @param {string} filePath The file it comes from, for error messages.
+ * @param {string} [what]   What is validated, for error messages.
+ */
+function validateConfig (config, filePath, what = 'Config') {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${what} in ${filePath} must be an object`)
+  }
+  const unknownKey = Object.keys(config).find(key => !CONFIG_KEYS.includes(key))
+  if (unknownKey) {
+    throw new Error(`Unknown key "${unknownKey}" in ${filePath} (expected one of: ${CONFIG_KEYS.join(', ')})`)
+  }
+  for (const key of PATTERN_KEYS) {
+    const value = config[key]
+    if (value !== undefined && typeof value !== 'string' &&
+        !(Array.isArray(value) && value.every(pattern => typeof pattern === 'string'))) {
+      throw new Error(`"${key}" in ${filePath} must be a pattern or a list of patterns`)
+    }
+  }
+  // Token providers are functions, which only a module can hold for every kind of configuration.
+  if (config.tokens !== undefined && typeof config.tokens !== 'string') {
+    throw new Error(`"tokens" in ${filePath} must be the path of a token module, relative to the file`)
+  }
+  if (config.profiles !== undefined) {
+    if (!config.profiles || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+      throw new Error(`"profiles" in ${filePath} must map profile names to configurations`)
+    }
+    for (const [name, profile] of Object.entries(config.profiles)) {
+      validateConfig(profile, filePath, `Profile "${name}"`)
+      if (profile.extends !== undefined || profile.profiles !== undefined || profile.root !== undefined) {
+        throw new Error(`Profile "${name}" in ${filePath} cannot use "extends", "root" or "profiles"`)
+      }
+    }
+  }
+}
+
+/**
+ * Resolves an `extends` entry: a path relative to the extending file, or a package
+ * (or a file within one) resolved from its directory.
+ *
+ * @param {string} specifier The entry.
+ * @param {string} fromFile  The extending file.
+ * @returns {string}         The absolute path of the base configuration.
+ */
+function resolveExtends (specifier, fromFile) {
+  const baseDir = path.dirname(fromFile)
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    return path.resolve(baseDir, specifier)
+  }
+  try {
+    return require.resolve(specifier, { paths: [baseDir] })
+  } catch (error) {
+    throw new Error(`Cannot find config "${specifier}" extended by ${fromFile}`)
+  }
+}
+
+/**
+ * Normalizes the pattern lists of a configuration to arrays.
+ *
+ * @param {object} config The configuration.
+ * @returns {object}      A copy with array pattern lists.
+ */
+function normalizePatterns (config) {
+  const normalized = { ...config }
+  for (const key of PATTERN_KEYS) {
+    if (typeof normalized[key] === 'string') normalized[key] = [normalized[key]]
+  }
+  return normalized
+}
+
+/**
+ * Loads a configuration file and the ones it extends. Settings of the extending file replace
+ * those of its bases; bases listed later replace earlier ones. Profiles are merged by name.
+ *
+ * @param {string} filePath      The absolute path of the file.
+ * @param {object} io            Either syncIO or asyncIO.
+ * @param {string[]} [chain]     Files being loaded, to detect cycles.
+ * @returns {Generator}          Returns the resolved configuration, without `extends`.
+ */
+function * loadConfigSteps (filePath, io, chain = []) {
+  if (chain.includes(filePath)) {
+    throw new Error(`Circular extends: ${[...chain, filePath].join(' -> ')}`)
+  }
+  if (!(yield io.exists(filePath))) {
+    throw new Error(`Config file not found: ${filePath}`)
+  }
+  const text = /\.c?js$/.test(filePath) ? '' : yield io.readFile(filePath)
+  const { extends: bases, ...own } = normalizePatterns(parseConfig(filePath, text))
+
+  let resolved = {}
+  for (const base of [].concat(bases || [])) {
+    const baseConfig = yield * loadConfigSteps(resolveExtends(base, filePath), io, [...chain, filePath])
+    resolved = { ...resolved, ...baseConfig, profiles: { ...resolved.profiles, ...baseConfig.profiles } }
+  }
+  resolved = { ...resolved, ...own, profiles: { ...resolved.profiles, ...own.profiles } }
+  for (const [name, profile] of Object.entries(resolved.profiles)) {
+    resolved.profiles[name] = normalizePatterns(profile)
+  }
+  return resolved
+}
+
+/**
+ * Finds and loads the configuration file of a directory.
+ *
+ * @param {string} dir      The directory.
+ * @param {object} io       Either syncIO or asyncIO.
+ * @returns {Generator}     Returns { path, config }, or null if the directory has no configuration file.
+ */
+function * readConfigSteps (dir, io) {
+  for (const name of CONFIG_FILES) {
+    const filePath = path.join(dir, name)
+    if (yield io.exists(filePath)) {
+      return { path: filePath, config: yield * loadConfigSteps(filePath, io) }
+    }
+  }
+  return null
+}
+
+/**
+ * Reads the configuration file of a directory (.gitverdiffrc.json, .gitverdiffrc.yaml,
+ * .gitverdiffrc.yml or gitverdiff.config.js, the first one found), with its `extends` resolved.
+ * JSON files may contain comments.
+ *
+ * @param {string} dir The directory.
+ * @returns {{ path: string, config: object }|null} The file path and configuration, or null if there is none.
+ */
+function readConfig (dir) {
+  return runSync(readConfigSteps(dir, syncIO))
+}
+
+/**
+ * Asynchronous variant of readConfig.
+ *
+ * @param {string} dir The directory.
+ * @returns {Promise<{ path: string, config: object }|null>}
+ */
+function readConfigAsync (dir) {
+  return runAsync(readConfigSteps(dir, asyncIO))
+}
+
+/**
+ * Applies a profile: its settings replace those of the configuration.
+ *
+ * @param {object} config       A configuration returned by readConfig.
+ * @param {string} name         The profile name.
+ * @returns {object|null}       The configuration with the profile applied, without `profiles`,
+ *                              or null if the configuration has no such profile.
+ */
+function applyProfile (config, name) {
+  const { profiles, ...base } = config
+  if (!profiles || !Object.prototype.hasOwnProperty.call(profiles, name)) return null
+  return { ...base, ...profiles[name] }
+}
+
+module.exports = {
+  CONFIG_FILES,
+  applyProfile,
+  readConfig,
+  readConfigAsync,
+  stripJsonComments
+}
@@ -0,0 +1,263 @@
+/***********************************
+ * File: src/emit.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { quoteEnvValue, toEnvVariables } = require('./env')
+const { execGit, execGitSync, runAsync, runSync } = require('./utils')
+
+// Header of the generated modules.
+const GENERATED_HEADER = '// Generated by gitverdiff. Do not edit.'
+
+// The field the package-json output sets when none is given.
+const DEFAULT_PACKAGE_JSON_FIELD = 'gitverdiffVersion'
+
+// The notes ref the git-note output writes to when none is given.
+const DEFAULT_NOTES_REF = 'gitverdiff'
+
+const syncIO = {
+  execGit: execGitSync,
+  readFile: filePath => fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null,
+  writeFile: (filePath, content) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, content)
+  }
+}
+
+const asyncIO = {
+  execGit,
+  readFile: filePath => fs.promises.readFile(filePath, 'utf8').catch(error => {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }),
+  writeFile: async (filePath, content) => {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.promises.writeFile(filePath, content)
+  }
+}
+
+/**
+ * Gives the components of a version written by the outputs.
+ *
+ * @param {object} info The object returned by generateVersionInfo.
+ * @returns {{ version: string, packageVersion: string, branch: string, commit: string,
+ *             shortCommit: string, diffHash: string, dirty: boolean }}
+ */
+function toVersionComponents ({ version, packageVersion, branch, commit, diffHash, dirty }) {
+  return { version, packageVersion, branch, commit, shortCommit: commit.slice(0, 7), diffHash, dirty }
+}
+
+/**
+ * Renders the components as a module, one export per line.
+ *
+ * @param {object} info                            The object returned by generateVersionInfo.
+ * @param {function(string, *): string} renderLine Renders the export of a component.
+ * @returns {string}
+ */
+function renderModule (info, renderLine) {
+  const lines = Object.entries(toVersionComponents(info)).map(([name, value]) => renderLine(name, value))
+  return [GENERATED_HEADER, '', ...lines, ''].join('\n')
+}
+
+/**
+ * Sets the GITVERDIFF_* variables in the contents of a dotenv file, in place when they are
+ * already there (with or without "export "), keeping the other lines.
+ *
+ * @param {object} info             The object returned by generateVersionInfo.
+ * @param {string|null} current     The current contents, or null if the file does not exist.
+ * @returns {string}
+ */
+function renderDotenv (info, current) {
+  const lines = current ? current.replace(/\n$/, '').split('\n') : []
+  for (const [name, value] of Object.entries(toEnvVariables(info))) {
+    const index = lines.findIndex(line => new RegExp(`^\\s*(export\\s+)?${name}=`).test(line))
+    const line = `${name}=${quoteEnvValue(value)}`
+    if (index === -1) {
+      lines.push(line)
+    } else {
+      lines[index] = (/^\s*export\s/.test(lines[index]) ? 'export ' : '') + line
+    }
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Sets a field of package.json to the version, keeping the file's indentation.
+ *
+ * @param {object} info             The object returned by generateVersionInfo.
+ * @param {string|null} current     The current contents, or null if the file does not exist.
+ * @param {object} output           The output, with its `field`: a name, or a dotted path.
+ * @param {string} filePath         The path of package.json, for error messages.
+ * @returns {string}
+ */
+function renderPackageJson (info, current, { field }, filePath) {
+  if (current === null) {
+    throw new Error(`No package.json at ${filePath}`)
+  }
+  const packageJson = JSON.parse(current)
+  const keys = field.split('.')
+  let parent = packageJson
+  for (const key of keys.slice(0, -1)) {
+    if (!parent[key] || typeof parent[key] !== 'object') parent[key] = {}
+    parent = parent[key]
+  }
+  parent[keys[keys.length - 1]] = info.version
+  const indent = (/^[ \t]+/m.exec(current) || ['  '])[0]
+  return JSON.stringify(packageJson, null, indent) + '\n'
+}
+
+/**
+ * Removes a field set by renderPackageJson from the contents of package.json, along with the
+ * objects it created for a dotted field, so that the rest of the manifest can be compared and
+ * hashed whatever version the field holds. The result is the manifest as compact JSON, so that
+ * the reformatting done by renderPackageJson does not count either.
+ *
+ * @param {string} content The contents of package.json.
+ * @param {string} field   The field: a name, or a dotted path.
+ * @returns {string}       The contents without the field, or unchanged if they are not a JSON object.
+ */
+function stripPackageJsonField (content, field) {
+  let packageJson
+  try {
+    packageJson = JSON.parse(content)
+  } catch (error) {
+    return content
+  }
+  if (!packageJson || typeof packageJson !== 'object') return content
+  const keys = field.split('.')
+  const parents = [packageJson]
+  for (const key of keys.slice(0, -1)) {
+    const parent = parents[parents.length - 1][key]
+    if (!parent || typeof parent !== 'object') return JSON.stringify(packageJson)
+    parents.push(parent)
+  }
+  delete parents[parents.length - 1][keys[keys.length - 1]]
+  for (let i = parents.length - 1; i > 0 && !Object.keys(parents[i]).length; i--) {
+    delete parents[i - 1][keys[i - 1]]
+  }
+  return JSON.stringify(packageJson)
+}
+
+// Outputs written to files: their default file and how they render from the version info and the
+// current contents of the file.
+const FILE_OUTPUTS = {
+  dotenv: { file: '.env', render: renderDotenv },
+  json: { file: 'version.json', render: info => JSON.stringify(toVersionComponents(info), null, 2) + '\n' },
+  esm: { file: 'version.mjs', render: info => renderModule(info, (name, value) => `export const ${name} = ${JSON.stringify(value)}`) },
+  cjs: { file: 'version.cjs', render: info => renderModule(info, (name, value) => `exports.${name} = ${JSON.stringify(value)}`) },
+  ts: {
+    file: 'version.ts',
+    render: info => renderModule(info, (name, value) => `export const ${name}: ${typeof value} = ${JSON.stringify(value)}`)
+  },
+  'package-json': { file: 'package.json', render: renderPackageJson }
+}
+
+const OUTPUT_TYPES = [...Object.keys(FILE_OUTPUTS), 'git-note']
+
+/**
+ * Normalizes an output. Outputs are objects, or strings of the form "type" or "type:target",
+ * where the target is the file (relative to the package root), the field of the package-json
+ * output or the notes ref of the git-note output, e.g. "ts:src/version.ts" or
+ * "package-json:config.version".
+ *
+ * @param {string|object} output The output.
+ * @returns {{ type: string, file?: string, field?: string, ref?: string }}
+ */
+function parseOutput (output) {
+  let spec = output
+  if (typeof output === 'string') {
+    const [type, ...target] = output.split(':')
+    const key = type === 'package-json' ? 'field' : type === 'git-note' ? 'ref' : 'file'
+    spec = target.length ? { type, [key]: target.join(':') } : { type }
+  }
+  if (!spec || !OUTPUT_TYPES.includes(spec.type)) {
+    throw new Error(`Unknown output: ${typeof output === 'string' ? output : JSON.stringify(output)} (expected one of ${OUTPUT_TYPES.join(', ')})`)
+  }
+  if (spec.type === 'git-note') {
+    return { type: spec.type, ref: spec.ref || DEFAULT_NOTES_REF }
+  }
+  const result = { type: spec.type, file: spec.type === 'package-json' ? 'package.json' : spec.file || FILE_OUTPUTS[spec.type].file }
+  if (spec.type === 'package-json') result.field = spec.field || DEFAULT_PACKAGE_JSON_FIELD
+  return result
+}
+
+/**
+ * Writes the version to outputs, leaving the files (and the note) that already hold it untouched.
+ *
+ * @param {object} info           The object returned by generateVersionInfo.
+ * @param {object[]} outputs      The outputs, normalized by parseOutput.
+ * @param {object} io             Either syncIO or asyncIO.
+ * @returns {Generator}           Returns the outputs, each with `changed` and the absolute `path`
+ *                                of its file.
+ */
+function * writeOutputsSteps (info, outputs, io) {
+  const results = []
+  for (const output of outputs) {
+    if (output.type === 'git-note') {
+      if (!info.commit) {
+        throw new Error('The git-note output needs a commit')
+      }
+      const content = JSON.stringify(toVersionComponents(info), null, 2)
+      let current = null
+      try {
+        current = yield io.execGit(['notes', `--ref=${output.ref}`, 'show', info.commit], info.gitRoot)
+      } catch (error) {
+        // The commit has no note yet.
+      }
+      const changed = current === null || current.trim() !== content
+      if (changed) {
+        yield io.execGit(['notes', `--ref=${output.ref}`, 'add', '--force', '--message', content, info.commit], info.gitRoot)
+      }
+      results.push({ ...output, changed })
+      continue
+    }
+    const filePath = path.resolve(info.packageRoot, output.file)
+    const current = yield io.readFile(filePath)
+    const content = FILE_OUTPUTS[output.type].render(info, current, output, filePath)
+    const changed = content !== current
+    if (changed) yield io.writeFile(filePath, content)
+    results.push({ ...output, path: filePath, changed })
+  }
+  return results
+}
+
+/**
+ * Writes the version and its components to outputs:
+ * - dotenv: GITVERDIFF_* lines (see ENV_VARIABLES) in a dotenv file (.env), keeping its other lines.
+ * - json: the components (see toVersionComponents) as JSON (version.json).
+ * - esm, cjs, ts: a module exporting each component (version.mjs, version.cjs, version.ts),
+ *   with typed exports in TypeScript.
+ * - package-json: a field of package.json set to the version (gitverdiffVersion).
+ * - git-note: a Git note on the commit, holding the components as JSON (refs/notes/gitverdiff).
+ * Files that already hold the version are not rewritten, so that watchers are not triggered.
+ *
+ * @param {object} info             The object returned by generateVersionInfo.
+ * @param {Array<string|object>} outputs The outputs (see parseOutput).
+ * @returns {object[]}              The outputs, each with `changed` and the `path` of its file.
+ */
+function writeOutputs (info, outputs) {
+  return runSync(writeOutputsSteps(info, outputs.map(parseOutput), syncIO))
+}
+
+/**
+ * Asynchronous variant of writeOutputs.
+ *
+ * @param {object} info             The object returned by generateVersionInfo.
+ * @param {Array<string|object>} outputs The outputs (see parseOutput).
+ * @returns {Promise<object[]>}     The outputs, each with `changed` and the `path` of its file.
+ */
+function writeOutputsAsync (info, outputs) {
+  return runAsync(writeOutputsSteps(info, outputs.map(parseOutput), asyncIO))
+}
+
+module.exports = {
+  OUTPUT_TYPES,
+  parseOutput,
+  stripPackageJsonField,
+  toVersionComponents,
+  writeOutputs,
+  writeOutputsAsync
+}
@@ -0,0 +1,164 @@
+/***********************************
+ * File: src/env.js
+ ***********************************/
+
+'use strict'
+
+// Options that can be set with environment variables, with the type of their value. The variable
+// name is the option name in upper snake case with a GITVERDIFF_ prefix, e.g. GITVERDIFF_HASH_SCHEME.
+const ENV_OPTIONS = {
+  packageRoot: 'string',
+  include: 'list',
+  ignore: 'list',
+  dependencies: 'boolean',
+  format: 'string',
+  separator: 'string',
+  hashScheme: 'string',
+  since: 'string',
+  semver: 'boolean',
+  target: 'string',
+  profile: 'string',
+  merge: 'string',
+  concurrency: 'number',
+  cache: 'boolean',
+  outputs: 'list'
+}
+
+// Variables describing a version, as printed by `gitverdiff env` and defined by the build plugins,
+// with the info field (see generateVersionInfo) they come from.
+const ENV_VARIABLES = {
+  GITVERDIFF_VERSION: info => info.version,
+  GITVERDIFF_PACKAGE_VERSION: info => info.packageVersion,
+  GITVERDIFF_BRANCH: info => info.branch,
+  GITVERDIFF_COMMIT: info => info.commit,
+  GITVERDIFF_SHORT_COMMIT: info => info.commit.slice(0, 7),
+  GITVERDIFF_DIFF_HASH: info => info.diffHash,
+  GITVERDIFF_DIRTY: info => String(info.dirty)
+}
+
+// Marks the options that came from environment variables (see withEnvironment).
+const ENVIRONMENT_FIELDS = Symbol('environment fields')
+
+/**
+ * Gives the environment variable of an option, e.g. "GITVERDIFF_HASH_SCHEME" for hashScheme.
+ *
+ * @param {string} option The option name.
+ * @returns {string}
+ */
+function toEnvName (option) {
+  return `GITVERDIFF_${option.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`
+}
+
+/**
+ * Splits a list of patterns on newlines and on commas outside braces, so that
+ * "src/**,*.{js,ts}" gives ["src/**", "*.{js,ts}"].
+ *
+ * @param {string} value The list.
+ * @returns {string[]}
+ */
+function splitList (value) {
+  const items = []
+  let current = ''
+  let depth = 0
+  for (const char of value) {
+    if ((char === ',' && depth === 0) || char === '\n') {
+      items.push(current)
+      current = ''
+      continue
+    }
+    if (char === '{') depth++
+    if (char === '}' && depth > 0) depth--
+    current += char
+  }
+  items.push(current)
+  return items.map(item => item.trim()).filter(Boolean)
+}
+
+/**
+ * Parses the value of an environment variable.
+ *
+ * @param {string} name  The variable name, for error messages.
+ * @param {string} type  "string", "list", "boolean" or "number".
+ * @param {string} value The value.
+ * @returns {*}
+ */
+function parseEnvValue (name, type, value) {
+  if (type === 'list') return splitList(value)
+  if (type === 'boolean') {
+    if (/^(true|1|yes)$/i.test(value)) return true
+    if (/^(false|0|no)$/i.test(value)) return false
+    throw new Error(`Invalid ${name}: ${value} (expected true or false)`)
+  }
+  if (type === 'number') {
+    if (!/^\d+$/.test(value)) throw new Error(`Invalid ${name}: ${value} (expected a number)`)
+    return Number(value)
+  }
+  return value
+}
+
+/**
+ * Reads the options set with GITVERDIFF_* environment variables. Empty variables are ignored.
+ *
+ * @param {object} [env] The environment variables (defaults to process.env).
+ * @returns {object}     The options.
+ */
+function readEnvOptions (env = process.env) {
+  const options = {}
+  for (const [option, type] of Object.entries(ENV_OPTIONS)) {
+    const name = toEnvName(option)
+    if (env[name]) options[option] = parseEnvValue(name, type, env[name])
+  }
+  return options
+}
+
+/**
+ * Fills the options that are not set (undefined, null, '' or an empty list) from GITVERDIFF_*
+ * environment variables. The names of the options taken from the environment are listed
+ * under the ENVIRONMENT_FIELDS symbol of the result.
+ *
+ * @param {object} options The options.
+ * @param {object} [env]   The environment variables (defaults to process.env).
+ * @returns {object}       A copy of the options.
+ */
+function withEnvironment (options, env = process.env) {
+  const result = { ...options, [ENVIRONMENT_FIELDS]: [] }
+  for (const [option, value] of Object.entries(readEnvOptions(env))) {
+    const current = options[option]
+    if (current === undefined || current === null || current === '' || (Array.isArray(current) && !current.length)) {
+      result[option] = value
+      result[ENVIRONMENT_FIELDS].push(option)
+    }
+  }
+  return result
+}
+
+/**
+ * Gives the variables describing a version (see ENV_VARIABLES).
+ *
+ * @param {object} info The object returned by generateVersionInfo.
+ * @returns {Object<string, string>} The values, by variable name.
+ */
+function toEnvVariables (info) {
+  return Object.fromEntries(Object.entries(ENV_VARIABLES).map(([name, get]) => [name, get(info)]))
+}
+
+/**
+ * Quotes a value for shells and dotenv files when it contains anything but safe characters.
+ *
+ * @param {string} value The value.
+ * @returns {string}
+ */
+function quoteEnvValue (value) {
+  return /^[\w.:@%+,/-]*$/.test(value) ? value : `'${value.replace(/'/g, '\'\\\'\'')}'`
+}
+
+module.exports = {
+  ENVIRONMENT_FIELDS,
+  ENV_OPTIONS,
+  ENV_VARIABLES,
+  quoteEnvValue,
+  readEnvOptions,
+  toEnvName,
+  toEnvVariables,
+  withEnvironment
+}
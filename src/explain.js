@@ -0,0 +1,87 @@
+/***********************************
+ * File: src/explain.js
+ ***********************************/
+
+'use strict'
+
+const { isNegated } = require('./patterns')
+
+// The settings explained, in the order they are printed.
+const EXPLAINED_SETTINGS = ['include', 'ignore', 'format', 'separator']
+
+/**
+ * Describes where a setting came from.
+ *
+ * @param {string|string[]} source "options", "default" or a file path, as in configSource, or a list of them.
+ * @returns {string}
+ */
+function describeSource (source) {
+  if (Array.isArray(source)) return `merged ${source.map(describeSource).join(', then ')}`
+  if (source === 'options') return 'from the command line or API options'
+  if (source === 'environment') return 'from a GITVERDIFF_* environment variable'
+  if (source === 'default') return 'default'
+  return `from ${source}`
+}
+
+/**
+ * Describes why a change was included, ignored or left out, by the deciding patterns.
+ *
+ * @param {{ includedBy: string|null, ignoredBy: string|null }} change A change from generateVersionInfo.
+ * @returns {string}
+ */
+function describeMatch ({ includedBy, ignoredBy }) {
+  if (includedBy === null) return 'no include pattern matched'
+  const included = `include "${includedBy}"`
+  return ignoredBy === null ? included : `${included}, ignore "${ignoredBy}"`
+}
+
+/**
+ * Renders the result of generateVersionInfo as a report of the configuration that was used
+ * and of what happened to every modified file.
+ *
+ * @param {object} info The object returned by generateVersionInfo.
+ * @returns {string}    The report, without a trailing newline.
+ */
+function explainVersion (info) {
+  const values = {
+    include: info.patterns.include.join(', '),
+    ignore: info.patterns.ignore.join(', ') || '(none)',
+    format: Array.isArray(info.format) ? info.format.join(',') : info.format,
+    separator: JSON.stringify(info.separator)
+  }
+  const lines = [
+    `Git root:     ${info.gitRoot}`,
+    `Package root: ${info.packageRoot}`,
+    '',
+    'Configuration:'
+  ]
+  for (const setting of EXPLAINED_SETTINGS) {
+    lines.push(`  ${`${setting}:`.padEnd(11)}${values[setting]}  (${describeSource(info.configSource[setting])})`)
+  }
+
+  lines.push('', 'Changed files (paths relative to the Git root):')
+  if (!info.changes.length) lines.push('  (none)')
+  const pathWidth = Math.max(0, ...info.changes.map(change => change.path.length))
+  for (const change of info.changes) {
+    const decision = change.selected
+      ? 'included'
+      : change.includedBy === null || isNegated(change.includedBy) ? 'excluded' : 'ignored'
+    const renamed = change.from ? ` (from ${change.from})` : ''
+    lines.push(`  ${decision.padEnd(10)}${change.status.padEnd(11)}${change.path.padEnd(pathWidth)}  ${describeMatch(change)}${renamed}`)
+  }
+
+  if (info.dependencies.length) {
+    lines.push('', 'Workspace dependencies:')
+    const nameWidth = Math.max(...info.dependencies.map(dependency => dependency.name.length))
+    for (const { name, diffHash } of info.dependencies) {
+      lines.push(`  ${name.padEnd(nameWidth)}  ${diffHash ? `changed (${diffHash.slice(0, 12)}…)` : 'unchanged'}`)
+    }
+  }
+
+  lines.push('', `Version: ${info.version}`)
+  return lines.join('\n')
+}
+
+module.exports = {
+  explainVersion
+}
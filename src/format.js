@@ -0,0 +1,150 @@
+/***********************************
+ * File: src/format.js
+ ***********************************/
+
+'use strict'
+
+// Transformations available as `{token|modifier}` in formats, applied left to right.
+const MODIFIERS = {
+  // Uses the argument when the value is empty, e.g. {branch|default:detached}.
+  default: (value, arg) => value || arg,
+  lower: value => value.toLowerCase(),
+  upper: value => value.toUpperCase(),
+  // Lowercase, with runs of anything but letters and digits turned into single dashes.
+  slug: value => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+  // Turns a date such as {commit-date} into seconds since the Unix epoch.
+  epoch: value => value ? String(Math.floor(Date.parse(value) / 1000)) : '',
+  // Turns a date into its digits only, e.g. 2024-05-01T12:30:00Z into 20240501123000.
+  compact: value => value.replace(/\D/g, '').slice(0, 14)
+}
+
+/**
+ * Parses one token specification: `name[:length][|modifier[:arg]]...`.
+ *
+ * @param {string} spec   The specification, without braces.
+ * @param {string} format The whole format, for error messages.
+ * @returns {{ token: string, length: number|null, modifiers: { name: string, arg: string }[] }}
+ */
+function parseTokenSpec (spec, format) {
+  const [head, ...modifierSpecs] = spec.split('|').map(s => s.trim())
+  const match = /^([\w.-]+)(?::(\d+))?$/.exec(head)
+  if (!match) {
+    throw new Error(`Invalid token "${spec}" in format: ${format}`)
+  }
+  const modifiers = modifierSpecs.map(modifierSpec => {
+    const colon = modifierSpec.indexOf(':')
+    const name = colon === -1 ? modifierSpec : modifierSpec.slice(0, colon)
+    const arg = colon === -1 ? '' : modifierSpec.slice(colon + 1)
+    if (!Object.prototype.hasOwnProperty.call(MODIFIERS, name)) {
+      throw new Error(`Unknown modifier: ${name} in {${spec}}`)
+    }
+    return { name, arg }
+  })
+  return { token: match[1], length: match[2] ? Number(match[2]) : null, modifiers }
+}
+
+/**
+ * Parses a template such as `v{package-version}+{branch|slug}.{diff-hash:12}` into
+ * literal and token parts. `{{` and `}}` stand for literal braces.
+ *
+ * @param {string} format The template.
+ * @returns {Array<{ literal: string }|object>} Literal parts and parsed token specifications.
+ */
+function parseTemplate (format) {
+  const parts = []
+  let literal = ''
+  let i = 0
+  while (i < format.length) {
+    const char = format[i]
+    if ((char === '{' || char === '}') && format[i + 1] === char) {
+      literal += char
+      i += 2
+    } else if (char === '{') {
+      const end = format.indexOf('}', i)
+      if (end === -1) {
+        throw new Error(`Unterminated token in format: ${format}`)
+      }
+      if (literal) parts.push({ literal })
+      literal = ''
+      parts.push(parseTokenSpec(format.slice(i + 1, end), format))
+      i = end + 1
+    } else if (char === '}') {
+      throw new Error(`Unexpected "}" in format: ${format}`)
+    } else {
+      literal += char
+      i++
+    }
+  }
+  if (literal) parts.push({ literal })
+  return parts
+}
+
+/**
+ * Parses a format. Two syntaxes are supported:
+ * - a token list, as an array or a comma-separated string (`package-version,branch,diff-hash:12`),
+ *   whose non-empty values are joined with the separator;
+ * - a template, any string containing `{` (`v{package-version}+{branch|slug}`),
+ *   whose text between tokens is kept as-is.
+ *
+ * @param {string|string[]} format The format.
+ * @returns {{ template: boolean, parts: Array<object> }} The parsed format.
+ */
+function parseFormat (format) {
+  if (typeof format === 'string' && format.includes('{')) {
+    return { template: true, parts: parseTemplate(format) }
+  }
+  const specs = typeof format === 'string' ? format.split(',') : format
+  return {
+    template: false,
+    parts: specs.map(spec => spec.trim()).filter(Boolean).map(spec => parseTokenSpec(spec, String(format)))
+  }
+}
+
+/**
+ * Lists the token names used by a parsed format, without duplicates.
+ *
+ * @param {{ parts: Array<object> }} parsedFormat As returned by parseFormat.
+ * @returns {string[]}
+ */
+function getFormatTokens (parsedFormat) {
+  return [...new Set(parsedFormat.parts.filter(part => part.token).map(part => part.token))]
+}
+
+/**
+ * Renders a parsed format. Each token value goes through its modifiers, is truncated to
+ * its length and sanitized; literal text is kept as-is.
+ *
+ * @param {{ template: boolean, parts: Array<object> }} parsedFormat As returned by parseFormat.
+ * @param {object} values               Raw token values by name; empty means "not available".
+ * @param {object} options              Rendering options.
+ * @param {string} options.separator    Joins values in the token list syntax.
+ * @param {function(string): string} options.sanitize Makes a value safe for the output.
+ * @returns {string}                    The version string.
+ */
+function renderFormat ({ template, parts }, values, { separator, sanitize }) {
+  const rendered = parts.map(part => {
+    if (!part.token) return part.literal
+    if (!Object.prototype.hasOwnProperty.call(values, part.token)) {
+      throw new Error(`Unknown token: ${part.token}`)
+    }
+    let value = String(values[part.token] || '')
+    // The token list syntax has always prefixed the package version with "v";
+    // templates leave that to the literal text, e.g. "v{package-version}".
+    if (!template && part.token === 'package-version' && value) value = `v${value}`
+    for (const { name, arg } of part.modifiers) {
+      value = MODIFIERS[name](value, arg)
+    }
+    if (part.length !== null) value = value.slice(0, part.length)
+    return sanitize(value)
+  })
+  return template
+    ? rendered.join('')
+    : rendered.filter(Boolean).join(separator)
+}
+
+module.exports = {
+  MODIFIERS,
+  getFormatTokens,
+  parseFormat,
+  renderFormat
+}
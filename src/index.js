@@ -4,211 +4,872 @@
 
 'use strict'
 
-const crypto = require('crypto')
-const fs = require('fs')
 const path = require('path')
 const {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_HASH_SCHEME,
+  EMPTY_HASH,
+  execGit,
+  execGitSync,
   findGitRoot,
-  getGitModifiedFiles,
+  findGitRootAsync,
+  getGitChanges,
+  getGitChangesAsync,
+  getGitChangesSince,
+  getGitChangesSinceAsync,
+  getGitTree,
+  getGitTreeAsync,
   getPackageVersion,
+  getPackageVersionAsync,
+  hashDependencies,
+  hashFiles,
+  hashFilesAsync,
+  hashTree,
+  readGitHead,
+  readGitHeadAsync,
+  readPackageJson,
+  readPackageJsonAsync,
   readPatternsFromFile,
+  readPatternsFromFileAsync,
   readPatternsFromPackageJson,
+  readPatternsFromPackageJsonAsync,
+  runAsync,
+  runSync,
   sanitizeForFilesystem
 } = require('./utils')
-const { minimatch } = require('minimatch')
+const { getFormatTokens, parseFormat, renderFormat } = require('./format')
+const { BUILTIN_TOKENS, createTokenProviders, loadTokenModule, toTokenValue } = require('./tokens')
+const { buildSemver } = require('./semver')
+const { getTarget, sanitizeForTarget, sanitizeValue } = require('./targets')
+const { CONFIG_FILES, applyProfile, readConfig, readConfigAsync } = require('./config')
+const { findDecidingPattern, isNegated } = require('./patterns')
+const { readWorkspaces, readWorkspacesAsync } = require('./workspaces')
+const { ENVIRONMENT_FIELDS, withEnvironment } = require('./env')
+const { detectCI } = require('./ci')
+const { hashLockfileEntries, readLockfile, readLockfileAsync, resolveLockfileEntries } = require('./lockfiles')
+const { parseOutput, stripPackageJsonField, writeOutputs, writeOutputsAsync } = require('./emit')
+const { createVersionWatcher } = require('./watch')
+const { openDigestCache, openDigestCacheAsync, saveDigestCache, saveDigestCacheAsync } = require('./cache')
+
+// How list settings (include, ignore) of the configuration layers combine; see resolveSetting.
+const MERGE_STRATEGIES = ['replace', 'append', 'extend']
+
+// package.json fields listing dependencies, which may name workspace packages.
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']
+
+// The format used when none is configured.
+const DEFAULT_FORMAT = ['package-version', 'branch', 'short-commit-sha', 'diff-hash']
+
+// Digests of the modified files by absolute path, reused by later computations while the files'
+// stats are unchanged (see hashFiles): watchVersion keeps one in memory across the versions it
+// computes, instead of the one in node_modules/.cache (see openDigestCache).
+const DIGEST_CACHE = Symbol('digest cache')
+
+// I/O used by the version pipeline. Both sets share the same signatures; the
+// asynchronous one returns promises, which runAsync awaits between steps.
+const syncIO = {
+  execGit: execGitSync,
+  findGitRoot,
+  getGitChanges,
+  getGitChangesSince,
+  getGitTree,
+  getPackageVersion,
+  hashFiles,
+  openDigestCache,
+  readConfig,
+  readGitHead,
+  readLockfile,
+  readPackageJson,
+  readPatternsFromFile,
+  readPatternsFromPackageJson,
+  readWorkspaces,
+  saveDigestCache,
+  writeOutputs
+}
+
+const asyncIO = {
+  execGit,
+  findGitRoot: findGitRootAsync,
+  getGitChanges: getGitChangesAsync,
+  getGitChangesSince: getGitChangesSinceAsync,
+  getGitTree: getGitTreeAsync,
+  getPackageVersion: getPackageVersionAsync,
+  hashFiles: hashFilesAsync,
+  openDigestCache: openDigestCacheAsync,
+  readConfig: readConfigAsync,
+  readGitHead: readGitHeadAsync,
+  readLockfile: readLockfileAsync,
+  readPackageJson: readPackageJsonAsync,
+  readPatternsFromFile: readPatternsFromFileAsync,
+  readPatternsFromPackageJson: readPatternsFromPackageJsonAsync,
+  readWorkspaces: readWorkspacesAsync,
+  saveDigestCache: saveDigestCacheAsync,
+  writeOutputs: writeOutputsAsync
+}
+
+// I/O whose results do not change while the versions of several packages are computed.
+const SHARED_IO = [
+  'execGit', 'getGitChanges', 'getGitChangesSince', 'getGitTree', 'getPackageVersion', 'readConfig',
+  'readGitHead', 'readLockfile', 'readPackageJson', 'readPatternsFromFile', 'readPatternsFromPackageJson', 'readWorkspaces'
+]
 
 /**
- * Generates a version hash based on the current Git state and file diffs.
- * It checks for configuration in the provided package root first, and if not found, falls back to the Git root.
+ * Checks whether a configuration value is missing (undefined, empty string or empty array).
  *
- * @param {object} options                   Configuration options.
- * @param {string[]} [options.ignore]        Glob patterns to ignore.
- * @param {string[]} [options.include]       Glob patterns to include.
- * @param {string|string[]} [options.format] Format tokens for building the version string.
- * @param {string} [options.packageRoot]     The starting directory (defaults to process.cwd()).
- * @param {string} [options.separator]       The separator for tokens (defaults to '-' or package.json setting).
- * @returns {string}                         The generated version hash.
+ * @param {*} value The value to check.
+ * @returns {boolean}
  */
-function generateVersionHash (options = {}) {
-  // Use provided packageRoot or current working directory.
-  const packageRoot = options.packageRoot || process.cwd()
+function isEmpty (value) {
+  return !value || (Array.isArray(value) && value.length === 0)
+}
 
-  // Step 1: Determine the Git root by scanning upward from packageRoot.
-  const gitRoot = findGitRoot(packageRoot)
+/**
+ * Formats a date as an ISO 8601 UTC timestamp without milliseconds, e.g. "2024-05-01T12:30:00Z".
+ *
+ * @param {Date} date The date.
+ * @returns {string}
+ */
+function toISODate (date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
 
-  // Step 2: Determine include patterns.
-  let includePatterns = options.include || []
-  if (!includePatterns.length) {
-    includePatterns = readPatternsFromPackageJson('include', packageRoot) || []
+/**
+ * Gives the build date: SOURCE_DATE_EPOCH (seconds since the epoch) when set, which pins it for
+ * reproducible builds, or the current date.
+ *
+ * @returns {Date}
+ */
+function getBuildDate () {
+  const epoch = process.env.SOURCE_DATE_EPOCH
+  if (!epoch) return new Date()
+  if (!/^\d+$/.test(epoch)) {
+    throw new Error(`Invalid SOURCE_DATE_EPOCH: "${epoch}" (expected a number of seconds since the epoch)`)
   }
-  if (!includePatterns.length) {
-    includePatterns = readPatternsFromFile('.gitverdiff', packageRoot) || []
+  return new Date(Number(epoch) * 1000)
+}
+
+/**
+ * Runs a git command for an optional token. Failures (e.g. no tags yet) yield an empty string.
+ *
+ * @param {object} io       Either syncIO or asyncIO.
+ * @param {string[]} args   Arguments passed to git.
+ * @param {string} cwd      The directory to run git in.
+ * @returns {Generator}     Returns the trimmed output, or '' if git failed.
+ */
+function * tryGit (io, args, cwd) {
+  try {
+    return String(yield io.execGit(args, cwd)).trim()
+  } catch (error) {
+    return ''
+  }
+}
+
+/**
+ * Wraps the I/O of the version pipeline so that the versions of several packages of one
+ * repository share a single Git scan: the Git root is known, and Git queries and configuration
+ * reads are made once per distinct set of arguments.
+ *
+ * @param {object} io      Either syncIO or asyncIO.
+ * @param {string} gitRoot The Git root directory of all the packages.
+ * @returns {object}       An I/O set with the same signatures.
+ */
+function shareIO (io, gitRoot) {
+  const shared = { ...io, findGitRoot: () => gitRoot }
+  for (const name of SHARED_IO) {
+    const results = new Map()
+    shared[name] = (...args) => {
+      const key = JSON.stringify(args)
+      if (!results.has(key)) results.set(key, io[name](...args))
+      return results.get(key)
+    }
+  }
+  return shared
+}
+
+/**
+ * Finds the workspace packages a package depends on, directly or through other workspace
+ * packages, from the dependency fields of their package.json files. Each package is visited
+ * once, so dependency cycles end where they loop back.
+ *
+ * @param {object} io          Either syncIO or asyncIO.
+ * @param {string} packageRoot The package root directory.
+ * @param {string} gitRoot     The Git root directory.
+ * @returns {Generator}        Returns the packages ({ name, dir }) sorted by name; none outside a workspace.
+ */
+function * findWorkspaceDependencies (io, packageRoot, gitRoot) {
+  const workspaces = yield io.readWorkspaces(packageRoot, gitRoot)
+  if (!workspaces) return []
+  const packagesByName = new Map(workspaces.packages.map(pkg => [pkg.name, pkg]))
+  const found = new Map()
+  const visit = function * (dir) {
+    const packageJson = (yield io.readPackageJson(dir)) || {}
+    for (const field of DEPENDENCY_FIELDS) {
+      for (const name of Object.keys(packageJson[field] || {})) {
+        const dependency = packagesByName.get(name)
+        if (!dependency || found.has(name) || path.resolve(dependency.dir) === path.resolve(packageRoot)) continue
+        found.set(name, dependency)
+        yield * visit(dependency.dir)
+      }
+    }
   }
-  // Fallback to Git root if packageRoot config is missing.
-  if (!includePatterns.length && packageRoot !== gitRoot) {
-    includePatterns = readPatternsFromPackageJson('include', gitRoot) || []
+  yield * visit(packageRoot)
+  return [...found.values()].sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+}
+
+/**
+ * Loads the configuration files of the directories from packageRoot up to gitRoot, and applies
+ * the selected profile. A directory whose configuration file or package.json sets `root: true`
+ * ends the walk.
+ *
+ * @param {object} io               Either syncIO or asyncIO.
+ * @param {string} packageRoot      The package root directory.
+ * @param {string} gitRoot          The Git root directory.
+ * @param {string} [profile]        The profile to apply.
+ * @returns {Generator}             Returns the roots to look settings up in, innermost first:
+ *                                  `{ dir, configFile }`, configFile being null or `{ path, config }`.
+ */
+function * loadRoots (io, packageRoot, gitRoot, profile) {
+  const roots = []
+  let profileFound = false
+  let dir = packageRoot
+  while (true) {
+    let configFile = yield io.readConfig(dir)
+    if (configFile && profile) {
+      const profiled = applyProfile(configFile.config, profile)
+      profileFound = profileFound || profiled !== null
+      // Copied, as readConfig results may be shared (see shareIO).
+      configFile = { ...configFile, config: profiled || configFile.config }
+    }
+    roots.push({ dir, configFile })
+    const isRoot = configFile && configFile.config.root === true
+      ? true
+      : (yield io.readPatternsFromPackageJson('root', dir)) === true
+    const parent = path.dirname(dir)
+    // Stop at the Git root, and never leave it.
+    if (isRoot || path.relative(gitRoot, parent).startsWith('..') || parent === dir) break
+    dir = parent
   }
-  if (!includePatterns.length && packageRoot !== gitRoot) {
-    includePatterns = readPatternsFromFile('.gitverdiff', gitRoot) || []
+  if (profile && !profileFound) {
+    throw new Error(`Unknown profile: ${profile} (profiles are defined in ${CONFIG_FILES.join(', ')})`)
   }
-  if (!includePatterns.length) {
-    includePatterns = ['**/*']
+  return roots
+}
+
+/**
+ * Reads a setting from one root: from its configuration file, package.json or the setting's
+ * dotfile (if it has one), the first one defining it.
+ *
+ * @param {object} io           Either syncIO or asyncIO.
+ * @param {object} root         A root returned by loadRoots.
+ * @param {string} field        The setting name in configuration files and package.json.
+ * @param {string|null} file    The dotfile listing one value per line, or null.
+ * @returns {Generator}         Returns { value, source }, or null if the root does not define the setting.
+ */
+function * readRootSetting (io, { dir, configFile }, field, file) {
+  if (configFile && !isEmpty(configFile.config[field])) {
+    return { value: configFile.config[field], source: configFile.path }
   }
+  const fromPackageJson = yield io.readPatternsFromPackageJson(field, dir)
+  if (!isEmpty(fromPackageJson)) return { value: fromPackageJson, source: path.join(dir, 'package.json') }
+  if (!file) return null
+  const fromFile = yield io.readPatternsFromFile(file, dir)
+  if (!isEmpty(fromFile)) return { value: fromFile, source: path.join(dir, file) }
+  return null
+}
 
-  // Step 3: Determine ignore patterns.
-  let ignorePatterns = options.ignore || []
-  if (!ignorePatterns.length) {
-    ignorePatterns = readPatternsFromPackageJson('ignore', packageRoot) || []
+/**
+ * Looks up a setting in the options first, then in each root, innermost first (see readRootSetting).
+ * With the "replace" strategy the first value found wins. With "append", the lists of every layer are
+ * concatenated, outermost first, so that inner patterns come last and decide (see findDecidingPattern);
+ * "extend" does the same but keeps each pattern once, at its last position.
+ *
+ * @param {object} io           Either syncIO or asyncIO.
+ * @param {object|null} option The option layer: { value, source }, source being "options" or "environment".
+ * @param {string} field        The setting name in configuration files and package.json.
+ * @param {string|null} file    The dotfile listing one value per line, or null.
+ * @param {object[]} roots      As returned by loadRoots.
+ * @param {string} [strategy]   One of MERGE_STRATEGIES, for list settings (defaults to "replace").
+ * @returns {Generator}         Returns { value, source }, where source is that of the option, the path of the file
+ *                              the value was read from, "default" (value null) when nothing is configured,
+ *                              or a list of those, outermost first, when several layers were merged.
+ */
+function * resolveSetting (io, option, field, file, roots, strategy = 'replace') {
+  const layers = []
+  if (option && !isEmpty(option.value)) layers.push(option)
+  for (const root of roots) {
+    if (strategy === 'replace' && layers.length) break
+    const layer = yield * readRootSetting(io, root, field, file)
+    if (layer) layers.push(layer)
   }
-  if (!ignorePatterns.length) {
-    ignorePatterns = readPatternsFromFile('.gitverdiffignore', packageRoot) || []
+  if (!layers.length) return { value: null, source: 'default' }
+  if (strategy === 'replace' || layers.length === 1) return layers[0]
+
+  layers.reverse()
+  let value = [].concat(...layers.map(layer => [].concat(layer.value)))
+  if (strategy === 'extend') {
+    value = value.filter((pattern, index) => value.lastIndexOf(pattern) === index)
   }
-  if (!ignorePatterns.length && packageRoot !== gitRoot) {
-    ignorePatterns = readPatternsFromPackageJson('ignore', gitRoot) || []
+  return { value, source: layers.map(layer => layer.source) }
+}
+
+/**
+ * The version hash pipeline. Every I/O call is yielded, so the same steps can be
+ * driven synchronously (runSync) or asynchronously (runAsync).
+ *
+ * @param {object} options Options as accepted by generateVersionHash.
+ * @param {object} io      Either syncIO or asyncIO.
+ * @returns {Generator}    Yields I/O results, returns the version info (see generateVersionInfo).
+ */
+function * versionInfoSteps (options, io) {
+  // Use provided packageRoot or current working directory.
+  const packageRoot = options.packageRoot || process.cwd()
+
+  // Options come from the API or command line, or from GITVERDIFF_* variables (see withEnvironment).
+  const fromEnvironment = options[ENVIRONMENT_FIELDS] || []
+  const option = field => ({ value: options[field], source: fromEnvironment.includes(field) ? 'environment' : 'options' })
+
+  // Step 1: Determine the Git root by scanning upward from packageRoot.
+  const gitRoot = yield io.findGitRoot(packageRoot)
+  // Dependencies (see Step 8) reuse the Git scan and configuration reads of the package.
+  io = shareIO(io, gitRoot)
+
+  // Configuration files come first in each root; `profile` selects one of their profiles.
+  const roots = yield * loadRoots(io, packageRoot, gitRoot, options.profile)
+
+  // `merge` is a strategy name, or an object naming one per list setting.
+  const mergeSetting = yield * resolveSetting(io, option('merge'), 'merge', null, roots)
+  const merge = mergeSetting.value || 'replace'
+  const strategyFor = field => {
+    const strategy = typeof merge === 'string' ? merge : merge[field] || 'replace'
+    if (!MERGE_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown merge strategy: ${strategy} (expected one of ${MERGE_STRATEGIES.join(', ')})`)
+    }
+    return strategy
   }
-  if (!ignorePatterns.length && packageRoot !== gitRoot) {
-    ignorePatterns = readPatternsFromFile('.gitverdiffignore', gitRoot) || []
+
+  // Step 2: Determine include patterns, from the options and the roots (packageRoot first, up to gitRoot).
+  const include = yield * resolveSetting(io, option('include'), 'include', '.gitverdiff', roots, strategyFor('include'))
+  const includePatterns = include.value || ['**/*']
+
+  // Step 3: Determine ignore patterns. If none are configured, nothing is ignored.
+  const ignore = yield * resolveSetting(io, option('ignore'), 'ignore', '.gitverdiffignore', roots, strategyFor('ignore'))
+  const ignorePatterns = ignore.value || []
+
+  // Step 4: Retrieve modified files (with their status) from Git: either the working tree
+  // changes, or with `since` everything that differs from the merge base of that ref and HEAD.
+  let gitChanges = options.since
+    ? yield io.getGitChangesSince(gitRoot, options.since)
+    : yield io.getGitChanges(gitRoot)
+
+  // The outputs (see emitVersion) hold the version, so their files never count towards it, whatever
+  // the patterns and whichever command computes it. package.json still counts without the fields
+  // of the package-json outputs: it is hashed without them, and is no change at all when they are
+  // all that changed since HEAD (or since the merge base with `since`).
+  const outputsSetting = yield * resolveSetting(io, option('outputs'), 'outputs', null, roots)
+  const outputs = [].concat(outputsSetting.value || []).map(parseOutput)
+  const excludedPaths = outputs
+    .filter(output => output.file && output.type !== 'package-json')
+    .map(output => path.resolve(packageRoot, output.file))
+  const outputFields = outputs.filter(output => output.type === 'package-json').map(output => output.field)
+  const filters = new Map()
+  if (outputFields.length) {
+    const stripFields = content => outputFields.reduce((stripped, field) => stripPackageJsonField(stripped, field), content)
+    const packageJsonPath = path.join(packageRoot, 'package.json')
+    filters.set(packageJsonPath, stripFields)
+    const relativePath = path.relative(gitRoot, packageJsonPath).split(path.sep).join('/')
+    const change = gitChanges.find(other => other.path === relativePath && other.status === 'modified')
+    if (change) {
+      const base = options.since ? yield * tryGit(io, ['merge-base', options.since, 'HEAD'], gitRoot) : 'HEAD'
+      const committed = yield * tryGit(io, ['show', `${base}:${relativePath}`], gitRoot)
+      const current = yield io.readPackageJson(packageRoot)
+      if (committed && current && stripFields(committed) === stripFields(JSON.stringify(current))) {
+        gitChanges = gitChanges.filter(other => other !== change)
+      }
+    }
   }
-  // If still empty, leave it as an empty array.
 
-  // Step 4: Retrieve modified files from Git.
-  const gitModifiedFiles = getGitModifiedFiles(gitRoot)
+  // The digests of the modified files are kept between runs (see openDigestCache), unless `cache` is false;
+  // dependencies (see Step 8) share the cache of the package.
+  const cache = options[DIGEST_CACHE] || (options.cache === false ? null : yield io.openDigestCache(packageRoot, gitRoot))
 
   // Step 5: Filter files by converting each file path (resolved from gitRoot) to a path relative to packageRoot,
   // then applying the include/ignore patterns on that relative path.
-  const files = gitModifiedFiles.filter(filePath => {
+  // Patterns follow gitignore ordering: the last matching pattern decides, and "!pattern"
+  // negates. matchPatterns also reports the deciding patterns, for explain.
+  const matchPatterns = filePath => {
     const absolutePath = path.resolve(gitRoot, filePath)
-    const relativePath = path.relative(packageRoot, absolutePath)
-    const isIncluded = includePatterns.some(pattern => minimatch(relativePath, pattern))
-    const isIgnored = ignorePatterns.some(pattern => minimatch(relativePath, pattern))
-    return isIncluded && !isIgnored
-  }).sort()
-
-  // Step 6: Compute a combined hash of file contents.
-  const hash = crypto.createHash('sha256')
-  // For each file, try reading from packageRoot first, then fallback to gitRoot.
-  for (const filePath of files) {
-    let absolutePath = path.resolve(packageRoot, filePath)
-    if (!fs.existsSync(absolutePath)) {
-      absolutePath = path.resolve(gitRoot, filePath)
-    }
-    // If the file doesn't exist in either location, it's deleted
-    // Include the deletion in the hash by hashing a special marker with the file path
-    if (!fs.existsSync(absolutePath)) {
-      hash.update(`DELETED:${filePath}`)
-    } else {
-      const data = fs.readFileSync(absolutePath)
-      hash.update(data)
+    // The cache never counts either, in case node_modules is not ignored by Git.
+    if (excludedPaths.includes(absolutePath) || (cache && cache.dir && absolutePath.startsWith(cache.dir + path.sep))) {
+      return { selected: false, includedBy: null, ignoredBy: null }
     }
+    const relativePath = path.relative(packageRoot, absolutePath)
+    const includedBy = findDecidingPattern(relativePath, includePatterns)
+    const ignoredBy = findDecidingPattern(relativePath, ignorePatterns)
+    const selected = includedBy !== null && !isNegated(includedBy) && (ignoredBy === null || isNegated(ignoredBy))
+    return { selected, includedBy, ignoredBy }
   }
-  const sourceHash = hash.digest('hex')
-
-  // Step 7: Determine Git commit/branch info.
-  const gitHead = fs.readFileSync(path.join(gitRoot, '.git', 'HEAD'), 'utf8').trim()
-  let commitHash = ''
-  let branchName = ''
-  if (gitHead.startsWith('ref:')) {
-    const refPath = gitHead.slice(5).trim() // e.g., "refs/heads/feat/test"
-    const prefix = 'refs/heads/'
-    if (refPath.startsWith(prefix)) {
-      branchName = refPath.slice(prefix.length) // yields "feat/test"
-    } else {
-      branchName = refPath
+  const isSelected = filePath => matchPatterns(filePath).selected
+  const byPath = (a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0
+  const changes = gitChanges
+    .map(change => ({ ...change, ...matchPatterns(change.path) }))
+    .sort(byPath)
+  const files = gitChanges
+    .filter(change => isSelected(change.path))
+    .sort(byPath)
+
+  // Step 6: Compute a combined hash of the modified files, using the configured hash scheme
+  // ("v2" frames each file with its path, status and mode; "v1" hashes raw contents only).
+  const hashSchemeSetting = yield * resolveSetting(io, option('hashScheme'), 'hashScheme', null, roots)
+  const hashScheme = hashSchemeSetting.value || DEFAULT_HASH_SCHEME
+  const fileHashes = new Map()
+  const sourceHash = yield io.hashFiles(files, packageRoot, gitRoot, {
+    scheme: hashScheme,
+    concurrency: options.concurrency || DEFAULT_CONCURRENCY,
+    cache,
+    filters,
+    onFile: (change, digest) => fileHashes.set(change.path, digest)
+  })
+
+  // Step 7: Determine Git commit/branch info. CI checkouts usually have a detached HEAD:
+  // the branch then comes from the CI provider's environment variables.
+  const head = yield io.readGitHead(gitRoot)
+  const commitHash = head.commitHash
+  const ci = detectCI()
+  const branchName = head.branchName || (ci ? ci.branch : '')
+  const shortCommit = commitHash.substring(0, 7)
+
+  // Step 8: Check if there are modifications (an empty hash means no modified file contents).
+  // With `dependencies`, the changes of the workspace packages this one depends on count too:
+  // each one's diff hash is computed with its own configuration (without profile), and folded into this one.
+  const dependenciesSetting = options.dependencies === undefined || options.dependencies === null
+    ? yield * resolveSetting(io, null, 'dependencies', null, roots)
+    : option('dependencies')
+  const dependencies = []
+  if (dependenciesSetting.value === true) {
+    for (const { name, dir } of yield * findWorkspaceDependencies(io, packageRoot, gitRoot)) {
+      const dependencyInfo = yield * versionInfoSteps({
+        packageRoot: dir,
+        hashScheme: options.hashScheme,
+        since: options.since,
+        concurrency: options.concurrency,
+        cache: options.cache,
+        format: 'diff-hash',
+        semver: false,
+        dependencies: false,
+        [DIGEST_CACHE]: cache
+      }, io)
+      dependencies.push({ name, packageRoot: dir, diffHash: dependencyInfo.diffHash })
     }
-    commitHash = fs.readFileSync(path.join(gitRoot, '.git', refPath), 'utf8').trim()
-  } else {
-  // Detached HEAD or direct commit.
-    commitHash = gitHead
   }
-  const shortCommit = commitHash.substring(0, 7)
+  const diffHash = hashDependencies(sourceHash !== EMPTY_HASH ? sourceHash : '', dependencies)
+  // Dirty when selected files are modified, or files of the dependencies folded into diffHash.
+  const dirty = files.length > 0 || diffHash !== ''
+  if (cache && cache !== options[DIGEST_CACHE]) yield io.saveDigestCache(cache)
+
+  // Step 9: Determine the format: a token list or a template (see parseFormat).
+  const formatSetting = yield * resolveSetting(io, option('format'), 'format', null, roots)
+  const format = formatSetting.value || DEFAULT_FORMAT
+  // SemVer mode has a fixed shape (see buildSemver), so the format does not apply.
+  // An explicit `semver: false` in the options overrides package.json.
+  const semverSetting = options.semver === undefined || options.semver === null
+    ? yield * resolveSetting(io, null, 'semver', null, roots)
+    : option('semver')
+  const semver = semverSetting.value === true
+  const parsedFormat = parseFormat(semver ? [] : format)
+  const requestedTokens = getFormatTokens(parsedFormat)
 
-  // Step 8: Check if there are modifications.
-  const emptyHash = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+  // Custom tokens come from a module named by `gitverdiff.tokens` in package.json (packageRoot first,
+  // then gitRoot) and from options.tokens, which win over the module.
+  const tokensModule = yield * resolveSetting(io, null, 'tokens', null, roots)
+  const customTokens = createTokenProviders(
+    tokensModule.value ? loadTokenModule(tokensModule.value, path.dirname(tokensModule.source)) : {},
+    options.tokens
+  )
+  const unknownToken = requestedTokens.find(token => !BUILTIN_TOKENS.includes(token) && !customTokens[token])
+  if (unknownToken) {
+    throw new Error(`Unknown token: ${unknownToken}`)
+  }
 
-  // Step 9: Determine format tokens.
-  let format = options.format
-  if (!format || (Array.isArray(format) && format.length === 0)) {
-    format = readPatternsFromPackageJson('format', packageRoot) || []
+  // Step 10: Compute the raw token values; empty values are omitted from token lists.
+  // For package version, try packageRoot first, then fallback to gitRoot.
+  let packageVersion = yield io.getPackageVersion(packageRoot)
+  if (!packageVersion && packageRoot !== gitRoot) {
+    packageVersion = yield io.getPackageVersion(gitRoot)
+  }
+  // The tree hash needs the full tree listing, so it is only computed when requested.
+  // Committed entries are selected with the same include/ignore filter as the modified files.
+  let treeHash = ''
+  if (requestedTokens.includes('tree-hash')) {
+    const treeEntries = yield io.getGitTree(gitRoot, commitHash)
+    treeHash = hashTree(treeEntries.filter(entry => isSelected(entry.path)), sourceHash)
   }
-  if (!format || (Array.isArray(format) && format.length === 0)) {
-    // Fallback to Git root if necessary.
-    if (packageRoot !== gitRoot) {
-      format = readPatternsFromPackageJson('format', gitRoot) || []
+  // Tokens that need extra git commands are computed only when requested as well.
+  const needs = (...tokens) => tokens.some(token => requestedTokens.includes(token))
+  // The deps hash covers the lockfile entries of the package's dependencies, wherever the lockfile is.
+  let depsHash = ''
+  if (needs('deps-hash')) {
+    const lockfile = yield io.readLockfile(packageRoot, gitRoot)
+    if (lockfile) {
+      // Yarn 1 lockfiles lack workspace packages, which are followed through their package.json.
+      const manifests = new Map()
+      const workspaces = lockfile.type === 'yarn' ? yield io.readWorkspaces(packageRoot, gitRoot) : null
+      for (const { name, dir } of workspaces ? workspaces.packages : []) {
+        manifests.set(name, (yield io.readPackageJson(dir)) || {})
+      }
+      const location = path.relative(path.dirname(lockfile.path), packageRoot)
+      const packageJson = (yield io.readPackageJson(packageRoot)) || {}
+      depsHash = hashLockfileEntries(resolveLockfileEntries(lockfile, location, packageJson, manifests))
     }
   }
-  if (!format || (Array.isArray(format) && format.length === 0)) {
-    format = ['package-version', 'branch', 'short-commit-sha', 'diff-hash']
+  let tag = ''
+  let describe = ''
+  let commitCount = ''
+  let commitDate = ''
+  let author = ''
+  if (commitHash && needs('tag', 'commit-count')) {
+    tag = yield * tryGit(io, ['describe', '--tags', '--abbrev=0', commitHash], gitRoot)
+  }
+  if (commitHash && needs('describe')) {
+    describe = yield * tryGit(io, ['describe', '--tags', '--always', commitHash], gitRoot)
+  }
+  if (commitHash && needs('commit-count')) {
+    // Commits since the nearest tag, or since the beginning of history without one.
+    commitCount = yield * tryGit(io, ['rev-list', '--count', tag ? `${tag}..${commitHash}` : commitHash], gitRoot)
   }
-  if (typeof format === 'string') {
-    format = format.split(',').map(s => s.trim())
+  if (commitHash && needs('commit-date')) {
+    const timestamp = yield * tryGit(io, ['show', '-s', '--format=%ct', commitHash], gitRoot)
+    if (timestamp) commitDate = toISODate(new Date(Number(timestamp) * 1000))
   }
+  if (commitHash && needs('author')) {
+    author = yield * tryGit(io, ['log', '-1', '--format=%an', commitHash], gitRoot)
+  }
+  const buildDate = needs('build-date') ? toISODate(getBuildDate()) : ''
 
-  // Step 10: Build tokens based on the specified format.
-  // For package version, try packageRoot first, then fallback to gitRoot.
-  let packageVersion = getPackageVersion(packageRoot)
-  if (!packageVersion && packageRoot !== gitRoot) {
-    packageVersion = getPackageVersion(gitRoot)
-  }
-  const tokens = []
-  format.forEach(token => {
-    switch (token) {
-      case 'package-version':
-        if (packageVersion) tokens.push(`v${packageVersion}`)
-        break
-      case 'branch':
-        if (branchName) tokens.push(branchName)
-        break
-      case 'short-commit-sha':
-        tokens.push(shortCommit)
-        break
-      case 'commit-sha':
-        tokens.push(commitHash)
-        break
-      case 'diff-hash':
-        // Only include diff-hash if there are actual modifications
-        if (sourceHash !== emptyHash) {
-          tokens.push(sourceHash)
-        }
-        break
-      default:
-        throw new Error(`Unknown token: ${token}`)
+  const values = {
+    'package-version': packageVersion,
+    branch: branchName,
+    // Commit values are empty on an unborn branch (no commits yet).
+    'short-commit-sha': shortCommit,
+    'commit-sha': commitHash,
+    'diff-hash': diffHash,
+    'tree-hash': treeHash,
+    'deps-hash': depsHash,
+    'ci-build': ci ? ci.build : '',
+    tag,
+    describe,
+    'commit-count': commitCount,
+    'commit-date': commitDate,
+    author,
+    'build-date': buildDate,
+    dirty: dirty ? 'dirty' : ''
+  }
+
+  // Custom tokens are only computed when requested. Providers may return a promise in async mode.
+  const requestedCustomTokens = requestedTokens.filter(token => customTokens[token])
+  if (requestedCustomTokens.length) {
+    const ctx = {
+      gitRoot,
+      packageRoot,
+      commit: commitHash,
+      branch: branchName,
+      files,
+      packageJson: (yield io.readPackageJson(packageRoot)) || {}
     }
-  })
-  const sanisanitizedTokens = tokens.map(sanitizeForFilesystem)
-
-  // Step 11: Determine the separator.
-  let separator = options.separator
-  if (!separator) {
-    // Try packageRoot first.
-    const pkgPath = path.join(packageRoot, 'package.json')
-    if (fs.existsSync(pkgPath)) {
-      try {
-        const pkgJson = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
-        if (pkgJson.gitverdiff && pkgJson.gitverdiff.separator) {
-          separator = pkgJson.gitverdiff.separator
-        }
-      } catch (error) {
-        // If package.json is invalid, continue with default separator
-      }
+    for (const token of requestedCustomTokens) {
+      values[token] = toTokenValue(token, yield customTokens[token](ctx))
     }
   }
-  if (!separator && packageRoot !== gitRoot) {
-    const pkgPath = path.join(gitRoot, 'package.json')
-    if (fs.existsSync(pkgPath)) {
-      try {
-        const pkgJson = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
-        if (pkgJson.gitverdiff && pkgJson.gitverdiff.separator) {
-          separator = pkgJson.gitverdiff.separator
-        }
-      } catch (error) {
-        // If package.json is invalid, continue with default separator
-      }
-    }
+
+  // Step 11: Determine the separator, trying packageRoot first, then gitRoot.
+  const separatorSetting = yield * resolveSetting(io, option('separator'), 'separator', null, roots)
+  const separator = separatorSetting.value || '-'
+
+  // The target selects a sanitization profile (see TARGETS); without one, values keep
+  // the historical filesystem sanitization and the output is not length-limited.
+  const targetSetting = yield * resolveSetting(io, option('target'), 'target', null, roots)
+  const target = targetSetting.value ? getTarget(targetSetting.value) : null
+
+  // Step 12: Render the format; token lists are joined using the chosen separator.
+  const output = semver
+    ? buildSemver({ packageVersion, branch: branchName, shortCommit, diffHash })
+    : renderFormat(parsedFormat, values, {
+      separator,
+      sanitize: target ? value => sanitizeValue(value, target) : sanitizeForFilesystem
+    })
+
+  return {
+    version: target ? sanitizeForTarget(output, target) : output,
+    gitRoot,
+    packageRoot,
+    branch: branchName,
+    commit: commitHash,
+    packageVersion,
+    patterns: { include: includePatterns, ignore: ignorePatterns },
+    format,
+    separator,
+    configSource: {
+      include: include.source,
+      ignore: ignore.source,
+      format: formatSetting.source,
+      separator: separatorSetting.source,
+      hashScheme: hashSchemeSetting.source,
+      semver: semverSetting.source,
+      target: targetSetting.source,
+      merge: mergeSetting.source,
+      dependencies: dependenciesSetting.source,
+      outputs: outputsSetting.source
+    },
+    hashScheme,
+    diffHash,
+    dirty,
+    files: files.map(change => ({ ...change, hash: fileHashes.get(change.path) })),
+    changes,
+    dependencies,
+    outputs,
+    ci
+  }
+}
+
+/**
+ * Generates a version hash based on the current Git state and file diffs.
+ * It checks for configuration in the provided package root first, and if not found, falls back to the Git root.
+ * Options that are not set are read from GITVERDIFF_* environment variables, e.g. GITVERDIFF_HASH_SCHEME
+ * (lists are comma or newline separated, booleans are "true" or "false").
+ *
+ * @param {object} options                   Configuration options.
+ * @param {boolean} [options.cache]          Keep the digests of the modified files in node_modules/.cache/gitverdiff,
+ *                                           so that only the files whose inode, size or modification time changed are
+ *                                           read again (defaults to true; without node_modules, there is no cache).
+ * @param {boolean} [options.dependencies]   Fold the diff hashes of the workspace packages this one depends on
+ *                                           (transitively, from its package.json) into its diff hash.
+ * @param {string[]} [options.ignore]        Glob patterns to ignore.
+ * @param {string[]} [options.include]       Glob patterns to include. In both lists the last matching pattern
+ *                                           decides, and "!pattern" negates, as in .gitignore.
+ * @param {string|string[]} [options.format] Format for building the version string: a token list
+ *                                           ("package-version,branch") or a template ("v{package-version}+{branch|slug}").
+ * @param {string} [options.hashScheme]      Diff hash scheme, "v2" (default) or "v1" to reproduce hashes from gitverdiff 1.x.
+ * @param {Array<string|object>} [options.outputs] The outputs emitVersion writes the version to (see emitVersion),
+ *                                           whose files do not count towards the version; package.json counts
+ *                                           without the fields of the package-json outputs.
+ * @param {string|object} [options.merge]   How include and ignore patterns of the options and configuration layers
+ *                                           combine: "replace" (default; the nearest wins), "append" or "extend", or
+ *                                           an object naming a strategy per setting, e.g. { ignore: "append" }.
+ * @param {string} [options.packageRoot]     The starting directory (defaults to process.cwd()).
+ * @param {string} [options.profile]         A profile of the configuration file (.gitverdiffrc.json, ...) to apply.
+ * @param {string} [options.separator]       The separator for tokens (defaults to '-' or package.json setting).
+ * @param {string} [options.since]           A commit, branch or tag; diff-hash then covers every change since the
+ *                                           merge base of that ref and HEAD, committed or not (e.g. "origin/main").
+ * @param {boolean} [options.semver]         Emit a SemVer 2.0 version, `1.0.3-<branch>.g<short sha>+<diff hash>`,
+ *                                           instead of using the format and separator.
+ * @param {string} [options.target]          Sanitization profile for where the version is used: "filename", "docker",
+ *                                           "npm", "url", "k8s-label" or "env".
+ * @param {object} [options.tokens]          Custom tokens: an object mapping token names to functions `(ctx) => string`.
+ *                                           ctx holds gitRoot, packageRoot, commit, branch, files (the selected
+ *                                           changes, each { path, status }) and packageJson.
+ * @returns {string}                         The generated version hash.
+ */
+function generateVersionHash (options = {}) {
+  return generateVersionInfo(options).version
+}
+
+/**
+ * Asynchronous variant of generateVersionHash. Git runs in child processes and modified
+ * files are read as streams, so the event loop stays responsive on large working trees.
+ * Resolves to the same string generateVersionHash returns for the same state.
+ * Custom token providers may return promises here.
+ *
+ * @param {object} options                Same options as generateVersionHash, plus:
+ * @param {number} [options.concurrency]  Maximum number of files read at the same time (defaults to 8).
+ * @returns {Promise<string>}             The generated version hash.
+ */
+async function generateVersionHashAsync (options = {}) {
+  return (await generateVersionInfoAsync(options)).version
+}
+
+/**
+ * Computes the version like generateVersionHash, and returns how it was obtained along with it,
+ * to find out why a version changed.
+ *
+ * @param {object} options Same options as generateVersionHash.
+ * @returns {{
+ *   version: string,
+ *   gitRoot: string,
+ *   packageRoot: string,
+ *   branch: string,
+ *   commit: string,
+ *   packageVersion: string,
+ *   patterns: { include: string[], ignore: string[] },
+ *   format: string|string[],
+ *   separator: string,
+ *   configSource: object,
+ *   hashScheme: string,
+ *   diffHash: string,
+ *   dirty: boolean,
+ *   files: Array<{ path: string, status: string, from?: string, hash: string }>,
+ *   changes: Array<{ path: string, status: string, from?: string, selected: boolean,
+ *                    includedBy: string|null, ignoredBy: string|null }>,
+ *   dependencies: Array<{ name: string, packageRoot: string, diffHash: string }>,
+ *   outputs: Array<{ type: string, file?: string, field?: string, ref?: string }>,
+ *   ci: { provider: string, branch: string, pullRequest: string, build: string }|null
+ * }} The version and its components. configSource tells, for each setting, whether it came from
+ *    the "options", from a GITVERDIFF_* "environment" variable, from a file (its absolute path) or
+ *    is the "default", or lists them when the merge strategy combined several layers. Files are the
+ *    changes selected by the include/ignore patterns, with paths relative to the Git root and the
+ *    SHA-256 of their contents ('' for deleted files); diffHash is '' when there are none. dirty
+ *    tells whether there are files, or modified files in the dependencies. Changes are all the
+ *    changes reported by Git, with the include and ignore patterns that decided (see
+ *    findDecidingPattern). Dependencies are the workspace packages folded into diffHash (see the
+ *    `dependencies` option); outputs are those of the `outputs` option or setting, normalized by
+ *    parseOutput; ci is the detected CI provider and its metadata (see detectCI).
+ */
+function generateVersionInfo (options = {}) {
+  return runSync(versionInfoSteps(withEnvironment(options), syncIO))
+}
+
+/**
+ * Asynchronous variant of generateVersionInfo.
+ *
+ * @param {object} options    Same options as generateVersionHashAsync.
+ * @returns {Promise<object>} The version and its components.
+ */
+function generateVersionInfoAsync (options = {}) {
+  return runAsync(versionInfoSteps(withEnvironment(options), asyncIO))
+}
+
+/**
+ * Computes the version of every package of a workspace.
+ *
+ * @param {object} options Same options as generateVersionHash.
+ * @param {object} io      Either syncIO or asyncIO.
+ * @returns {Generator}    Returns the versions by package name.
+ */
+function * workspaceVersionsSteps (options, io) {
+  const startDir = options.packageRoot || process.cwd()
+  const gitRoot = yield io.findGitRoot(startDir)
+  const workspaces = yield io.readWorkspaces(startDir, gitRoot)
+  if (!workspaces) {
+    throw new Error(`No workspaces found from ${startDir} (expected a pnpm-workspace.yaml or a "workspaces" field in package.json)`)
+  }
+  const shared = shareIO(io, gitRoot)
+  const versions = {}
+  for (const { name, dir } of workspaces.packages) {
+    versions[name] = (yield * versionInfoSteps({ ...options, packageRoot: dir }, shared)).version
+  }
+  return versions
+}
+
+/**
+ * Computes the versions of all the packages of a pnpm, npm or Yarn workspace in one pass: the
+ * Git root, the changes and the HEAD are read once, and so are configuration files shared by
+ * several packages. Packages are listed by the pnpm-workspace.yaml or the `workspaces` field of the
+ * package.json found in packageRoot or the nearest parent directory (up to the Git root).
+ *
+ * @param {object} options Same options as generateVersionHash; packageRoot is any directory of
+ *                         the workspace and the other options apply to every package.
+ * @returns {Object<string, string>} The versions, by package name (the package path relative to
+ *                                   the workspace root, for packages without a name).
+ */
+function generateWorkspaceVersions (options = {}) {
+  return runSync(workspaceVersionsSteps(withEnvironment(options), syncIO))
+}
+
+/**
+ * Asynchronous variant of generateWorkspaceVersions.
+ *
+ * @param {object} options Same options as generateVersionHashAsync.
+ * @returns {Promise<Object<string, string>>} The versions, by package name.
+ */
+function generateWorkspaceVersionsAsync (options = {}) {
+  return runAsync(workspaceVersionsSteps(withEnvironment(options), asyncIO))
+}
+
+/**
+ * Computes the version and writes it to outputs.
+ *
+ * @param {object} options Same options as emitVersion.
+ * @param {object} io      Either syncIO or asyncIO.
+ * @returns {Generator}    Returns { info, outputs }.
+ */
+function * emitVersionSteps (options, io) {
+  const info = yield * versionInfoSteps(options, io)
+  if (!info.outputs.length) {
+    throw new Error('No outputs to write the version to (pass them, or set "outputs" in the configuration)')
   }
-  if (!separator) separator = '-'
+  return { info, outputs: yield io.writeOutputs(info, info.outputs) }
+}
 
-  // Step 12: Join tokens using the chosen separator.
-  return sanisanitizedTokens.join(separator)
+/**
+ * Computes the version like generateVersionInfo and writes it to outputs (see writeOutputs): a
+ * dotenv file, a JSON file, an ESM, CommonJS or TypeScript module, a package.json field or a Git
+ * note. Files that already hold the version are left untouched. The outputs come from the
+ * `outputs` option, or else from the `outputs` setting of the configuration, which every other
+ * computation of the version also reads: their files do not count towards it (see generateVersionHash),
+ * since writing them would change it.
+ *
+ * @param {object} options                         Same options as generateVersionHash, including:
+ * @param {Array<string|object>} [options.outputs] The outputs, e.g. ["dotenv", "ts:src/version.ts"]:
+ *                                                 a type ("dotenv", "json", "esm", "cjs", "ts",
+ *                                                 "package-json" or "git-note"), optionally followed by
+ *                                                 ":" and the file (relative to packageRoot), the field
+ *                                                 of package-json or the notes ref of git-note; or
+ *                                                 objects { type, file, field, ref }.
+ * @returns {{ info: object, outputs: object[] }}  The version info (see generateVersionInfo), and the
+ *                                                 outputs, each with `changed` and the `path` of its file.
+ */
+function emitVersion (options = {}) {
+  return runSync(emitVersionSteps(withEnvironment(options), syncIO))
 }
 
-module.exports = { generateVersionHash }
+/**
+ * Asynchronous variant of emitVersion.
+ *
+ * @param {object} options Same options as emitVersion, plus concurrency (see generateVersionHashAsync).
+ * @returns {Promise<{ info: object, outputs: object[] }>} The version info and the outputs.
+ */
+function emitVersionAsync (options = {}) {
+  return runAsync(emitVersionSteps(withEnvironment(options), asyncIO))
+}
+
+/**
+ * Watches the working tree and the Git HEAD, index and branch ref, and reports the version each
+ * time it changes (see createVersionWatcher), e.g. to keep a development server up to date.
+ * Only the files reported as changed are hashed again: the digests of the others are reused
+ * while their inode, size and modification time are unchanged.
+ *
+ * @param {object} options                  Same options as generateVersionHashAsync, plus:
+ * @param {number} [options.debounce]       Milliseconds to wait for changes to settle before
+ *                                          computing the version again (defaults to 100).
+ * @param {AbortSignal} [options.signal]    Stops watching when aborted.
+ * @param {function(object): void} [callback] Called with the version info (see generateVersionInfo):
+ *                                          first the current one, then each new version.
+ * @returns {EventEmitter}                  The watcher: it emits "version" (the version info),
+ *                                          "error" and "close" events, is an async iterable of the
+ *                                          version infos, and has `info` and `close()`, whose promise
+ *                                          settles once the computation in progress is over.
+ */
+function watchVersion (options = {}, callback) {
+  const { debounce, signal, ...versionOptions } = options
+  const digests = new Map()
+  const watcher = createVersionWatcher({
+    compute: () => generateVersionInfoAsync({ ...versionOptions, [DIGEST_CACHE]: digests }),
+    invalidate: file => digests.delete(file),
+    debounce,
+    root: versionOptions.packageRoot,
+    signal
+  })
+  if (callback) watcher.on('version', callback)
+  return watcher
+}
+
+module.exports = {
+  DEFAULT_FORMAT,
+  emitVersion,
+  emitVersionAsync,
+  generateVersionHash,
+  generateVersionHashAsync,
+  generateVersionInfo,
+  generateVersionInfoAsync,
+  generateWorkspaceVersions,
+  generateWorkspaceVersionsAsync,
+  watchVersion
+}
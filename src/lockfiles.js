@@ -0,0 +1,352 @@
+/***********************************
+ * File: src/lockfiles.js
+ ***********************************/
+
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const { runAsync, runSync } = require('./utils')
+
+// Lockfiles looked up in a directory, in order of preference, with their package manager.
+const LOCKFILES = [
+  { name: 'pnpm-lock.yaml', type: 'pnpm' },
+  { name: 'npm-shrinkwrap.json', type: 'npm' },
+  { name: 'package-lock.json', type: 'npm' },
+  { name: 'yarn.lock', type: 'yarn' }
+]
+
+// Dependency fields followed from a package. devDependencies only count for the package itself:
+// those of its dependencies are not installed.
+const OWN_DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies']
+const DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies']
+
+const DEPS_HASH_HEADER = 'gitverdiff deps-hash v1\n'
+
+const syncIO = {
+  exists: filePath => fs.existsSync(filePath),
+  readFile: filePath => fs.readFileSync(filePath, 'utf8')
+}
+
+const asyncIO = {
+  exists: filePath => fs.promises.access(filePath).then(() => true, () => false),
+  readFile: filePath => fs.promises.readFile(filePath, 'utf8')
+}
+
+/**
+ * Removes the quotes around a value of yarn.lock, if any.
+ *
+ * @param {string} value The value.
+ * @returns {string}
+ */
+function unquote (value) {
+  return value.startsWith('"') ? JSON.parse(value) : value
+}
+
+/**
+ * Parses a Yarn 1 lockfile. Its syntax resembles YAML but is not: `version "1.2.3"`.
+ *
+ * @param {string} text The contents of yarn.lock.
+ * @returns {object}    The entries, keyed by their comma-separated descriptors, e.g.
+ *                      `{ 'foo@^1.0.0, foo@^1.1.0': { version: '1.2.3', dependencies: { bar: '^2.0.0' } } }`.
+ */
+function parseYarnClassic (text) {
+  const entries = {}
+  let entry = null
+  let nested = null
+  for (const line of text.split(/\r?\n/)) {
+    const content = line.trim()
+    if (!content || content.startsWith('#')) continue
+    const indent = line.length - line.trimStart().length
+    if (indent === 0) {
+      entry = entries[content.replace(/:$/, '')] = {}
+      nested = null
+    } else if (!entry) {
+      throw new Error(`Unexpected indented line: ${content}`)
+    } else if (content.endsWith(':')) {
+      nested = entry[unquote(content.slice(0, -1))] = {}
+    } else {
+      const [, key, value] = /^("(?:[^"\\]|\\.)*"|\S+)\s+(.*)$/.exec(content) || [null, content, '']
+      if (indent > 2 && nested) {
+        nested[unquote(key)] = unquote(value)
+      } else {
+        entry[unquote(key)] = unquote(value)
+        nested = null
+      }
+    }
+  }
+  return entries
+}
+
+/**
+ * Parses a lockfile.
+ *
+ * @param {string} type     "pnpm", "npm" or "yarn".
+ * @param {string} filePath The path of the lockfile, for error messages.
+ * @param {string} text     Its contents.
+ * @returns {object}        The parsed lockfile.
+ */
+function parseLockfile (type, filePath, text) {
+  try {
+    if (type === 'npm') return JSON.parse(text)
+    // Yarn 2+ writes YAML, with a __metadata entry.
+    if (type === 'pnpm' || /^__metadata:/m.test(text)) return yaml.load(text) || {}
+    return parseYarnClassic(text)
+  } catch (error) {
+    throw new Error(`Invalid lockfile ${filePath}: ${error.message}`)
+  }
+}
+
+/**
+ * Finds and parses the nearest lockfile.
+ *
+ * @param {string} startDir The directory to start from.
+ * @param {string} gitRoot  The Git root directory, where the lookup stops.
+ * @param {object} io       Either syncIO or asyncIO.
+ * @returns {Generator}     Returns the lockfile (see readLockfile), or null.
+ */
+function * readLockfileSteps (startDir, gitRoot, io) {
+  let dir = path.resolve(startDir)
+  while (true) {
+    for (const { name, type } of LOCKFILES) {
+      const filePath = path.join(dir, name)
+      if (yield io.exists(filePath)) {
+        return { path: filePath, type, lockfile: parseLockfile(type, filePath, yield io.readFile(filePath)) }
+      }
+    }
+    const parent = path.dirname(dir)
+    if (dir === path.resolve(gitRoot) || parent === dir) return null
+    dir = parent
+  }
+}
+
+/**
+ * Reads the lockfile of a package: the nearest pnpm-lock.yaml, npm-shrinkwrap.json, package-lock.json
+ * or yarn.lock (Yarn 1 or 2+), from the package directory up to the Git root.
+ *
+ * @param {string} startDir The package directory.
+ * @param {string} gitRoot  The Git root directory.
+ * @returns {{ path: string, type: string, lockfile: object }|null} The lockfile path, its package manager
+ *                          ("pnpm", "npm" or "yarn") and its parsed contents, or null if there is none.
+ */
+function readLockfile (startDir, gitRoot) {
+  return runSync(readLockfileSteps(startDir, gitRoot, syncIO))
+}
+
+/**
+ * Asynchronous variant of readLockfile.
+ *
+ * @param {string} startDir The package directory.
+ * @param {string} gitRoot  The Git root directory.
+ * @returns {Promise<object|null>}
+ */
+function readLockfileAsync (startDir, gitRoot) {
+  return runAsync(readLockfileSteps(startDir, gitRoot, asyncIO))
+}
+
+/**
+ * Lists the dependencies of a manifest or lockfile entry, as [name, version or range] pairs.
+ *
+ * @param {object} entry      The manifest or entry.
+ * @param {string[]} fields   The dependency fields to read.
+ * @returns {Array<[string, *]>}
+ */
+function listDependencies (entry, fields) {
+  return fields.flatMap(field => Object.entries((entry && entry[field]) || {}))
+}
+
+/**
+ * Resolves the entries of a package-lock.json (lockfileVersion 2 or 3), following Node's
+ * node_modules lookup from each package's location.
+ *
+ * @param {object} lockfile             A lockfile returned by readLockfile.
+ * @param {string} location             The package directory, relative to the lockfile's ('' for the same).
+ * @param {object} packageJson          The package.json of the package, used when the lockfile lacks it.
+ * @param {Function} add                Records an entry by key; returns false if it was already recorded.
+ */
+function resolveNpmEntries ({ lockfile }, location, packageJson, add) {
+  if (!lockfile.packages) {
+    throw new Error('package-lock.json files older than lockfileVersion 2 (npm 7) are not supported')
+  }
+  const packages = lockfile.packages
+  const findPackage = (from, name) => {
+    let dir = from
+    while (true) {
+      if (!dir.endsWith('node_modules')) {
+        const key = `${dir ? `${dir}/` : ''}node_modules/${name}`
+        if (packages[key]) return key
+      }
+      if (!dir) return null
+      dir = dir.includes('/') ? dir.slice(0, dir.lastIndexOf('/')) : ''
+    }
+  }
+  const visit = (from, entry, fields) => {
+    for (const [name, range] of listDependencies(entry, fields)) {
+      const key = findPackage(from, name)
+      if (!key) {
+        add(`${name}@${range}`, null)
+      } else if (add(key, packages[key])) {
+        // Workspace packages are linked: follow the dependencies of their own entry.
+        const target = packages[key].link ? packages[key].resolved : key
+        visit(target, packages[target], DEPENDENCY_FIELDS)
+      }
+    }
+  }
+  visit(location, packages[location] || packageJson, OWN_DEPENDENCY_FIELDS)
+}
+
+/**
+ * Resolves the entries of a pnpm-lock.yaml (lockfile versions 5, 6 and 9).
+ *
+ * @param {object} lockfile             A lockfile returned by readLockfile.
+ * @param {string} location             The package directory, relative to the lockfile's ('' for the same).
+ * @param {object} packageJson          The package.json of the package, used when the lockfile lacks it.
+ * @param {Function} add                Records an entry by key; returns false if it was already recorded.
+ */
+function resolvePnpmEntries ({ lockfile }, location, packageJson, add) {
+  const lockfileVersion = parseFloat(lockfile.lockfileVersion)
+  const packages = lockfile.packages || {}
+  const snapshots = lockfile.snapshots || {}
+  // Single-project lockfiles hold the dependencies of the only importer at the top level.
+  const importers = lockfile.importers || { '.': lockfile }
+  const versionOf = dependency => typeof dependency === 'object' ? dependency.version : String(dependency)
+
+  const visitPackage = (name, version) => {
+    if (version.startsWith('link:')) return
+    let key
+    let entry
+    if (lockfileVersion >= 9) {
+      // Snapshots hold the dependencies of a package with its peers, e.g. "foo@1.0.0(react@18.2.0)";
+      // packages hold its resolution. Aliases give the full key as version.
+      key = snapshots[`${name}@${version}`] || packages[`${name}@${version}`] ? `${name}@${version}` : version
+      const packageEntry = packages[key.replace(/\(.*$/, '')]
+      entry = snapshots[key] || packageEntry ? { ...packageEntry, ...snapshots[key] } : undefined
+    } else {
+      key = version.startsWith('/') ? version : lockfileVersion >= 6 ? `/${name}@${version}` : `/${name}/${version}`
+      entry = packages[key]
+    }
+    if (!entry) {
+      add(`${name}@${version}`, null)
+    } else if (add(key, entry)) {
+      for (const [dependencyName, dependencyVersion] of listDependencies(entry, DEPENDENCY_FIELDS)) {
+        visitPackage(dependencyName, versionOf(dependencyVersion))
+      }
+    }
+  }
+  const visitImporter = (id, importer, fields) => {
+    for (const [name, dependency] of listDependencies(importer, fields)) {
+      const version = versionOf(dependency)
+      if (version.startsWith('link:')) {
+        // A workspace package: its dependencies are those of its importer.
+        const target = path.posix.normalize(path.posix.join(id, version.slice('link:'.length)))
+        if (importers[target] && add(`link:${target}`, { version })) {
+          visitImporter(target, importers[target], DEPENDENCY_FIELDS)
+        }
+      } else {
+        visitPackage(name, version)
+      }
+    }
+  }
+  const id = location || '.'
+  if (importers[id]) {
+    visitImporter(id, importers[id], OWN_DEPENDENCY_FIELDS)
+  } else {
+    for (const [name, range] of listDependencies(packageJson, OWN_DEPENDENCY_FIELDS)) add(`${name}@${range}`, null)
+  }
+}
+
+/**
+ * Resolves the entries of a yarn.lock. Entries are found by descriptor ("name@range"; Yarn 2+
+ * adds the "npm:" protocol to plain ranges). Workspace packages missing from Yarn 1 lockfiles are
+ * followed through their manifests.
+ *
+ * @param {object} lockfile             A lockfile returned by readLockfile.
+ * @param {string} location             The package directory, relative to the lockfile's ('' for the same).
+ * @param {object} packageJson          The package.json of the package, used when the lockfile lacks it.
+ * @param {Function} add                Records an entry by key; returns false if it was already recorded.
+ * @param {Map<string, object>} manifests The package.json of the workspace packages, by name.
+ */
+function resolveYarnEntries ({ lockfile }, location, packageJson, add, manifests) {
+  const descriptors = new Map()
+  for (const [key, entry] of Object.entries(lockfile)) {
+    if (key === '__metadata') continue
+    for (const descriptor of key.split(/,\s*/)) descriptors.set(unquote(descriptor), entry)
+  }
+  const visit = (entry, fields) => {
+    for (const [name, range] of listDependencies(entry, fields)) {
+      const dependency = descriptors.get(`${name}@${range}`) || descriptors.get(`${name}@npm:${range}`)
+      if (dependency) {
+        if (add(dependency.resolution || `${name}@${dependency.version}`, dependency)) visit(dependency, DEPENDENCY_FIELDS)
+      } else if (manifests.has(name)) {
+        if (add(`${name}@workspace`, { version: manifests.get(name).version })) visit(manifests.get(name), DEPENDENCY_FIELDS)
+      } else {
+        add(`${name}@${range}`, null)
+      }
+    }
+  }
+  visit(packageJson, OWN_DEPENDENCY_FIELDS)
+}
+
+const RESOLVERS = { npm: resolveNpmEntries, pnpm: resolvePnpmEntries, yarn: resolveYarnEntries }
+
+/**
+ * Collects the lockfile entries of the dependency set of a package: its dependencies,
+ * devDependencies and optionalDependencies, and theirs in turn (without devDependencies),
+ * through workspace packages too. Dependencies missing from the lockfile are listed with a
+ * null entry, so that adding one changes the set before it is installed.
+ *
+ * @param {object} lockfile             A lockfile returned by readLockfile.
+ * @param {string} location             The package directory, relative to the lockfile's ('' for the same).
+ * @param {object} packageJson          The package.json of the package.
+ * @param {Map<string, object>} [manifests] The package.json of the workspace packages, by name (Yarn 1).
+ * @returns {Map<string, object|null>}  The entries, keyed by their resolved identity.
+ */
+function resolveLockfileEntries (lockfile, location, packageJson, manifests = new Map()) {
+  const entries = new Map()
+  const add = (key, entry) => {
+    if (entries.has(key)) return false
+    entries.set(key, entry)
+    return true
+  }
+  RESOLVERS[lockfile.type](lockfile, location.split(path.sep).join('/'), packageJson, add, manifests)
+  return entries
+}
+
+/**
+ * Serializes a value as JSON with sorted object keys, so equal entries give equal text.
+ *
+ * @param {*} value The value.
+ * @returns {string}
+ */
+function stableStringify (value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`
+  }
+  return JSON.stringify(value === undefined ? null : value)
+}
+
+/**
+ * Computes the deps hash: the SHA-256 of the given lockfile entries, in key order.
+ *
+ * @param {Map<string, object|null>} entries Entries from resolveLockfileEntries.
+ * @returns {string} The hex digest, or '' without entries.
+ */
+function hashLockfileEntries (entries) {
+  if (!entries.size) return ''
+  const hash = crypto.createHash('sha256').update(DEPS_HASH_HEADER)
+  for (const key of [...entries.keys()].sort()) {
+    hash.update(`${key}\t${stableStringify(entries.get(key))}\0`)
+  }
+  return hash.digest('hex')
+}
+
+module.exports = {
+  LOCKFILES,
+  hashLockfileEntries,
+  readLockfile,
+  readLockfileAsync,
+  resolveLockfileEntries
+}
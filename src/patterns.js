@@ -0,0 +1,71 @@
+/***********************************
+ * File: src/patterns.js
+ ***********************************/
+
+'use strict'
+
+const { minimatch } = require('minimatch')
+
+// What a list of negated patterns only starts from: every file, as when each pattern was a
+// minimatch negation, so that ["!src/generated/**"] still means everything but the generated files.
+const ALL_FILES = '**'
+
+/**
+ * Checks whether a pattern is a negation, e.g. "!src/keep.js".
+ *
+ * @param {string} pattern The pattern.
+ * @returns {boolean}
+ */
+function isNegated (pattern) {
+  return pattern.startsWith('!')
+}
+
+/**
+ * Matches a path against one pattern, ignoring its negation. A leading "\" escapes
+ * a literal "!" or "#".
+ *
+ * @param {string} relativePath The path.
+ * @param {string} pattern      The pattern.
+ * @returns {boolean}
+ */
+function matchesPattern (relativePath, pattern) {
+  let glob = isNegated(pattern) ? pattern.slice(1) : pattern
+  if (/^\\[!#]/.test(glob)) glob = glob.slice(1)
+  return minimatch(relativePath, glob, { nonegate: true, nocomment: true })
+}
+
+/**
+ * Finds the pattern that decides whether a path matches a gitignore-style list: the last
+ * pattern that matches it. A negated pattern ("!pattern") that comes last un-matches the path,
+ * so `["src/**", "!src/generated/**", "src/generated/keep.js"]` matches everything in src except
+ * the generated files, but keep.js. A list of negated patterns only matches every other path,
+ * decided by ALL_FILES.
+ *
+ * @param {string} relativePath The path, relative to the package root.
+ * @param {string[]} patterns   The patterns, in order.
+ * @returns {string|null}       The deciding pattern, or null if none matches.
+ */
+function findDecidingPattern (relativePath, patterns) {
+  for (let i = patterns.length - 1; i >= 0; i--) {
+    if (matchesPattern(relativePath, patterns[i])) return patterns[i]
+  }
+  return patterns.length && patterns.every(isNegated) ? ALL_FILES : null
+}
+
+/**
+ * Checks whether a path matches a gitignore-style pattern list (see findDecidingPattern).
+ *
+ * @param {string} relativePath The path, relative to the package root.
+ * @param {string[]} patterns   The patterns, in order.
+ * @returns {boolean}
+ */
+function matchesPatterns (relativePath, patterns) {
+  const pattern = findDecidingPattern(relativePath, patterns)
+  return pattern !== null && !isNegated(pattern)
+}
+
+module.exports = {
+  findDecidingPattern,
+  isNegated,
+  matchesPatterns
+}
@@ -0,0 +1,189 @@
+/***********************************
+ * File: src/plugins/core.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const { generateVersionInfoAsync } = require('../index')
+const { toVersionComponents } = require('../emit')
+const { ENV_VARIABLES, toEnvVariables } = require('../env')
+const { isRelevantChange, listGitFiles } = require('../watch')
+
+// Expressions of the version constants, e.g. import.meta.env.GITVERDIFF_VERSION, with their variable.
+const CONSTANTS = ['import.meta.env', 'process.env']
+  .flatMap(object => Object.keys(ENV_VARIABLES).map(name => ({ expression: `${object}.${name}`, name })))
+
+// References to the constants in source code.
+const CONSTANT_PATTERN = /\b(?:import\.meta\.env|process\.env)\.(GITVERDIFF_[A-Z_]+)\b/g
+
+/**
+ * Builds the definitions of the version constants, for `define` options and DefinePlugin.
+ *
+ * @param {object} info The object returned by generateVersionInfo.
+ * @returns {Object<string, string>} JSON values, by expression (e.g. "process.env.GITVERDIFF_VERSION").
+ */
+function toDefinitions (info) {
+  const variables = toEnvVariables(info)
+  const definitions = {}
+  for (const { expression, name } of CONSTANTS) definitions[expression] = JSON.stringify(variables[name])
+  return definitions
+}
+
+/**
+ * Replaces the references to the version constants in source code with their values.
+ *
+ * @param {string} code The source code.
+ * @param {object} info The object returned by generateVersionInfo.
+ * @returns {string|null} The new code, or null if it has no reference.
+ */
+function replaceConstants (code, info) {
+  if (!code.includes('GITVERDIFF_')) return null
+  const variables = toEnvVariables(info)
+  let replaced = false
+  const result = code.replace(CONSTANT_PATTERN, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(variables, name)) return match
+    replaced = true
+    return JSON.stringify(variables[name])
+  })
+  return replaced ? result : null
+}
+
+/**
+ * Identifies the values of the constants, to tell whether code using them is outdated.
+ *
+ * @param {object|null} info The object returned by generateVersionInfo.
+ * @returns {string}
+ */
+function toConstantsKey (info) {
+  return info ? JSON.stringify(toEnvVariables(info)) : ''
+}
+
+/**
+ * Renders the contents of the version file: the components of the version (see toVersionComponents).
+ *
+ * @param {object} info The object returned by generateVersionInfo.
+ * @returns {string}
+ */
+function toVersionFile (info) {
+  return JSON.stringify(toVersionComponents(info), null, 2) + '\n'
+}
+
+/**
+ * Keeps the version of a build up to date. The version is computed on the first refresh, and
+ * again only after a change to a file it depends on was reported with invalidate: a file
+ * matching the include and ignore patterns, a file of a workspace dependency, a configuration
+ * file or one of the Git files listed by listGitFiles.
+ *
+ * @param {object} options                      The options of generateVersionHash, plus:
+ * @param {boolean|string} [options.versionFile] Emit a JSON file with the version and its components:
+ *                                              its name, or true for "version.json".
+ * @returns {{
+ *   info: object|null,
+ *   gitFiles: string[],
+ *   versionFileName: string|null,
+ *   setDefaultPackageRoot: function(string): void,
+ *   invalidate: function(string=): boolean,
+ *   refresh: function(): Promise<object>
+ * }} The state: the latest version info (null before the first refresh), the Git files that change
+ *    on checkouts, commits and staging (build tools do not watch them by default), the name of the
+ *    version file (null when disabled), and functions to set the package root when the options
+ *    do not, to report a changed file (returns whether the version may have changed; without a
+ *    file, any change is assumed) and to get the current version info.
+ */
+function createVersionState (options = {}) {
+  const { versionFile, ...versionOptions } = options
+  let stale = true
+  let pending = null
+
+  const state = {
+    info: null,
+    gitFiles: [],
+    versionFileName: versionFile === true ? 'version.json' : versionFile || null,
+
+    setDefaultPackageRoot (dir) {
+      if (options.packageRoot || versionOptions.packageRoot === dir) return
+      versionOptions.packageRoot = dir
+      stale = true
+    },
+
+    invalidate (file) {
+      const { info } = state
+      if (!info || file === undefined) {
+        stale = true
+        return true
+      }
+      const relevant = isRelevantChange(info, state.gitFiles, file)
+      if (relevant) stale = true
+      return relevant
+    },
+
+    refresh () {
+      // A file changed while the version was computed: compute it again once done.
+      if (pending) return stale ? pending.then(state.refresh, state.refresh) : pending
+      if (!stale && state.info) return Promise.resolve(state.info)
+      stale = false
+      pending = generateVersionInfoAsync(versionOptions).then(info => {
+        state.info = info
+        state.gitFiles = listGitFiles(info.gitRoot)
+        pending = null
+        return info
+      }, error => {
+        stale = true
+        pending = null
+        throw error
+      })
+      return pending
+    }
+  }
+  return state
+}
+
+/**
+ * Creates the hooks shared by the Rollup and Vite plugins (Vite plugins extend Rollup's).
+ * The modules using the constants are marked with the values they got, so that Rollup transforms
+ * them again in watch mode when the version changed.
+ *
+ * @param {object} state As returned by createVersionState.
+ * @returns {object}     The hooks.
+ */
+function createRollupHooks (state) {
+  const valuesKey = () => toConstantsKey(state.info)
+  return {
+    async buildStart () {
+      await state.refresh()
+      for (const file of state.gitFiles) {
+        if (fs.existsSync(file)) this.addWatchFile(file)
+      }
+    },
+
+    watchChange (id) {
+      state.invalidate(id)
+    },
+
+    transform (code) {
+      const replaced = replaceConstants(code, state.info)
+      if (replaced === null) return null
+      return { code: replaced, map: null, meta: { gitverdiff: { key: valuesKey() } } }
+    },
+
+    shouldTransformCachedModule ({ meta }) {
+      return Boolean(meta.gitverdiff) && meta.gitverdiff.key !== valuesKey()
+    },
+
+    generateBundle () {
+      if (!state.versionFileName) return
+      this.emitFile({ type: 'asset', fileName: state.versionFileName, source: toVersionFile(state.info) })
+    }
+  }
+}
+
+module.exports = {
+  CONSTANTS,
+  createRollupHooks,
+  createVersionState,
+  replaceConstants,
+  toConstantsKey,
+  toDefinitions,
+  toVersionFile
+}
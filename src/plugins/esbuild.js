@@ -0,0 +1,61 @@
+/***********************************
+ * File: src/plugins/esbuild.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { createVersionState, replaceConstants, toVersionFile } = require('./core')
+
+// esbuild loaders of the files the constants are replaced in, by extension.
+const LOADERS = { '.ts': 'ts', '.mts': 'ts', '.cts': 'ts', '.tsx': 'tsx', '.jsx': 'jsx' }
+
+/**
+ * esbuild plugin replacing the version constants (process.env.GITVERDIFF_VERSION,
+ * import.meta.env.GITVERDIFF_VERSION, ... see ENV_VARIABLES) in the bundled files.
+ * The package root defaults to absWorkingDir. esbuild does not report which files changed,
+ * so in watch mode the version is computed again on each rebuild.
+ * The version file is written next to the output files, unless `write` is false or the output
+ * goes to stdout.
+ *
+ * @param {object} [options] The options of generateVersionHash, plus versionFile (see createVersionState).
+ * @returns {object}         The plugin.
+ */
+function gitverdiffEsbuild (options = {}) {
+  const state = createVersionState(options)
+
+  return {
+    name: 'gitverdiff',
+
+    setup (build) {
+      const { absWorkingDir = process.cwd(), outdir, outfile, write } = build.initialOptions
+      state.setDefaultPackageRoot(absWorkingDir)
+
+      build.onStart(async () => {
+        state.invalidate()
+        try {
+          await state.refresh()
+        } catch (error) {
+          return { errors: [{ text: error.message }] }
+        }
+      })
+
+      build.onLoad({ filter: /\.[cm]?[jt]sx?$/, namespace: 'file' }, async args => {
+        const replaced = replaceConstants(await fs.promises.readFile(args.path, 'utf8'), state.info)
+        if (replaced === null) return undefined
+        return { contents: replaced, loader: LOADERS[path.extname(args.path)] || 'js' }
+      })
+
+      build.onEnd(async result => {
+        if (!state.versionFileName || !state.info || write === false || result.errors.length) return
+        if (!outdir && !outfile) return
+        const dir = path.resolve(absWorkingDir, outdir || path.dirname(outfile))
+        await fs.promises.mkdir(dir, { recursive: true })
+        await fs.promises.writeFile(path.join(dir, state.versionFileName), toVersionFile(state.info))
+      })
+    }
+  }
+}
+
+module.exports = gitverdiffEsbuild
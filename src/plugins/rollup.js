@@ -0,0 +1,21 @@
+/***********************************
+ * File: src/plugins/rollup.js
+ ***********************************/
+
+'use strict'
+
+const { createRollupHooks, createVersionState } = require('./core')
+
+/**
+ * Rollup plugin replacing the version constants (process.env.GITVERDIFF_VERSION,
+ * import.meta.env.GITVERDIFF_VERSION, ... see ENV_VARIABLES) in the bundled modules.
+ * In watch mode the version is computed again when a relevant file changes.
+ *
+ * @param {object} [options] The options of generateVersionHash, plus versionFile (see createVersionState).
+ * @returns {object}         The plugin.
+ */
+function gitverdiffRollup (options = {}) {
+  return { name: 'gitverdiff', ...createRollupHooks(createVersionState(options)) }
+}
+
+module.exports = gitverdiffRollup
@@ -0,0 +1,83 @@
+/***********************************
+ * File: src/plugins/vite.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { createRollupHooks, createVersionState, toConstantsKey } = require('./core')
+
+/**
+ * Vite plugin replacing the version constants (import.meta.env.GITVERDIFF_VERSION,
+ * process.env.GITVERDIFF_VERSION, ... see ENV_VARIABLES) in the application modules.
+ * The package root defaults to the Vite root. With the dev server, the version is computed
+ * again when a relevant file changes, and the page is reloaded when it changed.
+ *
+ * @param {object} [options] The options of generateVersionHash, plus versionFile (see createVersionState).
+ * @returns {object}         The plugin.
+ */
+function gitverdiffVite (options = {}) {
+  const state = createVersionState(options)
+  const hooks = createRollupHooks(state)
+  // Modules using the constants, invalidated by the dev server when the version changes.
+  const modules = new Set()
+  // Watchers of the directories holding the Git files, by directory (Vite does not watch .git).
+  const gitWatchers = new Map()
+
+  return {
+    name: 'gitverdiff',
+    enforce: 'pre',
+    ...hooks,
+
+    configResolved (config) {
+      state.setDefaultPackageRoot(config.root)
+    },
+
+    transform (code, id) {
+      const result = hooks.transform.call(this, code, id)
+      if (result) modules.add(id)
+      return result
+    },
+
+    configureServer (server) {
+      const onChange = async file => {
+        if (!state.invalidate(file)) return
+        const previous = toConstantsKey(state.info)
+        try {
+          await state.refresh()
+        } catch (error) {
+          server.config.logger.error(`[gitverdiff] ${error.message}`)
+          return
+        }
+        watchGitFiles()
+        if (toConstantsKey(state.info) === previous) return
+        for (const id of modules) {
+          const module = server.moduleGraph.getModuleById(id)
+          if (module) server.moduleGraph.invalidateModule(module)
+        }
+        server.ws.send({ type: 'full-reload' })
+      }
+
+      const watchGitFiles = () => {
+        for (const dir of new Set(state.gitFiles.map(file => path.dirname(file)))) {
+          if (gitWatchers.has(dir) || !fs.existsSync(dir)) continue
+          const watcher = fs.watch(dir, (event, name) => name && onChange(path.join(dir, name)))
+          watcher.on('error', () => {})
+          watcher.unref()
+          gitWatchers.set(dir, watcher)
+        }
+      }
+
+      server.watcher.on('all', (event, file) => onChange(file))
+      state.refresh().then(watchGitFiles, () => {})
+    },
+
+    closeBundle () {
+      for (const watcher of gitWatchers.values()) watcher.close()
+      gitWatchers.clear()
+    }
+  }
+}
+
+module.exports = gitverdiffVite
@@ -0,0 +1,56 @@
+/***********************************
+ * File: src/plugins/webpack.js
+ ***********************************/
+
+'use strict'
+
+const { CONSTANTS, createVersionState, toDefinitions, toVersionFile } = require('./core')
+
+const PLUGIN_NAME = 'gitverdiff'
+
+/**
+ * webpack plugin defining the version constants (process.env.GITVERDIFF_VERSION,
+ * import.meta.env.GITVERDIFF_VERSION, ... see ENV_VARIABLES) with DefinePlugin.
+ * The package root defaults to the webpack context. In watch mode the version is computed again
+ * when a relevant file changes, and the modules using the constants are rebuilt when it did.
+ * Works with or without `new`.
+ *
+ * @param {object} [options] The options of generateVersionHash, plus versionFile (see createVersionState).
+ * @returns {{ apply: function(object): void }} The plugin.
+ */
+function gitverdiffWebpack (options = {}) {
+  const state = createVersionState(options)
+
+  return {
+    apply (compiler) {
+      const { Compilation, DefinePlugin, sources } = compiler.webpack
+      state.setDefaultPackageRoot(compiler.context)
+
+      // Runtime values are evaluated for each compilation, and modules using them are rebuilt
+      // when they change (the second argument makes them uncacheable).
+      const definitions = {}
+      for (const { expression } of CONSTANTS) {
+        definitions[expression] = DefinePlugin.runtimeValue(() => toDefinitions(state.info)[expression], true)
+      }
+      new DefinePlugin(definitions).apply(compiler)
+
+      compiler.hooks.watchRun.tap(PLUGIN_NAME, () => {
+        for (const file of [...(compiler.modifiedFiles || []), ...(compiler.removedFiles || [])]) {
+          state.invalidate(file)
+        }
+      })
+      compiler.hooks.beforeCompile.tapPromise(PLUGIN_NAME, () => state.refresh())
+
+      compiler.hooks.thisCompilation.tap(PLUGIN_NAME, compilation => {
+        // webpack does not watch .git.
+        compilation.fileDependencies.addAll(state.gitFiles)
+        if (!state.versionFileName) return
+        compilation.hooks.processAssets.tap({ name: PLUGIN_NAME, stage: Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL }, () => {
+          compilation.emitAsset(state.versionFileName, new sources.RawSource(toVersionFile(state.info)))
+        })
+      })
+    }
+  }
+}
+
+module.exports = gitverdiffWebpack
@@ -0,0 +1,89 @@
+/***********************************
+ * File: src/semver.js
+ ***********************************/
+
+'use strict'
+
+// The regular expression suggested by the SemVer 2.0.0 specification.
+const SEMVER_PATTERN = /^(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*)(?:\.(?:0|[1-9]\d*|\d*[a-zA-Z-][0-9a-zA-Z-]*))*))?(?:\+([0-9a-zA-Z-]+(?:\.[0-9a-zA-Z-]+)*))?$/
+
+/**
+ * Parses a SemVer 2.0 version.
+ *
+ * @param {string} version The version, e.g. "1.2.3-beta.1+build.5".
+ * @returns {{ core: string, prerelease: string[], build: string[] }|null} Null if the version is invalid.
+ */
+function parseSemver (version) {
+  const match = SEMVER_PATTERN.exec(version)
+  if (!match) return null
+  return {
+    core: `${match[1]}.${match[2]}.${match[3]}`,
+    prerelease: match[4] ? match[4].split('.') : [],
+    build: match[5] ? match[5].split('.') : []
+  }
+}
+
+/**
+ * Checks whether a string is a valid SemVer 2.0 version.
+ *
+ * @param {string} version The version to check.
+ * @returns {boolean}
+ */
+function isValidSemver (version) {
+  return SEMVER_PATTERN.test(version)
+}
+
+/**
+ * Turns an arbitrary value, such as a branch name, into a single SemVer identifier:
+ * runs of characters other than [0-9A-Za-z-] become "-", and leading zeros are dropped
+ * from numeric identifiers, which SemVer forbids in pre-release versions.
+ *
+ * @param {string} value The value.
+ * @returns {string}     The identifier, or an empty string if nothing is left.
+ */
+function toSemverIdentifier (value) {
+  const identifier = String(value || '').replace(/[^0-9A-Za-z-]+/g, '-').replace(/^-+|-+$/g, '')
+  return /^\d+$/.test(identifier) ? identifier.replace(/^0+(?=\d)/, '') : identifier
+}
+
+/**
+ * Builds a SemVer 2.0 version from the Git state: `<version>-<branch>.g<short sha>+<diff hash>`.
+ * The branch and commit go in the pre-release, so that every commit gets a distinct version;
+ * the diff hash of uncommitted changes goes in the build metadata. Pre-release and build
+ * identifiers already present in the package version are kept first.
+ *
+ * @param {object} parts                  The version parts.
+ * @param {string} parts.packageVersion   The package.json version ("0.0.0" when empty).
+ * @param {string} parts.branch           The branch name; omitted when empty.
+ * @param {string} parts.shortCommit      The short commit hash; omitted when empty. Prefixed with "g",
+ *                                        as in `git describe`, so an all-digit hash stays valid.
+ * @param {string} parts.diffHash         The diff hash; omitted when empty.
+ * @returns {string}                      The version.
+ */
+function buildSemver ({ packageVersion, branch, shortCommit, diffHash }) {
+  const base = parseSemver(packageVersion || '0.0.0')
+  if (!base) {
+    throw new Error(`Package version "${packageVersion}" is not a valid SemVer 2.0 version`)
+  }
+  const prerelease = [
+    ...base.prerelease,
+    toSemverIdentifier(branch),
+    shortCommit ? `g${shortCommit}` : ''
+  ].filter(Boolean)
+  const build = [...base.build, toSemverIdentifier(diffHash)].filter(Boolean)
+
+  const version = base.core +
+    (prerelease.length ? `-${prerelease.join('.')}` : '') +
+    (build.length ? `+${build.join('.')}` : '')
+  if (!isValidSemver(version)) {
+    throw new Error(`Generated version "${version}" is not a valid SemVer 2.0 version`)
+  }
+  return version
+}
+
+module.exports = {
+  buildSemver,
+  isValidSemver,
+  parseSemver,
+  toSemverIdentifier
+}
@@ -0,0 +1,244 @@
+/***********************************
+ * File: src/stamp.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const { matchesPatterns } = require('./patterns')
+
+// Name of the stamped files: [name] and [ext] are those of the original file (ext with its dot).
+const DEFAULT_TEMPLATE = '[name].[version][ext]'
+
+// Files whose references to stamped files are rewritten.
+const DEFAULT_REWRITE = ['**/*.html', '**/*.htm', '**/*.css']
+
+const DEFAULT_MANIFEST = 'manifest.json'
+
+// Directories never searched for artifacts.
+const SKIPPED_DIRS = ['node_modules', '.git']
+
+/**
+ * Lists the files of a directory, recursively.
+ *
+ * @param {string} dir        The directory.
+ * @param {string} [prefix]   The path of the directory relative to the listed root.
+ * @returns {string[]}        Paths relative to the root, with "/" separators.
+ */
+function listFiles (dir, prefix = '') {
+  const files = []
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const relativePath = prefix + entry.name
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.includes(entry.name)) files.push(...listFiles(path.join(dir, entry.name), relativePath + '/'))
+    } else if (entry.isFile()) {
+      files.push(relativePath)
+    }
+  }
+  return files.sort()
+}
+
+/**
+ * Gives the stamped path of a file, e.g. "js/app.v1.2.3.js" for "js/app.js".
+ *
+ * @param {string} relativePath The path of the file, with "/" separators.
+ * @param {string} version      The version.
+ * @param {string} template     The name template (see DEFAULT_TEMPLATE).
+ * @returns {string}
+ */
+function toStampedPath (relativePath, version, template) {
+  const { dir, base, ext } = path.posix.parse(relativePath)
+  const values = { name: base.slice(0, base.length - ext.length), version, ext }
+  const name = template.replace(/\[(name|version|ext)\]/g, (match, key) => values[key])
+  return dir ? `${dir}/${name}` : name
+}
+
+/**
+ * Escapes a string for use in a regular expression.
+ *
+ * @param {string} value The string.
+ * @returns {string}
+ */
+function escapeRegExp (value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Replaces the references to stamped files in the contents of an HTML or CSS file. A reference
+ * is a path relative to the file (optionally starting with "./") or to the artifacts directory
+ * (starting with "/"), delimited by quotes, parentheses, whitespace, "=", "," or the end of an
+ * HTML tag, and may be followed by a query or a fragment.
+ *
+ * @param {string} content                The contents.
+ * @param {string} filePath               The path of the file, relative to the artifacts directory.
+ * @param {{ from: string, to: string }[]} stamped The stamped files, relative to the artifacts directory.
+ * @returns {{ content: string, count: number }} The new contents and the number of replaced references.
+ */
+function rewriteReferences (content, filePath, stamped) {
+  const replacements = new Map()
+  const fileDir = path.posix.dirname(filePath)
+  for (const { from, to } of stamped) {
+    replacements.set(path.posix.relative(fileDir, from), path.posix.relative(fileDir, to))
+    replacements.set(`/${from}`, `/${to}`)
+  }
+  // Longest first, so that "app.js.map" is not matched as "app.js".
+  const references = [...replacements.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp)
+  const pattern = new RegExp(`(^|[\\s"'(=,])(\\./)?(${references.join('|')})(?=[\\s"'),>?#]|$)`, 'g')
+  let count = 0
+  const result = content.replace(pattern, (match, before, dot, reference) => {
+    count++
+    return before + (dot || '') + replacements.get(reference)
+  })
+  return { content: result, count }
+}
+
+/**
+ * Reads the manifest written by an earlier run, if any.
+ *
+ * @param {string} manifestPath The path of the manifest.
+ * @returns {Object<string, string>} The original paths mapped to the stamped ones ({} if there is
+ *                                   no manifest, or not one of ours).
+ */
+function readManifest (manifestPath) {
+  try {
+    const entries = JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    if (entries && typeof entries === 'object' && !Array.isArray(entries) &&
+        Object.values(entries).every(value => typeof value === 'string')) {
+      return Object.assign(Object.create(null), entries)
+    }
+  } catch (error) {
+    // No manifest yet.
+  }
+  return Object.create(null)
+}
+
+/**
+ * Gives a regular expression matching the stamped paths of files, whatever the version.
+ *
+ * @param {string[]} originals The paths of the original files, with "/" separators.
+ * @param {string} template    The name template (see DEFAULT_TEMPLATE).
+ * @returns {RegExp|null}      null when there are no files.
+ */
+function stampedPathPattern (originals, template) {
+  if (!originals.length) return null
+  const sources = originals.map(file => escapeRegExp(toStampedPath(file, '\0', template)).split('\0').join('[^/]+'))
+  return new RegExp(`^(?:${sources.join('|')})$`)
+}
+
+/**
+ * Plans the stamping of build artifacts: which files are copied (or renamed) to names embedding
+ * the version, which files get their references rewritten and what the manifest holds.
+ *
+ * Stamping is repeatable: the files stamped by earlier runs (those the existing manifest lists,
+ * and those named after its original files by the template) are neither stamped nor rewritten
+ * again, the references to the previous stamped names are rewritten to the new ones, and the
+ * entries of the existing manifest are kept unless the same files are stamped again. The stamped
+ * files get the rewritten contents, so that copied files are left as they were.
+ *
+ * @param {string} version                  The version, valid in file names.
+ * @param {string[]} patterns               Glob patterns of the files to stamp, relative to the
+ *                                          artifacts directory; "!pattern" excludes.
+ * @param {object} options
+ * @param {string} options.dir              The artifacts directory.
+ * @param {string} [options.template]       The name of the stamped files (see DEFAULT_TEMPLATE).
+ * @param {boolean} [options.rename]        Rename the files instead of copying them.
+ * @param {string} [options.manifest]       Path of the manifest, relative to the artifacts directory.
+ * @param {string[]} [options.rewrite]      Glob patterns of the files whose references are rewritten.
+ * @returns {{
+ *   dir: string,
+ *   mode: string,
+ *   files: { from: string, to: string }[],
+ *   rewrites: { file: string, count: number, content: string }[],
+ *   manifest: { path: string, entries: Object<string, string> }
+ * }} The plan, with paths relative to the artifacts directory; rewritten files are given by the
+ *    path they are written to, the stamped one for stamped files.
+ */
+function planStamp (version, patterns, { dir, template = DEFAULT_TEMPLATE, rename = false, manifest = DEFAULT_MANIFEST, rewrite = DEFAULT_REWRITE }) {
+  if (!template.includes('[version]')) {
+    throw new Error(`Invalid template: ${template} (expected a [version] placeholder)`)
+  }
+  if (!fs.existsSync(dir)) {
+    throw new Error(`No such directory: ${dir}`)
+  }
+  const manifestPath = manifest.split(path.sep).join('/')
+  const previous = readManifest(path.join(dir, manifestPath))
+  const previousOutputs = new Set(Object.values(previous))
+  const previousPattern = stampedPathPattern(Object.keys(previous), template)
+  const isStampedBefore = file => previousOutputs.has(file) ||
+    (!(file in previous) && previousPattern !== null && previousPattern.test(file))
+
+  const allFiles = listFiles(dir).filter(file => file !== manifestPath && !isStampedBefore(file))
+  const files = allFiles
+    .filter(file => matchesPatterns(file, patterns))
+    .map(file => ({ from: file, to: toStampedPath(file, version, template) }))
+  if (!files.length) {
+    throw new Error(`No files match ${patterns.join(', ')} in ${dir}`)
+  }
+
+  // References to the original names, and to the names given by the previous run.
+  const references = [...files]
+  for (const { from, to } of files) {
+    if (from in previous && previous[from] !== to) references.push({ from: previous[from], to })
+  }
+  const stampedPaths = new Map(files.map(({ from, to }) => [from, to]))
+  const rewrites = []
+  for (const file of allFiles) {
+    if (!matchesPatterns(file, rewrite)) continue
+    const { content, count } = rewriteReferences(fs.readFileSync(path.join(dir, file), 'utf8'), file, references)
+    if (count) rewrites.push({ file: stampedPaths.get(file) || file, count, content })
+  }
+
+  return {
+    dir,
+    mode: rename ? 'rename' : 'copy',
+    files,
+    rewrites,
+    manifest: { path: manifestPath, entries: { ...previous, ...Object.fromEntries(stampedPaths) } }
+  }
+}
+
+/**
+ * Carries out a stamping plan: copies or renames the files, then writes the rewritten contents
+ * (to the stamped files, for the stamped ones) and the manifest.
+ *
+ * @param {object} plan As returned by planStamp.
+ */
+function applyStamp ({ dir, mode, files, rewrites, manifest }) {
+  for (const { from, to } of files) {
+    if (mode === 'rename') {
+      fs.renameSync(path.join(dir, from), path.join(dir, to))
+    } else {
+      fs.copyFileSync(path.join(dir, from), path.join(dir, to))
+    }
+  }
+  for (const { file, content } of rewrites) {
+    fs.writeFileSync(path.join(dir, file), content)
+  }
+  fs.mkdirSync(path.dirname(path.join(dir, manifest.path)), { recursive: true })
+  fs.writeFileSync(path.join(dir, manifest.path), JSON.stringify(manifest.entries, null, 2) + '\n')
+}
+
+/**
+ * Stamps build artifacts with a version (see planStamp), unless it is a dry run.
+ *
+ * @param {string} version                  The version, valid in file names.
+ * @param {string[]} patterns               Glob patterns of the files to stamp.
+ * @param {object} options                  The options of planStamp, plus:
+ * @param {boolean} [options.dryRun]        Only plan, without writing anything.
+ * @returns {object}                        The plan (see planStamp).
+ */
+function stampFiles (version, patterns, options) {
+  const plan = planStamp(version, patterns, options)
+  if (!options.dryRun) applyStamp(plan)
+  return plan
+}
+
+module.exports = {
+  DEFAULT_MANIFEST,
+  DEFAULT_REWRITE,
+  DEFAULT_TEMPLATE,
+  rewriteReferences,
+  stampFiles,
+  toStampedPath
+}
@@ -0,0 +1,90 @@
+/***********************************
+ * File: src/targets.js
+ ***********************************/
+
+'use strict'
+
+const crypto = require('crypto')
+
+// Sanitization profiles, selected with the `target` option. Each one lists the characters
+// that are not allowed (`invalid`), what replaces them, the case rule, the maximum length,
+// the characters that may not start or end the output (`edges`) and, optionally, a pattern
+// the output must start with, prefixed with the replacement character otherwise.
+const TARGETS = {
+  // File and directory names that are portable across Linux, macOS and Windows.
+  filename: { invalid: /[^A-Za-z0-9._-]+/g, replacement: '_', case: 'preserve', maxLength: 255, edges: /^[.-]+|[. ]+$/g },
+  // Docker image tags: [A-Za-z0-9_][A-Za-z0-9_.-]{0,127}.
+  docker: { invalid: /[^A-Za-z0-9_.-]+/g, replacement: '-', case: 'preserve', maxLength: 128, edges: /^[.-]+/g },
+  // npm dist-tags and SemVer pre-release identifiers.
+  npm: { invalid: /[^a-z0-9.-]+/g, replacement: '-', case: 'lower', maxLength: 214, edges: /^[.-]+|[.-]+$/g },
+  // URL path segments and query values, using unreserved characters only (RFC 3986).
+  url: { invalid: /[^A-Za-z0-9._~-]+/g, replacement: '-', case: 'preserve', maxLength: 255, edges: /^-+|-+$/g },
+  // Kubernetes label values: up to 63 characters, starting and ending with a letter or digit.
+  'k8s-label': { invalid: /[^A-Za-z0-9._-]+/g, replacement: '-', case: 'preserve', maxLength: 63, edges: /^[^A-Za-z0-9]+|[^A-Za-z0-9]+$/g },
+  // Environment variable names: uppercase letters, digits and underscores, not starting with a digit.
+  env: { invalid: /[^A-Z0-9_]+/g, replacement: '_', case: 'upper', maxLength: 255, edges: /_+$/g, start: /^[A-Z_]/ }
+}
+
+// Length of the digest appended to truncated outputs.
+const TRUNCATION_DIGEST_LENGTH = 8
+
+/**
+ * Looks up a sanitization profile.
+ *
+ * @param {string} name The profile name, e.g. "docker".
+ * @returns {object}    The profile.
+ */
+function getTarget (name) {
+  if (!Object.prototype.hasOwnProperty.call(TARGETS, name)) {
+    throw new Error(`Unknown target: ${name}. Expected one of: ${Object.keys(TARGETS).join(', ')}`)
+  }
+  return TARGETS[name]
+}
+
+/**
+ * Applies the case rule and replaces disallowed characters. Used on each token value,
+ * so that a value cannot bring in characters the target does not allow.
+ *
+ * @param {string} value  The value.
+ * @param {object} target The profile.
+ * @returns {string}
+ */
+function sanitizeValue (value, target) {
+  const cased = target.case === 'lower'
+    ? value.toLowerCase()
+    : target.case === 'upper' ? value.toUpperCase() : value
+  return cased.replace(target.invalid, target.replacement)
+}
+
+/**
+ * Makes a whole version string valid for a target: sanitizes it like a value (this covers
+ * separators and template literals), trims the edges and enforces the maximum length.
+ * Truncated outputs end with a digest of the untruncated output, so that versions which
+ * only differ past the limit stay distinct.
+ *
+ * @param {string} output The rendered version string.
+ * @param {object} target The profile.
+ * @returns {string}
+ */
+function sanitizeForTarget (output, target) {
+  let result = sanitizeValue(output, target).replace(target.edges, '')
+  if (target.start && result && !target.start.test(result)) {
+    result = target.replacement + result
+  }
+  if (result.length > target.maxLength) {
+    const digest = sanitizeValue(
+      crypto.createHash('sha256').update(result).digest('hex').slice(0, TRUNCATION_DIGEST_LENGTH),
+      target
+    )
+    const head = result.slice(0, target.maxLength - digest.length - 1).replace(target.edges, '')
+    result = head + target.replacement + digest
+  }
+  return result
+}
+
+module.exports = {
+  TARGETS,
+  getTarget,
+  sanitizeForTarget,
+  sanitizeValue
+}
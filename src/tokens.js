@@ -0,0 +1,96 @@
+/***********************************
+ * File: src/tokens.js
+ ***********************************/
+
+'use strict'
+
+const path = require('path')
+
+// Tokens computed by gitverdiff itself. Custom tokens may not reuse these names.
+const BUILTIN_TOKENS = [
+  'package-version',
+  'branch',
+  'short-commit-sha',
+  'commit-sha',
+  'diff-hash',
+  'tree-hash',
+  'deps-hash',
+  'ci-build',
+  'tag',
+  'describe',
+  'commit-count',
+  'commit-date',
+  'author',
+  'build-date',
+  'dirty'
+]
+
+/**
+ * Loads custom token providers from a CommonJS module, as named by `gitverdiff.tokens` in package.json.
+ * The module exports an object mapping token names to provider functions.
+ *
+ * @param {string} modulePath The module path, relative to baseDir.
+ * @param {string} baseDir    The directory containing the package.json that names the module.
+ * @returns {object}          The exported token providers.
+ */
+function loadTokenModule (modulePath, baseDir) {
+  const resolvedPath = path.resolve(baseDir, modulePath)
+  let exported
+  try {
+    exported = require(resolvedPath)
+  } catch (error) {
+    throw new Error(`Cannot load token module ${resolvedPath}: ${error.message}`)
+  }
+  if (!exported || typeof exported !== 'object') {
+    throw new Error(`Token module ${resolvedPath} must export an object of token providers`)
+  }
+  return exported
+}
+
+/**
+ * Merges and validates custom token providers. Later sources win over earlier ones.
+ * A provider is a function `(ctx) => string | Promise<string>`; see generateVersionHash for ctx.
+ *
+ * @param {...object} sources Objects mapping token names to provider functions.
+ * @returns {object}          The merged providers, without a prototype so that names such as
+ *                            "constructor" are only found when provided.
+ */
+function createTokenProviders (...sources) {
+  const providers = Object.create(null)
+  for (const source of sources) {
+    for (const [name, provider] of Object.entries(source || {})) {
+      if (BUILTIN_TOKENS.includes(name)) {
+        throw new Error(`Custom token "${name}" conflicts with a built-in token`)
+      }
+      if (!/^[\w.-]+$/.test(name)) {
+        throw new Error(`Invalid custom token name: "${name}"`)
+      }
+      if (typeof provider !== 'function') {
+        throw new Error(`Custom token "${name}" must be a function`)
+      }
+      providers[name] = provider
+    }
+  }
+  return providers
+}
+
+/**
+ * Turns a provider's return value into a token value; null and undefined become empty.
+ *
+ * @param {string} name The token name, for error messages.
+ * @param {*} value     The value returned by the provider (already awaited in async mode).
+ * @returns {string}
+ */
+function toTokenValue (name, value) {
+  if (value && typeof value.then === 'function') {
+    throw new Error(`Custom token "${name}" returned a Promise; use generateVersionHashAsync for asynchronous tokens`)
+  }
+  return value === null || value === undefined ? '' : String(value)
+}
+
+module.exports = {
+  BUILTIN_TOKENS,
+  createTokenProviders,
+  loadTokenModule,
+  toTokenValue
+}
@@ -4,12 +4,32 @@
 
 'use strict'
 
+const crypto = require('crypto')
 const fs = require('fs')
 const path = require('path')
 const childProcess = require('child_process')
 
+// Number of files read in parallel by the asynchronous helpers.
+const DEFAULT_CONCURRENCY = 8
+
+// SHA-256 of no input, i.e. the diff hash of a clean working tree.
+const EMPTY_HASH = 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855'
+
+// Diff hash schemes understood by hashFiles. New schemes are added, never changed,
+// so that a given scheme always reproduces the same hashes.
+const HASH_SCHEMES = ['v1', 'v2']
+const DEFAULT_HASH_SCHEME = 'v2'
+const HASH_SCHEME_V2_HEADER = 'gitverdiff diff-hash v2\n'
+const TREE_HASH_HEADER = 'gitverdiff tree-hash v1\n'
+const DEPENDENCIES_HASH_HEADER = 'gitverdiff dependencies v1\n'
+
+// Milliseconds during which a modified file is not trusted to change its stats on every write,
+// as some file systems store modification times with a 1 or 2 second granularity.
+const RACY_INTERVAL = 2000
+
 /**
- * Recursively searches parent directories for a .git folder.
+ * Recursively searches parent directories for a .git entry.
+ * The entry may be a directory, or a file pointing elsewhere as in worktrees and submodules (see resolveGitDir).
  * Returns the absolute path of the repository root if found.
  * Throws an error if none is discovered.
  *
@@ -31,37 +51,1001 @@ function findGitRoot (startDir) {
 }
 
 /**
- * Retrieves modified files recognized by Git, including untracked and deleted files.
+ * Asynchronous variant of findGitRoot.
+ *
+ * @param {string} startDir  The initial directory to begin searching from.
+ * @returns {Promise<string>} The absolute path to the directory containing .git.
+ */
+async function findGitRootAsync (startDir) {
+  let current = path.resolve(startDir)
+  while (true) {
+    if (await pathExists(path.join(current, '.git'))) {
+      return current
+    }
+    const parent = path.dirname(current)
+    if (parent === current) {
+      throw new Error(`No .git directory found up the chain from ${startDir}`)
+    }
+    current = parent
+  }
+}
+
+/**
+ * Resolves whether a path exists without blocking the event loop.
+ *
+ * @param {string} filePath   The path to check.
+ * @returns {Promise<boolean>} True if the path exists.
+ */
+function pathExists (filePath) {
+  return fs.promises.access(filePath).then(() => true, () => false)
+}
+
+/**
+ * Runs a git command without blocking the event loop.
+ *
+ * @param {string[]} args     Arguments passed to git.
+ * @param {string} cwd        The directory to run git in.
+ * @returns {Promise<string>} The command's standard output.
+ */
+function execGit (args, cwd) {
+  return new Promise((resolve, reject) => {
+    childProcess.execFile('git', args, { cwd, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) reject(Object.assign(error, { stderr }))
+      else resolve(stdout)
+    })
+  })
+}
+
+/**
+ * Runs a git command synchronously. Arguments are passed to git as-is, without a shell.
+ *
+ * @param {string[]} args Arguments passed to git.
+ * @param {string} cwd    The directory to run git in.
+ * @returns {string}      The command's standard output.
+ */
+function execGitSync (args, cwd) {
+  return childProcess.execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  })
+}
+
+/**
+ * Parses `git ls-files -m -o` and `git status --porcelain --untracked-files=all` output into a list of changes.
+ * Files listed by ls-files are "untracked" or "renamed" when the status says so and "modified"
+ * otherwise; files the status reports as deleted from the working tree are "deleted".
+ *
+ * @param {string} lsFilesOutput Output of `git ls-files -m -o --exclude-standard`.
+ * @param {string} statusOutput  Output of `git status --porcelain --untracked-files=all`: the files of
+ *                               new directories are listed one by one, rather than as the directory.
+ * @returns {{ path: string, status: string, from?: string }[]}
+ *   Changes without duplicate paths; `from` is the original path of a renamed file.
+ */
+function parseGitChanges (lsFilesOutput, statusOutput) {
+  const statusByPath = new Map()
+  for (const line of statusOutput.split('\n')) {
+    const match = /^([ MADRCU?!]{2}) (.+)$/.exec(line)
+    if (!match) continue
+    const [, code, rest] = match
+    if (code.includes('R')) {
+      const [from, to] = rest.split(' -> ')
+      statusByPath.set(to, { status: 'renamed', from })
+    } else if (code === '??') {
+      statusByPath.set(rest, { status: 'untracked' })
+    } else if (code === ' D') {
+      statusByPath.set(rest, { status: 'deleted' })
+    }
+  }
+
+  const changes = new Map()
+  for (const filePath of lsFilesOutput.split('\n').filter(Boolean)) {
+    const known = statusByPath.get(filePath)
+    const change = known && known.status !== 'deleted' ? known : { status: 'modified' }
+    changes.set(filePath, { path: filePath, ...change })
+  }
+  // Deleted files are not listed by ls-files; combine both lists, ensuring no duplicates.
+  for (const [filePath, { status }] of statusByPath) {
+    if (status === 'deleted' && !changes.has(filePath)) {
+      changes.set(filePath, { path: filePath, status })
+    }
+  }
+  return [...changes.values()]
+}
+
+/**
+ * Retrieves changes recognized by Git (modified, untracked, renamed and deleted files) with their status.
  * Assumes the current working directory is within a Git repository.
  *
- * @returns {string[]} An array of file paths that Git considers modified.
+ * @param {string} cwd A directory inside the Git repository.
+ * @returns {{ path: string, status: string, from?: string }[]} See parseGitChanges.
  */
-function getGitModifiedFiles (cwd) {
+function getGitChanges (cwd) {
   try {
     // First get the list of modified and untracked files
     const lsFilesOutput = childProcess.execSync(
       'git ls-files -m -o --exclude-standard',
       { cwd, encoding: 'utf8' }
     )
-    const files = lsFilesOutput.split('\n').filter(Boolean)
 
-    // Then get the status to identify deleted files
+    // Then get the status to identify deleted, untracked and renamed files
     const statusOutput = childProcess.execSync(
-      'git status --porcelain',
+      'git status --porcelain --untracked-files=all',
       { cwd, encoding: 'utf8' }
     )
-    const deletedFiles = statusOutput.split('\n')
-      .filter(line => line.startsWith(' D '))
-      .map(line => line.slice(3))
 
-    // Combine both lists, ensuring no duplicates
-    return [...new Set([...files, ...deletedFiles])]
+    return parseGitChanges(lsFilesOutput, statusOutput)
   } catch (err) {
     console.error('Error retrieving modified files from Git:', err)
     return []
   }
 }
 
+/**
+ * Asynchronous variant of getGitChanges. Both git commands run concurrently
+ * in child processes, so the event loop is never blocked.
+ *
+ * @param {string} cwd A directory inside the Git repository.
+ * @returns {Promise<{ path: string, status: string, from?: string }[]>} See parseGitChanges.
+ */
+async function getGitChangesAsync (cwd) {
+  try {
+    const [lsFilesOutput, statusOutput] = await Promise.all([
+      execGit(['ls-files', '-m', '-o', '--exclude-standard'], cwd),
+      execGit(['status', '--porcelain', '--untracked-files=all'], cwd)
+    ])
+    return parseGitChanges(lsFilesOutput, statusOutput)
+  } catch (err) {
+    console.error('Error retrieving modified files from Git:', err)
+    return []
+  }
+}
+
+/**
+ * Parses `git diff --name-status -z` output combined with `git ls-files -o -z` output.
+ *
+ * @param {string} diffOutput      Output of `git diff --name-status -z -M <base>`.
+ * @param {string} untrackedOutput Output of `git ls-files -o --exclude-standard -z`.
+ * @returns {{ path: string, status: string, from?: string }[]}
+ *   Changes without duplicate paths; statuses are "added", "modified", "deleted", "renamed" or "untracked".
+ */
+function parseGitChangesSince (diffOutput, untrackedOutput) {
+  const changes = new Map()
+  const fields = diffOutput.split('\0')
+  for (let i = 0; i < fields.length && fields[i]; i++) {
+    const code = fields[i][0]
+    if (code === 'R' || code === 'C') {
+      const from = fields[++i]
+      const to = fields[++i]
+      changes.set(to, code === 'R' ? { path: to, status: 'renamed', from } : { path: to, status: 'added' })
+    } else {
+      const filePath = fields[++i]
+      const status = code === 'A' ? 'added' : code === 'D' ? 'deleted' : 'modified'
+      changes.set(filePath, { path: filePath, status })
+    }
+  }
+  for (const filePath of untrackedOutput.split('\0').filter(Boolean)) {
+    if (!changes.has(filePath)) changes.set(filePath, { path: filePath, status: 'untracked' })
+  }
+  return [...changes.values()]
+}
+
+/**
+ * Rejects values that git would parse as an option rather than a ref.
+ *
+ * @param {string} since The ref passed as `since`.
+ */
+function validateSinceRef (since) {
+  if (typeof since !== 'string' || !since || since.startsWith('-')) {
+    throw new Error(`Invalid since ref: ${since}`)
+  }
+}
+
+/**
+ * Creates the error thrown when the merge base of a `since` ref cannot be determined.
+ *
+ * @param {string} since The ref passed as `since`.
+ * @param {Error} error  The error from git.
+ * @returns {Error}
+ */
+function mergeBaseError (since, error) {
+  const detail = String(error.stderr || error.message).trim()
+  return new Error(`Cannot find a merge base between ${since} and HEAD${detail ? `: ${detail}` : ''}`)
+}
+
+/**
+ * Retrieves every change between a base and the working tree: committed, staged and unstaged
+ * changes since the merge base of `since` and HEAD, plus untracked files.
+ *
+ * @param {string} cwd   A directory inside the Git repository.
+ * @param {string} since A commit, branch or tag, e.g. "origin/main".
+ * @returns {{ path: string, status: string, from?: string }[]} See parseGitChangesSince.
+ */
+function getGitChangesSince (cwd, since) {
+  validateSinceRef(since)
+  let base
+  try {
+    base = execGitSync(['merge-base', since, 'HEAD'], cwd).trim()
+  } catch (error) {
+    throw mergeBaseError(since, error)
+  }
+  return parseGitChangesSince(
+    execGitSync(['diff', '--name-status', '-z', '-M', base, '--'], cwd),
+    execGitSync(['ls-files', '-o', '--exclude-standard', '-z'], cwd)
+  )
+}
+
+/**
+ * Asynchronous variant of getGitChangesSince.
+ *
+ * @param {string} cwd   A directory inside the Git repository.
+ * @param {string} since A commit, branch or tag, e.g. "origin/main".
+ * @returns {Promise<{ path: string, status: string, from?: string }[]>} See parseGitChangesSince.
+ */
+async function getGitChangesSinceAsync (cwd, since) {
+  validateSinceRef(since)
+  let base
+  try {
+    base = (await execGit(['merge-base', since, 'HEAD'], cwd)).trim()
+  } catch (error) {
+    throw mergeBaseError(since, error)
+  }
+  const [diffOutput, untrackedOutput] = await Promise.all([
+    execGit(['diff', '--name-status', '-z', '-M', base, '--'], cwd),
+    execGit(['ls-files', '-o', '--exclude-standard', '-z'], cwd)
+  ])
+  return parseGitChangesSince(diffOutput, untrackedOutput)
+}
+
+/**
+ * Retrieves modified files recognized by Git, including untracked and deleted files.
+ * Assumes the current working directory is within a Git repository.
+ *
+ * @returns {string[]} An array of file paths that Git considers modified.
+ */
+function getGitModifiedFiles (cwd) {
+  return getGitChanges(cwd).map(change => change.path)
+}
+
+/**
+ * Asynchronous variant of getGitModifiedFiles.
+ *
+ * @param {string} cwd          A directory inside the Git repository.
+ * @returns {Promise<string[]>} An array of file paths that Git considers modified.
+ */
+async function getGitModifiedFilesAsync (cwd) {
+  return (await getGitChangesAsync(cwd)).map(change => change.path)
+}
+
+/**
+ * Parses `git ls-tree -r -z` output.
+ *
+ * @param {string} output The NUL-separated ls-tree output.
+ * @returns {{ mode: string, type: string, objectId: string, path: string }[]}
+ */
+function parseGitTree (output) {
+  return output.split('\0').filter(Boolean).map(entry => {
+    const tab = entry.indexOf('\t')
+    const [mode, type, objectId] = entry.slice(0, tab).split(' ')
+    return { mode, type, objectId, path: entry.slice(tab + 1) }
+  })
+}
+
+/**
+ * Lists every blob (and submodule commit) in a commit's tree, with paths relative to the Git root.
+ *
+ * @param {string} cwd        A directory inside the Git repository.
+ * @param {string} commitHash The commit to list; an empty string (unborn branch) yields no entries.
+ * @returns {{ mode: string, type: string, objectId: string, path: string }[]}
+ */
+function getGitTree (cwd, commitHash) {
+  if (!commitHash) return []
+  return parseGitTree(execGitSync(['ls-tree', '-r', '-z', '--full-tree', commitHash], cwd))
+}
+
+/**
+ * Asynchronous variant of getGitTree.
+ *
+ * @param {string} cwd        A directory inside the Git repository.
+ * @param {string} commitHash The commit to list; an empty string (unborn branch) yields no entries.
+ * @returns {Promise<{ mode: string, type: string, objectId: string, path: string }[]>}
+ */
+async function getGitTreeAsync (cwd, commitHash) {
+  if (!commitHash) return []
+  return parseGitTree(await execGit(['ls-tree', '-r', '-z', '--full-tree', commitHash], cwd))
+}
+
+/**
+ * Computes the tree hash: the committed object ids of the given tree entries, combined with
+ * the diff hash of the working-tree changes. It only changes when one of the entries changes
+ * in a commit, or when the working tree changes.
+ *
+ * @param {{ mode: string, type: string, objectId: string, path: string }[]} entries Entries from getGitTree.
+ * @param {string} diffHash The diff hash of the working-tree changes (EMPTY_HASH for none).
+ * @returns {string}        The hex digest.
+ */
+function hashTree (entries, diffHash) {
+  const hash = crypto.createHash('sha256').update(TREE_HASH_HEADER)
+  for (const { mode, type, objectId, path: filePath } of entries) {
+    hash.update(`${mode} ${type} ${objectId}\t${filePath}\0`)
+  }
+  if (diffHash !== EMPTY_HASH) hash.update(`diff-hash ${diffHash}\0`)
+  return hash.digest('hex')
+}
+
+/**
+ * Folds the diff hashes of dependencies into the diff hash of a package. The result only
+ * differs from the package's own diff hash when a dependency has changes.
+ *
+ * @param {string} diffHash                                 The package's diff hash ('' for no changes).
+ * @param {{ name: string, diffHash: string }[]} dependencies The dependencies, in a stable order.
+ * @returns {string}                                        The combined hex digest, or diffHash.
+ */
+function hashDependencies (diffHash, dependencies) {
+  const changed = dependencies.filter(dependency => dependency.diffHash)
+  if (!changed.length) return diffHash
+  const hash = crypto.createHash('sha256').update(DEPENDENCIES_HASH_HEADER)
+  hash.update(`diff-hash ${diffHash}\0`)
+  for (const { name, diffHash: dependencyHash } of changed) {
+    hash.update(`${name}\t${dependencyHash}\0`)
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Resolves the on-disk location of a file reported by Git.
+ * The path is tried relative to packageRoot first, then relative to gitRoot.
+ *
+ * @param {string} filePath    The file path as reported by Git.
+ * @param {string} packageRoot The package root directory.
+ * @param {string} gitRoot     The Git root directory.
+ * @returns {string|null}      The absolute path, or null if the file no longer exists.
+ */
+function resolveModifiedFile (filePath, packageRoot, gitRoot) {
+  let absolutePath = path.resolve(packageRoot, filePath)
+  if (!fs.existsSync(absolutePath)) {
+    absolutePath = path.resolve(gitRoot, filePath)
+  }
+  return fs.existsSync(absolutePath) ? absolutePath : null
+}
+
+/**
+ * Asynchronous variant of resolveModifiedFile.
+ *
+ * @param {string} filePath         The file path as reported by Git.
+ * @param {string} packageRoot      The package root directory.
+ * @param {string} gitRoot          The Git root directory.
+ * @returns {Promise<string|null>}  The absolute path, or null if the file no longer exists.
+ */
+async function resolveModifiedFileAsync (filePath, packageRoot, gitRoot) {
+  let absolutePath = path.resolve(packageRoot, filePath)
+  if (!(await pathExists(absolutePath))) {
+    absolutePath = path.resolve(gitRoot, filePath)
+  }
+  return (await pathExists(absolutePath)) ? absolutePath : null
+}
+
+/**
+ * Returns the Git file mode for a file: "120000" for symlinks, "100755" for executables, "100644" otherwise.
+ *
+ * @param {fs.Stats} stats The result of lstat.
+ * @returns {string}
+ */
+function getFileMode (stats) {
+  if (stats.isSymbolicLink()) return '120000'
+  return stats.mode & 0o111 ? '100755' : '100644'
+}
+
+/**
+ * Builds the v2 record for one change. Every field is NUL-separated and the record ends with a
+ * newline, so paths, statuses, modes and contents can never run into each other.
+ *
+ * @param {{ path: string, status: string, from?: string }} change The change.
+ * @param {string} mode   The Git file mode, or "000000" for a deleted file.
+ * @param {number} size   The content length in bytes.
+ * @param {string} digest The SHA-256 of the content, or empty for a deleted file.
+ * @returns {string}
+ */
+function frameChange (change, mode, size, digest) {
+  return [change.status, change.path, change.from || '', mode, size, digest].join('\0') + '\n'
+}
+
+/**
+ * Normalizes a hashFiles input: a bare path becomes a change whose status is decided on disk.
+ *
+ * @param {string|object} file A file path or a change from getGitChanges.
+ * @returns {{ path: string, status?: string, from?: string }}
+ */
+function toChange (file) {
+  return typeof file === 'string' ? { path: file } : file
+}
+
+/**
+ * Identifies the contents of a file by its stat data: while its inode, size and modification
+ * time are unchanged, its contents are taken to be too.
+ *
+ * @param {fs.Stats} stats The stats of the file.
+ * @returns {string}
+ */
+function toStatKey (stats) {
+  return `${stats.ino}:${stats.size}:${stats.mtimeMs}`
+}
+
+/**
+ * Gives the digest of a file from a digest cache, if it was stored for the same stat data.
+ * Symbolic links are not cached: their target is read as cheaply as their stats.
+ *
+ * @param {Map|null} cache      Digest entries { key, digest } by absolute path, or null.
+ * @param {string} absolutePath The absolute file path.
+ * @param {fs.Stats} stats      The stats of the file.
+ * @returns {string|null}       The SHA-256 of the contents, or null if it must be computed.
+ */
+function getCachedDigest (cache, absolutePath, stats) {
+  if (!cache || stats.isSymbolicLink()) return null
+  const entry = cache.get(absolutePath)
+  return entry && entry.key === toStatKey(stats) ? entry.digest : null
+}
+
+/**
+ * Stores the digest of a file in a digest cache. Files modified less than RACY_INTERVAL ago are
+ * not stored: a write within the same timestamp could change them without changing their stats.
+ *
+ * @param {Map|null} cache      Digest entries { key, digest } by absolute path, or null.
+ * @param {string} absolutePath The absolute file path.
+ * @param {fs.Stats} stats      The stats of the file, taken before it was read.
+ * @param {string} digest       The SHA-256 of the contents.
+ */
+function setCachedDigest (cache, absolutePath, stats, digest) {
+  if (!cache || stats.isSymbolicLink() || Date.now() - stats.mtimeMs < RACY_INTERVAL) return
+  cache.set(absolutePath, { key: toStatKey(stats), digest })
+}
+
+/**
+ * Builds the v2 record for a change by reading it from gitRoot.
+ *
+ * @param {{ path: string, status?: string, from?: string }} change The change.
+ * @param {string} gitRoot The Git root directory.
+ * @param {Map|null} [cache] Digests to reuse for files whose stats are unchanged (see getCachedDigest).
+ * @param {function|null} [filter] Turns the contents into what is hashed (see hashFiles); filtered
+ *                         files are not cached.
+ * @returns {{ record: string, digest: string }} The framed record and the SHA-256 of the contents ('' if deleted).
+ */
+function describeChange (change, gitRoot, cache = null, filter = null) {
+  const absolutePath = path.resolve(gitRoot, change.path)
+  let stats
+  try {
+    stats = fs.lstatSync(absolutePath)
+  } catch (error) {
+    if (!isMissingFileError(error)) throw error
+    return { record: frameChange({ ...change, status: 'deleted' }, '000000', 0, ''), digest: '' }
+  }
+  let size
+  let digest = filter ? null : getCachedDigest(cache, absolutePath, stats)
+  if (digest === null) {
+    const content = stats.isSymbolicLink()
+      ? Buffer.from(fs.readlinkSync(absolutePath))
+      : applyFilter(filter, fs.readFileSync(absolutePath))
+    size = content.length
+    digest = crypto.createHash('sha256').update(content).digest('hex')
+    if (!filter) setCachedDigest(cache, absolutePath, stats, digest)
+  } else {
+    size = stats.size
+  }
+  return { record: frameChange({ status: 'modified', ...change }, getFileMode(stats), size, digest), digest }
+}
+
+/**
+ * Asynchronous variant of describeChange; file contents are hashed as a stream.
+ *
+ * @param {{ path: string, status?: string, from?: string }} change The change.
+ * @param {string} gitRoot The Git root directory.
+ * @param {Map|null} [cache] Digests to reuse for files whose stats are unchanged (see getCachedDigest).
+ * @param {function|null} [filter] As for describeChange.
+ * @returns {Promise<{ record: string, digest: string }>} The framed record and the SHA-256 of the contents.
+ */
+async function describeChangeAsync (change, gitRoot, cache = null, filter = null) {
+  const absolutePath = path.resolve(gitRoot, change.path)
+  let stats
+  try {
+    stats = await fs.promises.lstat(absolutePath)
+  } catch (error) {
+    if (!isMissingFileError(error)) throw error
+    return { record: frameChange({ ...change, status: 'deleted' }, '000000', 0, ''), digest: '' }
+  }
+  let size
+  let digest = filter ? null : getCachedDigest(cache, absolutePath, stats)
+  if (digest !== null) {
+    size = stats.size
+  } else if (stats.isSymbolicLink()) {
+    const target = Buffer.from(await fs.promises.readlink(absolutePath))
+    size = target.length
+    digest = crypto.createHash('sha256').update(target).digest('hex')
+  } else if (filter) {
+    const content = applyFilter(filter, await fs.promises.readFile(absolutePath))
+    size = content.length
+    digest = crypto.createHash('sha256').update(content).digest('hex')
+  } else {
+    ({ size, digest } = await hashStream(absolutePath))
+    setCachedDigest(cache, absolutePath, stats, digest)
+  }
+  return { record: frameChange({ status: 'modified', ...change }, getFileMode(stats), size, digest), digest }
+}
+
+/**
+ * Applies a content filter (see hashFiles) to the contents of a file.
+ *
+ * @param {function|null} filter  The filter, or null to keep the contents as they are.
+ * @param {Buffer} content        The contents.
+ * @returns {Buffer}
+ */
+function applyFilter (filter, content) {
+  return filter ? Buffer.from(filter(content.toString('utf8'))) : content
+}
+
+/**
+ * Hashes a file as a stream.
+ *
+ * @param {string} filePath                               The absolute file path.
+ * @returns {Promise<{ size: number, digest: string }>}   Byte length and SHA-256 hex digest.
+ */
+function hashStream (filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256')
+    let size = 0
+    fs.createReadStream(filePath)
+      .on('data', chunk => {
+        size += chunk.length
+        hash.update(chunk)
+      })
+      .on('error', reject)
+      .on('end', () => resolve({ size, digest: hash.digest('hex') }))
+  })
+}
+
+/**
+ * Checks that a hash scheme is known.
+ *
+ * @param {string} scheme The scheme name.
+ * @returns {string}      The scheme name.
+ */
+function validateHashScheme (scheme) {
+  if (!HASH_SCHEMES.includes(scheme)) {
+    throw new Error(`Unknown hash scheme: ${scheme} (expected one of ${HASH_SCHEMES.join(', ')})`)
+  }
+  return scheme
+}
+
+/**
+ * Computes the diff hash of the given files, in order.
+ *
+ * Scheme "v1" hashes the raw contents of all files back to back; deleted files contribute
+ * a `DELETED:<path>` marker. It ignores paths, modes and renames, and is kept so that
+ * existing hashes stay reproducible.
+ * Scheme "v2" hashes one framed record per file: status, path relative to gitRoot, original
+ * path for renames, file mode, length and the SHA-256 of the contents.
+ * Either way, an empty file list yields EMPTY_HASH.
+ *
+ * @param {Array<string|object>} files      File paths or changes from getGitChanges.
+ * @param {string} packageRoot              The package root directory.
+ * @param {string} gitRoot                  The Git root directory.
+ * @param {object} [options]                Hashing options.
+ * @param {string} [options.scheme]         "v1" or "v2" (defaults to DEFAULT_HASH_SCHEME).
+ * @param {Map} [options.cache]             With "v2", digests of the files by absolute path (a Map, or an
+ *                                          object with the same get and set, see openDigestCache), reused while
+ *                                          their inode, size and modification time are unchanged, and
+ *                                          updated with the files read.
+ * @param {Map} [options.filters]           Functions by absolute path, turning the contents of a file (a string)
+ *                                          into what is hashed in their place, as Git's clean filters do.
+ * @param {function(object, string): void} [options.onFile] Called for each file, in order, with its change
+ *                                          and the SHA-256 of its contents ('' if deleted).
+ * @returns {string}                        The hex digest.
+ */
+function hashFiles (files, packageRoot, gitRoot, options = {}) {
+  const scheme = validateHashScheme(options.scheme || DEFAULT_HASH_SCHEME)
+  const onFile = options.onFile || (() => {})
+  const filterFor = absolutePath => (options.filters && options.filters.get(absolutePath)) || null
+  if (!files.length) return EMPTY_HASH
+  const hash = crypto.createHash('sha256')
+  if (scheme === 'v2') hash.update(HASH_SCHEME_V2_HEADER)
+  for (const change of files.map(toChange)) {
+    if (scheme === 'v2') {
+      const { record, digest } = describeChange(change, gitRoot, options.cache, filterFor(path.resolve(gitRoot, change.path)))
+      hash.update(record)
+      onFile(change, digest)
+      continue
+    }
+    const absolutePath = resolveModifiedFile(change.path, packageRoot, gitRoot)
+    if (absolutePath === null) {
+      hash.update(`DELETED:${change.path}`)
+      onFile(change, '')
+    } else {
+      const content = applyFilter(filterFor(absolutePath), fs.readFileSync(absolutePath))
+      hash.update(content)
+      if (options.onFile) onFile(change, crypto.createHash('sha256').update(content).digest('hex'))
+    }
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Asynchronous variant of hashFiles. Files are read as streams, with up to `concurrency`
+ * of them in flight at once, and are fed into the hash in order so the digest matches hashFiles.
+ *
+ * @param {Array<string|object>} files      File paths or changes from getGitChanges.
+ * @param {string} packageRoot              The package root directory.
+ * @param {string} gitRoot                  The Git root directory.
+ * @param {object} [options]                Hashing options.
+ * @param {string} [options.scheme]         "v1" or "v2" (defaults to DEFAULT_HASH_SCHEME).
+ * @param {number} [options.concurrency]    Maximum number of files read at the same time.
+ * @param {Map} [options.cache]             As for hashFiles.
+ * @param {Map} [options.filters]           As for hashFiles.
+ * @param {function(object, string): void} [options.onFile] As for hashFiles.
+ * @returns {Promise<string>}               The hex digest.
+ */
+async function hashFilesAsync (files, packageRoot, gitRoot, options = {}) {
+  const scheme = validateHashScheme(options.scheme || DEFAULT_HASH_SCHEME)
+  const onFile = options.onFile || (() => {})
+  const filterFor = absolutePath => (options.filters && options.filters.get(absolutePath)) || null
+  if (!files.length) return EMPTY_HASH
+  const hash = crypto.createHash('sha256')
+  if (scheme === 'v2') hash.update(HASH_SCHEME_V2_HEADER)
+  await forEachOrdered(
+    files.map(toChange),
+    options.concurrency || DEFAULT_CONCURRENCY,
+    async change => {
+      if (scheme === 'v2') {
+        const { record, digest } = await describeChangeAsync(change, gitRoot, options.cache, filterFor(path.resolve(gitRoot, change.path)))
+        return { change, chunks: [record], digest }
+      }
+      const absolutePath = await resolveModifiedFileAsync(change.path, packageRoot, gitRoot)
+      if (absolutePath === null) return { change, chunks: [`DELETED:${change.path}`], digest: '' }
+      const filter = filterFor(absolutePath)
+      const chunks = filter ? [applyFilter(filter, Buffer.concat(await readFileChunks(absolutePath)))] : await readFileChunks(absolutePath)
+      const digest = options.onFile
+        ? chunks.reduce((fileHash, chunk) => fileHash.update(chunk), crypto.createHash('sha256')).digest('hex')
+        : ''
+      return { change, chunks, digest }
+    },
+    ({ change, chunks, digest }) => {
+      chunks.forEach(chunk => hash.update(chunk))
+      onFile(change, digest)
+    }
+  )
+  return hash.digest('hex')
+}
+
+/**
+ * Runs an asynchronous task for every item with bounded concurrency, and hands the results
+ * to `consume` in the original order. At most `concurrency` results are held at a time.
+ *
+ * @param {Array} items                     The items to process.
+ * @param {number} concurrency              Maximum number of tasks in flight.
+ * @param {function(*): Promise<*>} task    Produces the result for one item.
+ * @param {function(*): void} consume       Receives each result, in item order.
+ * @returns {Promise<void>}
+ */
+async function forEachOrdered (items, concurrency, task, consume) {
+  const pending = []
+  let next = 0
+
+  const startNext = () => {
+    const result = task(items[next++])
+    // Avoid unhandled rejections for tasks that fail before their turn comes.
+    result.catch(() => {})
+    pending.push(result)
+  }
+
+  while (next < items.length && pending.length < Math.max(1, concurrency)) startNext()
+  while (pending.length) {
+    const result = await pending.shift()
+    if (next < items.length) startNext()
+    consume(result)
+  }
+}
+
+/**
+ * Reads a file as a stream and collects its chunks.
+ *
+ * @param {string} filePath     The absolute file path.
+ * @returns {Promise<Buffer[]>} The file contents, chunk by chunk.
+ */
+function readFileChunks (filePath) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    fs.createReadStream(filePath)
+      .on('data', chunk => chunks.push(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(chunks))
+  })
+}
+
+/**
+ * Extracts the Git directory from the contents of a `.git` file ("gitdir: <path>").
+ * Worktrees and submodules use such a file instead of a `.git` directory.
+ *
+ * @param {string} content    The contents of the .git file.
+ * @param {string} dotGitPath The path of the .git file, used to resolve relative paths.
+ * @returns {string}          The absolute path of the Git directory.
+ */
+function parseGitDirFile (content, dotGitPath) {
+  const match = /^gitdir:\s*(.+?)\s*$/m.exec(content)
+  if (!match) {
+    throw new Error(`Invalid .git file at ${dotGitPath}: expected "gitdir: <path>"`)
+  }
+  return path.resolve(path.dirname(dotGitPath), match[1])
+}
+
+/**
+ * Resolves where Git keeps the repository data for a working tree.
+ * gitDir holds HEAD and per-worktree refs; commonDir holds shared refs and packed-refs.
+ * For a plain checkout both are `<gitRoot>/.git`. A worktree or submodule has a `.git` file
+ * pointing to its gitDir, and a worktree's gitDir has a `commondir` file pointing to the main repository.
+ *
+ * @param {string} gitRoot                               The Git root directory.
+ * @returns {{ gitDir: string, commonDir: string }}      Absolute paths of both directories.
+ */
+function resolveGitDir (gitRoot) {
+  const dotGitPath = path.join(gitRoot, '.git')
+  const gitDir = fs.statSync(dotGitPath).isFile()
+    ? parseGitDirFile(fs.readFileSync(dotGitPath, 'utf8'), dotGitPath)
+    : dotGitPath
+  const commonDirPath = path.join(gitDir, 'commondir')
+  const commonDir = fs.existsSync(commonDirPath)
+    ? path.resolve(gitDir, fs.readFileSync(commonDirPath, 'utf8').trim())
+    : gitDir
+  return { gitDir, commonDir }
+}
+
+/**
+ * Asynchronous variant of resolveGitDir.
+ *
+ * @param {string} gitRoot                                    The Git root directory.
+ * @returns {Promise<{ gitDir: string, commonDir: string }>}  Absolute paths of both directories.
+ */
+async function resolveGitDirAsync (gitRoot) {
+  const dotGitPath = path.join(gitRoot, '.git')
+  const gitDir = (await fs.promises.stat(dotGitPath)).isFile()
+    ? parseGitDirFile(await fs.promises.readFile(dotGitPath, 'utf8'), dotGitPath)
+    : dotGitPath
+  const commonDirPath = path.join(gitDir, 'commondir')
+  const commonDir = (await pathExists(commonDirPath))
+    ? path.resolve(gitDir, (await fs.promises.readFile(commonDirPath, 'utf8')).trim())
+    : gitDir
+  return { gitDir, commonDir }
+}
+
+/**
+ * Returns the directory a ref is stored in. Refs shared by all worktrees live in commonDir,
+ * while HEAD and a few special namespaces are private to each worktree's gitDir.
+ *
+ * @param {string} refPath                                  The ref, e.g. "refs/heads/main".
+ * @param {{ gitDir: string, commonDir: string }} gitDirs   As returned by resolveGitDir.
+ * @returns {string}                                        The directory containing the ref.
+ */
+function getRefDir (refPath, { gitDir, commonDir }) {
+  const perWorktree = refPath === 'HEAD' || /^refs\/(bisect|worktree|rewritten)\//.test(refPath)
+  return perWorktree ? gitDir : commonDir
+}
+
+/**
+ * Reads a file, returning null instead of throwing when it does not exist.
+ *
+ * @param {string} filePath The file to read.
+ * @returns {string|null}   The file contents, or null if missing.
+ */
+function readFileOrNull (filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch (error) {
+    if (isMissingFileError(error)) return null
+    throw error
+  }
+}
+
+/**
+ * Asynchronous variant of readFileOrNull.
+ *
+ * @param {string} filePath         The file to read.
+ * @returns {Promise<string|null>}  The file contents, or null if missing.
+ */
+async function readFileOrNullAsync (filePath) {
+  try {
+    return await fs.promises.readFile(filePath, 'utf8')
+  } catch (error) {
+    if (isMissingFileError(error)) return null
+    throw error
+  }
+}
+
+/**
+ * Checks whether a filesystem error means "there is no such file". A directory in place of
+ * the file counts too, e.g. refs/heads/feat when only refs/heads/feat/x exists.
+ *
+ * @param {Error} error The error thrown by fs.
+ * @returns {boolean}
+ */
+function isMissingFileError (error) {
+  return error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR'
+}
+
+/**
+ * Creates an Error carrying a machine-readable code, like Node's own errors.
+ *
+ * @param {string} code    The error code.
+ * @param {string} message The error message.
+ * @returns {Error}
+ */
+function createError (code, message) {
+  const error = new Error(message)
+  error.code = code
+  return error
+}
+
+/**
+ * Parses a packed-refs file into a map of ref name to object id.
+ * Comment lines and peeled tag lines ("^<oid>") are skipped.
+ *
+ * @param {string} content The contents of packed-refs.
+ * @returns {Map<string, string>}
+ */
+function parsePackedRefs (content) {
+  const refs = new Map()
+  for (const line of content.split(/\r?\n/)) {
+    if (!line || line.startsWith('#') || line.startsWith('^')) continue
+    const space = line.indexOf(' ')
+    if (space > 0) refs.set(line.slice(space + 1).trim(), line.slice(0, space))
+  }
+  return refs
+}
+
+// Object ids are SHA-1 (40 hex chars) or SHA-256 (64 hex chars).
+const OBJECT_ID_PATTERN = /^(?:[0-9a-f]{40}|[0-9a-f]{64})$/
+
+// Maximum number of symbolic refs followed before assuming a loop, as in Git itself.
+const MAX_SYMREF_DEPTH = 5
+
+// File readers for resolveRefSteps; the asynchronous one returns promises.
+const syncRefReader = { readFile: readFileOrNull, resolveGitDir }
+const asyncRefReader = { readFile: readFileOrNullAsync, resolveGitDir: resolveGitDirAsync }
+
+/**
+ * Resolves a ref to an object id, following symbolic refs. Each ref is looked up as a
+ * loose file first and then in packed-refs, which is where refs live after `git gc` or
+ * `git pack-refs`. Every file read is yielded so that runSync or runAsync can drive it.
+ *
+ * @param {string} gitRoot       The Git root directory.
+ * @param {string} refPath       The ref to resolve, e.g. "HEAD" or "refs/heads/main".
+ * @param {object|null} gitDirs  As returned by resolveGitDir, or null to resolve it here.
+ * @param {object} reader        Either syncRefReader or asyncRefReader.
+ * @returns {Generator}          Returns { objectId, chain }, where chain lists every ref followed.
+ */
+function * resolveRefSteps (gitRoot, refPath, gitDirs, reader) {
+  const dirs = gitDirs || (yield reader.resolveGitDir(gitRoot))
+  const chain = [refPath]
+  let packedRefs = null
+  while (true) {
+    const current = chain[chain.length - 1]
+    let value = yield reader.readFile(path.join(getRefDir(current, dirs), current))
+    if (value === null) {
+      if (packedRefs === null) {
+        packedRefs = parsePackedRefs((yield reader.readFile(path.join(dirs.commonDir, 'packed-refs'))) || '')
+      }
+      value = packedRefs.has(current) ? packedRefs.get(current) : null
+    }
+
+    if (value === null) {
+      if (chain.length > 1) {
+        throw createError('ERR_GITVERDIFF_UNBORN_BRANCH',
+          `${chain[chain.length - 2]} points to ${current}, which has no commits yet (unborn branch)`)
+      }
+      throw createError('ERR_GITVERDIFF_REF_NOT_FOUND',
+        `Ref ${current} not found as a loose ref or in packed-refs under ${dirs.commonDir}`)
+    }
+
+    value = value.trim()
+    if (value.startsWith('ref:')) {
+      const target = value.slice(4).trim()
+      if (chain.includes(target) || chain.length >= MAX_SYMREF_DEPTH) {
+        throw createError('ERR_GITVERDIFF_SYMREF_LOOP',
+          `Too many levels of symbolic refs resolving ${refPath}: ${[...chain, target].join(' -> ')}`)
+      }
+      chain.push(target)
+      continue
+    }
+    if (!OBJECT_ID_PATTERN.test(value)) {
+      throw createError('ERR_GITVERDIFF_INVALID_REF',
+        `Ref ${current} does not contain a valid object id: "${value}"`)
+    }
+    return { objectId: value, chain }
+  }
+}
+
+/**
+ * Resolves a ref (loose, packed or symbolic) to the object id it points to.
+ * Throws an Error with one of these codes when it cannot:
+ * - ERR_GITVERDIFF_REF_NOT_FOUND: the ref exists neither as a loose file nor in packed-refs.
+ * - ERR_GITVERDIFF_UNBORN_BRANCH: a symbolic ref (usually HEAD) points to a branch with no commits yet.
+ * - ERR_GITVERDIFF_SYMREF_LOOP: symbolic refs point to each other in a loop.
+ * - ERR_GITVERDIFF_INVALID_REF: the ref file does not contain an object id.
+ *
+ * @param {string} gitRoot    The Git root directory.
+ * @param {string} refPath    The ref to resolve, e.g. "HEAD" or "refs/heads/main".
+ * @returns {string}          The object id.
+ */
+function resolveRef (gitRoot, refPath) {
+  return runSync(resolveRefSteps(gitRoot, refPath, null, syncRefReader)).objectId
+}
+
+/**
+ * Asynchronous variant of resolveRef.
+ *
+ * @param {string} gitRoot    The Git root directory.
+ * @param {string} refPath    The ref to resolve, e.g. "HEAD" or "refs/heads/main".
+ * @returns {Promise<string>} The object id.
+ */
+async function resolveRefAsync (gitRoot, refPath) {
+  return (await runAsync(resolveRefSteps(gitRoot, refPath, null, asyncRefReader))).objectId
+}
+
+/**
+ * Resolves HEAD into a commit hash and branch name.
+ * On an unborn branch (a repository without commits) the commit hash is empty.
+ *
+ * @param {string} gitRoot  The Git root directory.
+ * @param {object} reader   Either syncRefReader or asyncRefReader.
+ * @returns {Generator}     Returns { commitHash, branchName }.
+ */
+function * readGitHeadSteps (gitRoot, reader) {
+  const gitDirs = yield reader.resolveGitDir(gitRoot)
+  const headContent = yield reader.readFile(path.join(gitDirs.gitDir, 'HEAD'))
+  if (headContent === null) {
+    throw createError('ERR_GITVERDIFF_REF_NOT_FOUND', `No HEAD file found in ${gitDirs.gitDir}`)
+  }
+  const gitHead = headContent.trim()
+
+  // Detached HEAD or direct commit: no branch.
+  let branchName = ''
+  if (gitHead.startsWith('ref:')) {
+    const refPath = gitHead.slice(4).trim() // e.g., "refs/heads/feat/test"
+    const prefix = 'refs/heads/'
+    branchName = refPath.startsWith(prefix)
+      ? refPath.slice(prefix.length) // yields "feat/test"
+      : refPath
+  }
+
+  try {
+    const { objectId } = yield * resolveRefSteps(gitRoot, 'HEAD', gitDirs, reader)
+    return { commitHash: objectId, branchName }
+  } catch (error) {
+    if (error.code === 'ERR_GITVERDIFF_UNBORN_BRANCH') return { commitHash: '', branchName }
+    throw error
+  }
+}
+
+/**
+ * Reads the current commit hash and branch name from the repository's HEAD.
+ * Worktrees and submodules are supported through resolveGitDir, and refs through resolveRef.
+ *
+ * @param {string} gitRoot The Git root directory.
+ * @returns {{ commitHash: string, branchName: string }}
+ *   The branch is empty for a detached HEAD; the commit hash is empty on an unborn branch.
+ */
+function readGitHead (gitRoot) {
+  return runSync(readGitHeadSteps(gitRoot, syncRefReader))
+}
+
+/**
+ * Asynchronous variant of readGitHead.
+ *
+ * @param {string} gitRoot The Git root directory.
+ * @returns {Promise<{ commitHash: string, branchName: string }>}
+ *   The branch is empty for a detached HEAD; the commit hash is empty on an unborn branch.
+ */
+function readGitHeadAsync (gitRoot) {
+  return runAsync(readGitHeadSteps(gitRoot, asyncRefReader))
+}
+
 /**
  * Retrieves the package version from package.json in the given packageRoot.
  *
@@ -83,7 +1067,73 @@ function getPackageVersion (packageRoot) {
 }
 
 /**
- * Reads patterns from a file in packageRoot (e.g., .gitverdiff).
+ * Asynchronous variant of getPackageVersion.
+ *
+ * @param {string} packageRoot The root directory containing package.json.
+ * @returns {Promise<string>}  The version field from package.json, or an empty string if not found.
+ */
+async function getPackageVersionAsync (packageRoot) {
+  const packageJsonPath = path.resolve(packageRoot, 'package.json')
+  if (await pathExists(packageJsonPath)) {
+    try {
+      const packageJson = JSON.parse(await fs.promises.readFile(packageJsonPath, 'utf8'))
+      return packageJson.version || ''
+    } catch (error) {
+      // If package.json is invalid, return empty string
+      return ''
+    }
+  }
+  return ''
+}
+
+/**
+ * Reads and parses package.json in the given directory.
+ *
+ * @param {string} packageRoot The directory containing package.json.
+ * @returns {object|null}      The parsed package.json, or null if it is missing or invalid.
+ */
+function readPackageJson (packageRoot) {
+  const packageJsonPath = path.resolve(packageRoot, 'package.json')
+  if (!fs.existsSync(packageJsonPath)) return null
+  try {
+    return JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Asynchronous variant of readPackageJson.
+ *
+ * @param {string} packageRoot     The directory containing package.json.
+ * @returns {Promise<object|null>} The parsed package.json, or null if it is missing or invalid.
+ */
+async function readPackageJsonAsync (packageRoot) {
+  const packageJsonPath = path.resolve(packageRoot, 'package.json')
+  if (!(await pathExists(packageJsonPath))) return null
+  try {
+    return JSON.parse(await fs.promises.readFile(packageJsonPath, 'utf8'))
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Splits the contents of a pattern file into patterns, gitignore-style: blank lines and
+ * lines starting with "#" are skipped ("\#" stands for a literal "#"), and trailing
+ * whitespace is removed.
+ *
+ * @param {string} text The file contents.
+ * @returns {string[]}
+ */
+function parsePatternLines (text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trimEnd())
+    .filter(line => line && !line.startsWith('#'))
+}
+
+/**
+ * Reads patterns from a file in packageRoot (e.g., .gitverdiff). See parsePatternLines.
  *
  * @param {string} filePath    The file path, relative to packageRoot.
  * @param {string} packageRoot The root directory of the project.
@@ -92,7 +1142,21 @@ function getPackageVersion (packageRoot) {
 function readPatternsFromFile (filePath, packageRoot) {
   const resolvedPath = path.resolve(packageRoot, filePath)
   return fs.existsSync(resolvedPath)
-    ? fs.readFileSync(resolvedPath, 'utf8').split(/\r?\n/).filter(Boolean)
+    ? parsePatternLines(fs.readFileSync(resolvedPath, 'utf8'))
+    : []
+}
+
+/**
+ * Asynchronous variant of readPatternsFromFile.
+ *
+ * @param {string} filePath     The file path, relative to packageRoot.
+ * @param {string} packageRoot  The root directory of the project.
+ * @returns {Promise<string[]>} An array of patterns read from the file, or an empty array if none found.
+ */
+async function readPatternsFromFileAsync (filePath, packageRoot) {
+  const resolvedPath = path.resolve(packageRoot, filePath)
+  return (await pathExists(resolvedPath))
+    ? parsePatternLines(await fs.promises.readFile(resolvedPath, 'utf8'))
     : []
 }
 
@@ -119,15 +1183,105 @@ function readPatternsFromPackageJson (field, packageRoot) {
   return []
 }
 
+/**
+ * Asynchronous variant of readPatternsFromPackageJson.
+ *
+ * @param {string} field       The gitverdiff field name in package.json.
+ * @param {string} packageRoot The root directory of the project.
+ * @returns {Promise<Array>}   The array of patterns or values found, or an empty array if not defined.
+ */
+async function readPatternsFromPackageJsonAsync (field, packageRoot) {
+  const packageJsonPath = path.resolve(packageRoot, 'package.json')
+  if (await pathExists(packageJsonPath)) {
+    try {
+      const packageJson = JSON.parse(await fs.promises.readFile(packageJsonPath, 'utf8'))
+      return packageJson.gitverdiff && packageJson.gitverdiff[field]
+        ? packageJson.gitverdiff[field]
+        : []
+    } catch (error) {
+      // If package.json is invalid, return empty array
+      return []
+    }
+  }
+  return []
+}
+
+/**
+ * Drives a step generator synchronously, feeding each yielded value straight back in.
+ *
+ * @param {Generator} steps The generator to run.
+ * @returns {*}             The generator's return value.
+ */
+function runSync (steps) {
+  let step = steps.next()
+  while (!step.done) {
+    step = steps.next(step.value)
+  }
+  return step.value
+}
+
+/**
+ * Drives a step generator asynchronously, awaiting each yielded value before resuming.
+ * Rejections are thrown back into the generator at the step that produced them.
+ *
+ * @param {Generator} steps The generator to run.
+ * @returns {Promise<*>}    The generator's return value.
+ */
+async function runAsync (steps) {
+  let step = steps.next()
+  while (!step.done) {
+    let value
+    try {
+      value = await step.value
+    } catch (error) {
+      step = steps.throw(error)
+      continue
+    }
+    step = steps.next(value)
+  }
+  return step.value
+}
+
 function sanitizeForFilesystem (token) {
   return token.replace(/[^a-zA-Z0-9-_.]/g, ':')
 }
 
 module.exports = {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_HASH_SCHEME,
+  EMPTY_HASH,
+  HASH_SCHEMES,
+  execGit,
+  execGitSync,
   findGitRoot,
+  findGitRootAsync,
+  getGitChanges,
+  getGitChangesAsync,
+  getGitChangesSince,
+  getGitChangesSinceAsync,
   getGitModifiedFiles,
+  getGitModifiedFilesAsync,
+  getGitTree,
+  getGitTreeAsync,
   getPackageVersion,
+  getPackageVersionAsync,
+  hashDependencies,
+  hashFiles,
+  hashFilesAsync,
+  hashTree,
+  readGitHead,
+  readGitHeadAsync,
+  readPackageJson,
+  readPackageJsonAsync,
   readPatternsFromFile,
+  readPatternsFromFileAsync,
   readPatternsFromPackageJson,
+  readPatternsFromPackageJsonAsync,
+  resolveGitDir,
+  resolveGitDirAsync,
+  resolveRef,
+  resolveRefAsync,
+  runAsync,
+  runSync,
   sanitizeForFilesystem
 }
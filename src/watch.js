@@ -0,0 +1,319 @@
+/***********************************
+ * File: src/watch.js
+ ***********************************/
+
+'use strict'
+
+const EventEmitter = require('events')
+const fs = require('fs')
+const path = require('path')
+const { CONFIG_FILES } = require('./config')
+const { matchesPatterns } = require('./patterns')
+const { readGitHead, resolveGitDir } = require('./utils')
+
+// Milliseconds without changes before the version is computed again.
+const DEFAULT_DEBOUNCE = 100
+
+// Files that change the settings, or which files Git reports, rather than the hashed contents.
+const SETTINGS_FILES = [...CONFIG_FILES, 'package.json', '.gitverdiff', '.gitverdiffignore', '.gitignore']
+
+// Directories of the working tree never watched: Git's own files are watched through
+// listGitFiles, and installed packages are not part of the working tree.
+const SKIPPED_DIRS = ['.git', 'node_modules']
+
+// Platforms where fs.watch watches a directory tree natively. Elsewhere every directory is
+// watched on its own, which lets the skipped directories out.
+const RECURSIVE_PLATFORMS = ['darwin', 'win32']
+
+/**
+ * Lists the Git files that change when the commit, the branch or the index does: HEAD, the
+ * index, packed-refs and the loose ref of the current branch.
+ *
+ * @param {string} gitRoot The Git root directory.
+ * @returns {string[]}     Absolute paths.
+ */
+function listGitFiles (gitRoot) {
+  const { gitDir, commonDir } = resolveGitDir(gitRoot)
+  const { branchName } = readGitHead(gitRoot)
+  const files = [path.join(gitDir, 'HEAD'), path.join(gitDir, 'index'), path.join(commonDir, 'packed-refs')]
+  if (branchName) files.push(path.join(commonDir, 'refs', 'heads', ...branchName.split('/')))
+  return files
+}
+
+/**
+ * Tells whether a changed file may change a version: a file matching its include and ignore
+ * patterns, a file of a workspace dependency, a settings file or one of the Git files.
+ *
+ * @param {object} info        The object returned by generateVersionInfo.
+ * @param {string[]} gitFiles  The Git files of the version, as returned by listGitFiles.
+ * @param {string} file        The path of the changed file.
+ * @returns {boolean}
+ */
+function isRelevantChange (info, gitFiles, file) {
+  const absolutePath = path.resolve(file)
+  const fromPackageRoot = path.relative(info.packageRoot, absolutePath)
+  const isInside = dir => !path.relative(dir, absolutePath).startsWith('..')
+  return gitFiles.includes(absolutePath) || (isInside(info.gitRoot) && (
+    SETTINGS_FILES.includes(path.basename(absolutePath)) ||
+    // Files of workspace dependencies are selected by their own patterns.
+    info.dependencies.some(dependency => isInside(dependency.packageRoot)) ||
+    (matchesPatterns(fromPackageRoot, info.patterns.include) && !matchesPatterns(fromPackageRoot, info.patterns.ignore))
+  ))
+}
+
+/**
+ * Tells whether a path of the working tree lies in a skipped directory.
+ *
+ * @param {string} root The root of the working tree.
+ * @param {string} file The absolute path.
+ * @returns {boolean}
+ */
+function isSkipped (root, file) {
+  return path.relative(root, file).split(path.sep).some(segment => SKIPPED_DIRS.includes(segment))
+}
+
+/**
+ * Watches a working tree, without its skipped directories.
+ *
+ * @param {string} root                     The root of the working tree.
+ * @param {function(string): void} onChange Called with the absolute path of each changed file.
+ * @returns {function(): void}              Stops watching.
+ */
+function watchTree (root, onChange) {
+  const watchers = new Map()
+
+  if (RECURSIVE_PLATFORMS.includes(process.platform)) {
+    const watcher = fs.watch(root, { recursive: true }, (event, name) => {
+      if (name && !isSkipped(root, path.join(root, name))) onChange(path.join(root, name))
+    })
+    watcher.on('error', () => {})
+    return () => watcher.close()
+  }
+
+  const unwatchDir = dir => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === dir || watched.startsWith(dir + path.sep)) {
+        watcher.close()
+        watchers.delete(watched)
+      }
+    }
+  }
+
+  const watchDir = dir => {
+    if (watchers.has(dir)) return
+    let watcher, entries
+    try {
+      watcher = fs.watch(dir, (event, name) => {
+        if (!name || SKIPPED_DIRS.includes(name)) return
+        const file = path.join(dir, name)
+        // Directories come and go with "rename" events.
+        if (event === 'rename') {
+          let stats = null
+          try {
+            stats = fs.statSync(file)
+          } catch (error) {
+            unwatchDir(file)
+          }
+          if (stats && stats.isDirectory()) watchDir(file)
+        }
+        onChange(file)
+      })
+      entries = fs.readdirSync(dir, { withFileTypes: true })
+    } catch (error) {
+      // The directory was removed in the meantime.
+      if (watcher) watcher.close()
+      return
+    }
+    watcher.on('error', () => unwatchDir(dir))
+    watchers.set(dir, watcher)
+    for (const entry of entries) {
+      if (entry.isDirectory() && !SKIPPED_DIRS.includes(entry.name)) watchDir(path.join(dir, entry.name))
+    }
+  }
+
+  watchDir(root)
+  return () => unwatchDir(root)
+}
+
+/**
+ * Iterates over the versions emitted by a watcher. An error ends the iteration by rejecting,
+ * and ending the iteration (e.g. breaking out of a for await loop) closes the watcher, and waits
+ * for it to finish its computation.
+ *
+ * @param {EventEmitter} watcher As returned by createVersionWatcher.
+ * @returns {AsyncIterator<object>}
+ */
+function iterateVersions (watcher) {
+  const queue = []
+  const waiting = []
+  let ended = watcher.closed
+
+  const push = entry => {
+    if (!waiting.length) {
+      queue.push(entry)
+      return
+    }
+    const { resolve, reject } = waiting.shift()
+    if (entry.error) reject(entry.error)
+    else resolve({ value: entry.info, done: false })
+  }
+  const onVersion = info => push({ info })
+  const onError = error => {
+    push({ error })
+    watcher.close()
+  }
+  const onClose = () => {
+    ended = true
+    watcher.off('version', onVersion)
+    watcher.off('error', onError)
+    while (waiting.length) waiting.shift().resolve({ value: undefined, done: true })
+  }
+
+  watcher.on('version', onVersion)
+  watcher.on('error', onError)
+  watcher.once('close', onClose)
+  return {
+    next () {
+      if (queue.length) {
+        const entry = queue.shift()
+        return entry.error ? Promise.reject(entry.error) : Promise.resolve({ value: entry.info, done: false })
+      }
+      if (ended) return Promise.resolve({ value: undefined, done: true })
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }))
+    },
+    return () {
+      queue.length = 0
+      onClose()
+      return watcher.close().then(() => ({ value: undefined, done: true }))
+    },
+    [Symbol.asyncIterator] () {
+      return this
+    }
+  }
+}
+
+/**
+ * Watches the working tree and the Git files of a version, and emits the version whenever it
+ * changes. It is computed right away, then again once no relevant change (see isRelevantChange)
+ * was reported for `debounce` milliseconds; a change during a computation leads to another one.
+ *
+ * The watcher emits "version" with the version info, first with the current version and then
+ * only when the version string differs from the last one emitted; "error" when a computation
+ * fails, if there are listeners; and "close". It is also an async iterable of the version infos.
+ * After a failure the next change retries: until a first version gives the Git root, every change
+ * under `root` counts.
+ *
+ * @param {object} options
+ * @param {function(): Promise<object>} options.compute Computes the version info.
+ * @param {function(string): void} options.invalidate   Called with the absolute path of each relevant
+ *                                                      changed file, before the next computation.
+ * @param {number} [options.debounce]                   Milliseconds to wait for changes to settle
+ *                                                      (defaults to DEFAULT_DEBOUNCE).
+ * @param {string} [options.root]                       The directory watched until a first version is
+ *                                                      computed (defaults to the current directory).
+ * @param {AbortSignal} [options.signal]                Closes the watcher when aborted.
+ * @returns {EventEmitter} The watcher, with `info` (the latest version info, or null before the
+ *                         first one), `closed` and `close()`, which stops watching and returns a
+ *                         promise settled once the computation in progress, if any, is over.
+ */
+function createVersionWatcher ({ compute, invalidate, debounce = DEFAULT_DEBOUNCE, root = process.cwd(), signal }) {
+  const watcher = new EventEmitter()
+  const gitWatchers = new Map()
+  let gitFiles = []
+  let stopTree = null
+  let treeRoot = null
+  let timer = null
+  let computing = null
+  let again = false
+
+  const onChange = file => {
+    if (watcher.closed || (watcher.info && !isRelevantChange(watcher.info, gitFiles, file))) return
+    invalidate(path.resolve(file))
+    clearTimeout(timer)
+    timer = setTimeout(update, debounce)
+  }
+
+  const watchWorkingTree = dir => {
+    if (treeRoot === dir) return
+    if (stopTree) stopTree()
+    stopTree = watchTree(dir, onChange)
+    treeRoot = dir
+  }
+
+  const watchGitFiles = () => {
+    for (const dir of new Set(gitFiles.map(file => path.dirname(file)))) {
+      if (gitWatchers.has(dir) || !fs.existsSync(dir)) continue
+      const gitWatcher = fs.watch(dir, (event, name) => name && onChange(path.join(dir, name)))
+      gitWatcher.on('error', () => {
+        gitWatcher.close()
+        gitWatchers.delete(dir)
+      })
+      gitWatchers.set(dir, gitWatcher)
+    }
+  }
+
+  // Computes the version until no change came in meanwhile. Returns the running computation,
+  // which never rejects.
+  const update = () => {
+    if (computing) {
+      again = true
+      return computing
+    }
+    computing = run()
+    return computing
+  }
+
+  const run = async () => {
+    do {
+      again = false
+      try {
+        const info = await compute()
+        if (watcher.closed) break
+        const previous = watcher.info
+        watcher.info = info
+        gitFiles = listGitFiles(info.gitRoot)
+        watchWorkingTree(info.gitRoot)
+        watchGitFiles()
+        if (!previous || previous.version !== info.version) watcher.emit('version', info)
+      } catch (error) {
+        if (watcher.closed) break
+        // Without a version there is no Git root yet: watch the root for the change that fixes it.
+        if (!watcher.info) watchWorkingTree(path.resolve(root))
+        if (watcher.listenerCount('error')) watcher.emit('error', error)
+      }
+    } while (again && !watcher.closed)
+    computing = null
+  }
+
+  watcher.info = null
+  watcher.closed = false
+  watcher.close = () => {
+    if (!watcher.closed) {
+      watcher.closed = true
+      clearTimeout(timer)
+      if (stopTree) stopTree()
+      for (const gitWatcher of gitWatchers.values()) gitWatcher.close()
+      gitWatchers.clear()
+      if (signal) signal.removeEventListener('abort', watcher.close)
+      watcher.emit('close')
+    }
+    // The version being computed is dropped, but the computation cannot be interrupted.
+    return computing || Promise.resolve()
+  }
+  watcher[Symbol.asyncIterator] = () => iterateVersions(watcher)
+
+  if (signal && signal.aborted) {
+    watcher.close()
+    return watcher
+  }
+  if (signal) signal.addEventListener('abort', watcher.close)
+  update()
+  return watcher
+}
+
+module.exports = {
+  DEFAULT_DEBOUNCE,
+  createVersionWatcher,
+  isRelevantChange,
+  listGitFiles
+}
@@ -0,0 +1,169 @@
+/***********************************
+ * File: src/workspaces.js
+ ***********************************/
+
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const yaml = require('js-yaml')
+const { minimatch } = require('minimatch')
+const { matchesPatterns } = require('./patterns')
+const { runAsync, runSync } = require('./utils')
+
+// Directories never searched for workspace packages.
+const SKIPPED_DIRS = ['node_modules']
+
+const syncIO = {
+  exists: filePath => fs.existsSync(filePath),
+  readFile: filePath => fs.readFileSync(filePath, 'utf8'),
+  readDirs: dir => fs.readdirSync(dir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+}
+
+const asyncIO = {
+  exists: filePath => fs.promises.access(filePath).then(() => true, () => false),
+  readFile: filePath => fs.promises.readFile(filePath, 'utf8'),
+  readDirs: async dir => (await fs.promises.readdir(dir, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+}
+
+/**
+ * Reads the workspace patterns of a directory: the `packages` of pnpm-workspace.yaml, or the
+ * `workspaces` field of package.json (a list, or Yarn's `{ packages }` object).
+ *
+ * @param {string} dir  The directory.
+ * @param {object} io   Either syncIO or asyncIO.
+ * @returns {Generator} Returns { manifest, patterns }, or null if the directory declares no workspaces.
+ */
+function * readWorkspacePatternsSteps (dir, io) {
+  const pnpmWorkspacePath = path.join(dir, 'pnpm-workspace.yaml')
+  if (yield io.exists(pnpmWorkspacePath)) {
+    let manifest
+    try {
+      manifest = yaml.load(yield io.readFile(pnpmWorkspacePath)) || {}
+    } catch (error) {
+      throw new Error(`Invalid ${pnpmWorkspacePath}: ${error.message}`)
+    }
+    return { manifest: pnpmWorkspacePath, patterns: [].concat(manifest.packages || []) }
+  }
+  const packageJsonPath = path.join(dir, 'package.json')
+  if (yield io.exists(packageJsonPath)) {
+    let workspaces
+    try {
+      workspaces = JSON.parse(yield io.readFile(packageJsonPath)).workspaces
+    } catch (error) {
+      // Like readPackageJson, treat an invalid package.json as declaring nothing.
+      return null
+    }
+    if (workspaces) {
+      return { manifest: packageJsonPath, patterns: [].concat(Array.isArray(workspaces) ? workspaces : workspaces.packages || []) }
+    }
+  }
+  return null
+}
+
+/**
+ * Lists the directories below root matching the workspace patterns, descending only into
+ * directories that may lead to a match.
+ *
+ * @param {string} root         The workspace root.
+ * @param {string[]} patterns   Directory patterns relative to root; "!pattern" excludes.
+ * @param {object} io           Either syncIO or asyncIO.
+ * @returns {Generator}         Returns the matching directories, relative to root, in sorted order.
+ */
+function * findPackageDirsSteps (root, patterns, io) {
+  const positive = patterns.filter(pattern => !pattern.startsWith('!'))
+  const matches = []
+  const visit = function * (relativeDir) {
+    const names = (yield io.readDirs(path.join(root, relativeDir))).sort()
+    for (const name of names) {
+      if (SKIPPED_DIRS.includes(name) || name.startsWith('.')) continue
+      const relativePath = relativeDir ? `${relativeDir}/${name}` : name
+      if (matchesPatterns(relativePath, patterns)) matches.push(relativePath)
+      if (positive.some(pattern => minimatch(relativePath, pattern, { partial: true }))) {
+        yield * visit(relativePath)
+      }
+    }
+  }
+  yield * visit('')
+  return matches
+}
+
+/**
+ * Finds the workspace around a directory and its packages.
+ *
+ * @param {string} startDir The directory to start from; the lookup goes up to gitRoot.
+ * @param {string} gitRoot  The Git root directory.
+ * @param {object} io       Either syncIO or asyncIO.
+ * @returns {Generator}     Returns the workspace (see readWorkspaces), or null.
+ */
+function * readWorkspacesSteps (startDir, gitRoot, io) {
+  let root = path.resolve(startDir)
+  let declared = yield * readWorkspacePatternsSteps(root, io)
+  while (!declared) {
+    const parent = path.dirname(root)
+    if (root === path.resolve(gitRoot) || parent === root) return null
+    root = parent
+    declared = yield * readWorkspacePatternsSteps(root, io)
+  }
+
+  // Patterns are written like "packages/*", "./apps/**" or "packages/*/".
+  const patterns = declared.patterns.map(pattern => {
+    const negated = pattern.startsWith('!')
+    const glob = (negated ? pattern.slice(1) : pattern).replace(/^\.\//, '').replace(/\/+$/, '')
+    return negated ? `!${glob}` : glob
+  })
+  const packages = []
+  for (const relativeDir of yield * findPackageDirsSteps(root, patterns, io)) {
+    const dir = path.join(root, relativeDir)
+    const packageJsonPath = path.join(dir, 'package.json')
+    if (!(yield io.exists(packageJsonPath))) continue
+    let name
+    try {
+      name = JSON.parse(yield io.readFile(packageJsonPath)).name
+    } catch (error) {
+      throw new Error(`Invalid ${packageJsonPath}: ${error.message}`)
+    }
+    packages.push({ name: name || relativeDir, dir })
+  }
+  const duplicate = packages.find((pkg, index) => packages.findIndex(other => other.name === pkg.name) !== index)
+  if (duplicate) {
+    throw new Error(`Several workspace packages are named ${duplicate.name}`)
+  }
+  return { root, manifest: declared.manifest, packages }
+}
+
+/**
+ * Finds the workspace containing a directory: the nearest directory, up to the Git root, with
+ * a pnpm-workspace.yaml or a `workspaces` field in package.json. Its packages are the directories
+ * matching the workspace patterns that hold a package.json; node_modules and hidden directories
+ * are skipped.
+ *
+ * @param {string} startDir The directory to start from.
+ * @param {string} gitRoot  The Git root directory.
+ * @returns {{ root: string, manifest: string, packages: Array<{ name: string, dir: string }> }|null}
+ *                          The workspace root, the file declaring the workspaces and the packages,
+ *                          named after their package.json (or their path when unnamed); null if none.
+ */
+function readWorkspaces (startDir, gitRoot) {
+  return runSync(readWorkspacesSteps(startDir, gitRoot, syncIO))
+}
+
+/**
+ * Asynchronous variant of readWorkspaces.
+ *
+ * @param {string} startDir The directory to start from.
+ * @param {string} gitRoot  The Git root directory.
+ * @returns {Promise<object|null>}
+ */
+function readWorkspacesAsync (startDir, gitRoot) {
+  return runAsync(readWorkspacesSteps(startDir, gitRoot, asyncIO))
+}
+
+module.exports = {
+  readWorkspaces,
+  readWorkspacesAsync
+}
@@ -0,0 +1,108 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { openDigestCache, openDigestCacheAsync, saveDigestCache, saveDigestCacheAsync } = require('../src/cache')
+const { generateVersionInfo, generateVersionInfoAsync } = require('../src/index')
+const { git, isolateEnvironment } = require('./helpers')
+
+describe('digest cache', () => {
+  isolateEnvironment()
+
+  let repo
+  let cacheFile
+  const past = new Date(Date.now() - 60000)
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-cache-')))
+    git(['init', '-q', '-b', 'main'], repo)
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'app', version: '1.0.0' }) + '\n')
+    // Recently modified files are not cached (see setCachedDigest).
+    fs.utimesSync(path.join(repo, 'package.json'), past, past)
+    fs.mkdirSync(path.join(repo, 'node_modules'))
+    cacheFile = path.join(repo, 'node_modules/.cache/gitverdiff/digests.json')
+  })
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const filePath = path.join(repo, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, content)
+    fs.utimesSync(filePath, past, past)
+    return filePath
+  }
+
+  test('keeps the digests of the modified files between runs, without counting its own file', async () => {
+    // node_modules is not ignored here: the cache must not change the version anyway.
+    const filePath = write('src/a.js', 'a')
+    const first = generateVersionInfo({ packageRoot: repo })
+    expect(first.files.map(file => file.path)).toEqual(['package.json', 'src/a.js'])
+    const { entries } = JSON.parse(fs.readFileSync(cacheFile, 'utf8'))
+    expect(entries[filePath]).toEqual([expect.stringMatching(/^\d+:1:/), first.files[1].hash])
+
+    // With unchanged stats the cached digest is used, so a same-size edit that kept the
+    // modification time goes unnoticed, as with Git's own index...
+    write('src/a.js', 'b')
+    expect(generateVersionInfo({ packageRoot: repo }).version).toBe(first.version)
+    await expect(generateVersionInfoAsync({ packageRoot: repo })).resolves.toMatchObject({ version: first.version })
+    // ...unless the cache is disabled.
+    const uncached = generateVersionInfo({ packageRoot: repo, cache: false })
+    expect(uncached.version).not.toBe(first.version)
+
+    // Any change to the stats rehashes the file.
+    fs.utimesSync(filePath, new Date(), new Date(Date.now() - 30000))
+    await expect(generateVersionInfoAsync({ packageRoot: repo })).resolves.toMatchObject({ version: uncached.version })
+    expect(generateVersionInfo({ packageRoot: repo }).version).toBe(uncached.version)
+  })
+
+  test('lives in the nearest node_modules up to the Git root, and only there', () => {
+    write('packages/web/index.js', 'web')
+    expect(openDigestCache(path.join(repo, 'packages/web'), repo).dir).toBe(path.join(repo, 'node_modules/.cache/gitverdiff'))
+    fs.mkdirSync(path.join(repo, 'packages/web/node_modules'))
+    expect(openDigestCache(path.join(repo, 'packages/web'), repo).dir).toBe(path.join(repo, 'packages/web/node_modules/.cache/gitverdiff'))
+
+    fs.rmSync(path.join(repo, 'node_modules'), { recursive: true })
+    generateVersionInfo({ packageRoot: repo })
+    expect(openDigestCache(repo, repo)).toBeNull()
+    expect(fs.existsSync(path.join(repo, 'node_modules'))).toBe(false)
+  })
+
+  test('is not used for workspace dependencies either when disabled', () => {
+    write('package.json', JSON.stringify({ name: 'root', private: true, workspaces: ['packages/*'] }))
+    write('packages/core/package.json', JSON.stringify({ name: 'core', version: '1.0.0' }))
+    write('packages/app/package.json', JSON.stringify({ name: 'app', version: '1.0.0', dependencies: { core: '1.0.0' } }))
+    git(['add', '-A'], repo)
+    git(['commit', '-q', '-m', 'init'], repo)
+    write('packages/core/index.js', 'core')
+
+    const info = generateVersionInfo({ packageRoot: path.join(repo, 'packages/app'), dependencies: true, cache: false })
+    expect(info.dependencies.map(dependency => dependency.name)).toEqual(['core'])
+    expect(fs.existsSync(cacheFile)).toBe(false)
+    generateVersionInfo({ packageRoot: path.join(repo, 'packages/app'), dependencies: true })
+    expect(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8')).entries)).toEqual([path.join(repo, 'packages/core/index.js')])
+  })
+
+  test('merges concurrent writes and ignores broken files', async () => {
+    const one = openDigestCache(repo, repo)
+    const two = await openDigestCacheAsync(repo, repo)
+    one.set('/a', { key: '1:1:1', digest: 'a' })
+    two.set('/b', { key: '2:2:2', digest: 'b' })
+    saveDigestCache(one)
+    await saveDigestCacheAsync(two)
+    expect(openDigestCache(repo, repo).get('/a')).toEqual({ key: '1:1:1', digest: 'a' })
+    expect(openDigestCache(repo, repo).get('/b')).toEqual({ key: '2:2:2', digest: 'b' })
+    expect(fs.readdirSync(path.dirname(cacheFile))).toEqual(['digests.json'])
+
+    fs.writeFileSync(cacheFile, '{"format":1,"entr')
+    expect(openDigestCache(repo, repo).get('/a')).toBeUndefined()
+    write('a.js', 'a')
+    expect(() => generateVersionInfo({ packageRoot: repo })).not.toThrow()
+    expect(Object.keys(JSON.parse(fs.readFileSync(cacheFile, 'utf8')).entries)).toEqual([path.join(repo, 'a.js'), path.join(repo, 'package.json')])
+  })
+})
@@ -0,0 +1,51 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { detectCI } = require('../src/ci')
+
+describe('detectCI', () => {
+  test('returns null outside CI', () => {
+    expect(detectCI({})).toBeNull()
+    expect(detectCI({ CI: 'true' })).toBeNull()
+  })
+
+  test('reads GitHub Actions pushes and pull requests', () => {
+    const push = { GITHUB_ACTIONS: 'true', GITHUB_REF: 'refs/heads/feature/login', GITHUB_REF_NAME: 'feature/login', GITHUB_RUN_ID: '42' }
+    expect(detectCI(push)).toEqual({ provider: 'github-actions', branch: 'feature/login', pullRequest: '', build: '42' })
+
+    const pullRequest = { GITHUB_ACTIONS: 'true', GITHUB_REF: 'refs/pull/7/merge', GITHUB_HEAD_REF: 'fix', GITHUB_RUN_ID: '43' }
+    expect(detectCI(pullRequest)).toEqual({ provider: 'github-actions', branch: 'fix', pullRequest: '7', build: '43' })
+
+    // Tags are not branches.
+    expect(detectCI({ GITHUB_ACTIONS: 'true', GITHUB_REF: 'refs/tags/v1.0.0', GITHUB_RUN_ID: '44' }).branch).toBe('')
+  })
+
+  test('reads GitLab CI, CircleCI, Jenkins, Buildkite and Azure Pipelines', () => {
+    expect(detectCI({ GITLAB_CI: 'true', CI_COMMIT_BRANCH: 'main', CI_PIPELINE_ID: '9' }))
+      .toEqual({ provider: 'gitlab-ci', branch: 'main', pullRequest: '', build: '9' })
+    expect(detectCI({ GITLAB_CI: 'true', CI_MERGE_REQUEST_SOURCE_BRANCH_NAME: 'fix', CI_MERGE_REQUEST_IID: '3', CI_PIPELINE_ID: '10' }))
+      .toEqual({ provider: 'gitlab-ci', branch: 'fix', pullRequest: '3', build: '10' })
+
+    expect(detectCI({ CIRCLECI: 'true', CIRCLE_BRANCH: 'fix', CIRCLE_PULL_REQUEST: 'https://github.com/o/r/pull/12', CIRCLE_BUILD_NUM: '5' }))
+      .toEqual({ provider: 'circleci', branch: 'fix', pullRequest: '12', build: '5' })
+
+    expect(detectCI({ JENKINS_URL: 'http://ci', BUILD_ID: '6', BUILD_NUMBER: '6', GIT_BRANCH: 'origin/main' }))
+      .toEqual({ provider: 'jenkins', branch: 'main', pullRequest: '', build: '6' })
+    expect(detectCI({ JENKINS_URL: 'http://ci', BUILD_ID: '7', BUILD_NUMBER: '7', BRANCH_NAME: 'PR-4', CHANGE_ID: '4', CHANGE_BRANCH: 'fix' }))
+      .toEqual({ provider: 'jenkins', branch: 'fix', pullRequest: '4', build: '7' })
+
+    expect(detectCI({ BUILDKITE: 'true', BUILDKITE_BRANCH: 'main', BUILDKITE_PULL_REQUEST: 'false', BUILDKITE_BUILD_NUMBER: '8' }))
+      .toEqual({ provider: 'buildkite', branch: 'main', pullRequest: '', build: '8' })
+
+    expect(detectCI({ TF_BUILD: 'True', BUILD_SOURCEBRANCH: 'refs/heads/release/1.0', BUILD_BUILDID: '11' }))
+      .toEqual({ provider: 'azure-pipelines', branch: 'release/1.0', pullRequest: '', build: '11' })
+    expect(detectCI({
+      TF_BUILD: 'True',
+      BUILD_SOURCEBRANCH: 'refs/pull/5/merge',
+      SYSTEM_PULLREQUEST_SOURCEBRANCH: 'refs/heads/fix',
+      SYSTEM_PULLREQUEST_PULLREQUESTNUMBER: '5',
+      BUILD_BUILDID: '12'
+    })).toEqual({ provider: 'azure-pipelines', branch: 'fix', pullRequest: '5', build: '12' })
+  })
+})
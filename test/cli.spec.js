@@ -0,0 +1,232 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { COMMANDS, getHelpText, runCli } = require('../src/cli')
+const { git, isolateEnvironment } = require('./helpers')
+
+describe('cli', () => {
+  isolateEnvironment()
+
+  let repo
+  let commit
+
+  /**
+   * Runs the command line in the test repository and collects its output.
+   */
+  function run (...argv) {
+    const out = []
+    const err = []
+    const code = runCli(argv, { cwd: repo, stdout: line => out.push(line), stderr: line => err.push(line) })
+    return { code, stdout: out.join('\n'), stderr: err.join('\n') }
+  }
+
+  beforeEach(() => {
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-cli-'))
+    git(['init', '-q', '-b', 'main'], repo)
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'app', version: '1.2.3' }, null, 4))
+    fs.writeFileSync(path.join(repo, 'a.js'), 'a')
+    fs.writeFileSync(path.join(repo, 'b.md'), 'b')
+    git(['add', '.'], repo)
+    git(['commit', '-q', '-m', 'initial'], repo)
+    commit = git(['rev-parse', 'HEAD'], repo)
+  })
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true })
+  })
+
+  test('runs hash by default', () => {
+    const expected = `v1.2.3-main-${commit.slice(0, 7)}`
+    expect(run()).toEqual({ code: 0, stdout: expected, stderr: '' })
+    expect(run('hash')).toEqual({ code: 0, stdout: expected, stderr: '' })
+  })
+
+  test('supports --opt=value, repeatable flags and --', () => {
+    fs.writeFileSync(path.join(repo, 'a.js'), 'a2')
+    fs.writeFileSync(path.join(repo, 'b.md'), 'b2')
+    fs.writeFileSync(path.join(repo, '--weird.js'), 'w')
+
+    const files = (...argv) => run('files', ...argv).stdout
+    expect(files()).toBe('untracked  --weird.js\nmodified   a.js\nmodified   b.md')
+    expect(files('--ignore=*.md', '--ignore', 'a.js')).toBe('untracked  --weird.js')
+    expect(files('--include', '*.md', '--include=a.js')).toBe('modified   a.js\nmodified   b.md')
+    expect(files('--', '--weird.js')).toBe('untracked  --weird.js')
+    expect(run('--format=branch', '--separator', '.').stdout).toBe('main')
+  })
+
+  test('reports unknown options and missing values as usage errors', () => {
+    expect(run('--bogus')).toEqual({
+      code: 2,
+      stdout: '',
+      stderr: expect.stringMatching(/^Error: Unknown option '--bogus'.*\nRun "gitverdiff hash --help" for usage\.$/s)
+    })
+    expect(run('files', '--format', 'branch').stderr).toMatch(/Unknown option '--format'/)
+    expect(run('--ignore').stderr).toMatch(/argument missing/)
+    // A flag is not taken as the value of the previous option.
+    expect(run('--ignore', '--help').code).toBe(2)
+  })
+
+  test('prints the overall and per-command help', () => {
+    expect(run('--help')).toEqual({ code: 0, stdout: getHelpText(), stderr: '' })
+    for (const name of Object.keys(COMMANDS)) {
+      const { code, stdout } = run(name, '--help')
+      expect(code).toBe(0)
+      expect(stdout).toBe(getHelpText(name))
+      expect(stdout).toContain(`Usage: ${COMMANDS[name].usage}`)
+    }
+    expect(getHelpText()).toContain('  verify      Check that the current version is the expected one')
+    expect(getHelpText('hash')).toContain('  --ignore <pattern>      Glob pattern to exclude files; repeatable.')
+    expect(run('--version').stdout).toMatch(/^v\d+\.\d+\.\d+/)
+  })
+
+  test('explain and --json print the version components', () => {
+    expect(run('explain').stdout).toContain(`Version: v1.2.3-main-${commit.slice(0, 7)}`)
+    expect(JSON.parse(run('--json').stdout)).toMatchObject({ commit, branch: 'main', packageVersion: '1.2.3' })
+  })
+
+  test('env prints the version as variables', () => {
+    const lines = run('env', '--format', '{branch} {package-version}').stdout.split('\n')
+    expect(lines).toEqual([
+      'GITVERDIFF_VERSION=\'main 1.2.3\'',
+      'GITVERDIFF_PACKAGE_VERSION=1.2.3',
+      'GITVERDIFF_BRANCH=main',
+      `GITVERDIFF_COMMIT=${commit}`,
+      `GITVERDIFF_SHORT_COMMIT=${commit.slice(0, 7)}`,
+      'GITVERDIFF_DIFF_HASH=',
+      'GITVERDIFF_DIRTY=false'
+    ])
+    expect(run('env', '--export').stdout).toMatch(/^export GITVERDIFF_VERSION=v1\.2\.3-main-/)
+    expect(JSON.parse(run('env', '--json').stdout)).toMatchObject({ GITVERDIFF_BRANCH: 'main' })
+  })
+
+  test('verify compares the version with the expected one', () => {
+    const version = run().stdout
+    expect(run('verify', version)).toEqual({ code: 0, stdout: `Version matches: ${version}`, stderr: '' })
+
+    fs.writeFileSync(path.join(repo, 'a.js'), 'changed')
+    const result = run('verify', version)
+    expect(result.code).toBe(1)
+    expect(result.stderr).toMatch(new RegExp(`^Version mismatch: expected ${version}, got ${version}-[0-9a-f]{64}$`))
+    // Changes outside the include patterns do not matter.
+    expect(run('verify', version, '*.md').code).toBe(0)
+    expect(run('verify').code).toBe(2)
+  })
+
+  test('init adds a gitverdiff section to package.json', () => {
+    expect(run('init', 'src/**', '--ignore', 'src/build/**')).toEqual({
+      code: 0,
+      stdout: `Added a "gitverdiff" section to ${path.join(repo, 'package.json')}`,
+      stderr: ''
+    })
+    const text = fs.readFileSync(path.join(repo, 'package.json'), 'utf8')
+    expect(JSON.parse(text).gitverdiff).toEqual({
+      include: ['src/**'],
+      ignore: ['src/build/**'],
+      format: 'package-version,branch,short-commit-sha,diff-hash',
+      separator: '-'
+    })
+    // The indentation of the file is kept.
+    expect(text).toMatch(/^{\n {4}"name"/)
+
+    expect(run('init').stderr).toMatch(/already has a "gitverdiff" section; use --force to replace it/)
+    expect(run('init', '--force', '--separator', '.').code).toBe(0)
+    expect(JSON.parse(fs.readFileSync(path.join(repo, 'package.json'), 'utf8')).gitverdiff.separator).toBe('.')
+  })
+
+  test('workspaces prints the version of each package', () => {
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ workspaces: ['packages/*'] }))
+    for (const name of ['first', 'second-package']) {
+      fs.mkdirSync(path.join(repo, 'packages', name), { recursive: true })
+      fs.writeFileSync(path.join(repo, 'packages', name, 'package.json'), JSON.stringify({ name, version: '1.0.0' }))
+    }
+    const format = ['--format', '{package-version}']
+    expect(run('workspaces', ...format).stdout).toBe('first           1.0.0\nsecond-package  1.0.0')
+    expect(JSON.parse(run('workspaces', '--json', ...format).stdout)).toEqual({ first: '1.0.0', 'second-package': '1.0.0' })
+  })
+
+  test('emit writes the version to outputs', () => {
+    expect(run('emit', 'dotenv', 'ts:src/version.ts')).toEqual({
+      code: 0,
+      stdout: `updated    .env\nupdated    ${path.join('src', 'version.ts')}`,
+      stderr: ''
+    })
+    expect(fs.readFileSync(path.join(repo, '.env'), 'utf8')).toMatch(/^GITVERDIFF_VERSION=v1\.2\.3-main-[0-9a-f]{7}\n/)
+    expect(run('emit', 'dotenv', 'ts:src/version.ts').stdout).toBe(`unchanged  .env\nunchanged  ${path.join('src', 'version.ts')}`)
+    expect(JSON.parse(run('emit', 'json', '--json', '--format', '{package-version}').stdout)).toEqual({
+      version: '1.2.3',
+      outputs: [{ type: 'json', file: 'version.json', path: path.join(repo, 'version.json'), changed: true }]
+    })
+    expect(run('emit')).toEqual({
+      code: 1,
+      stdout: '',
+      stderr: 'Error: No outputs to write the version to (pass them, or set "outputs" in the configuration)'
+    })
+    expect(run('emit', 'yaml').stderr).toMatch(/^Error: Unknown output: yaml/)
+
+    process.env.GITVERDIFF_OUTPUTS = 'dotenv, ts:src/version.ts, json'
+    expect(run('emit').stdout).toMatch(/^\w+ +\.env\n\w+ +src.version\.ts\n\w+ +version\.json$/)
+    expect(run('files').stdout).toBe('')
+  })
+
+  test('emit writes the configured outputs, which no command counts', () => {
+    fs.writeFileSync(path.join(repo, '.gitverdiffrc.json'), JSON.stringify({ outputs: ['json', 'ts:src/version.ts', 'package-json'] }))
+    git(['add', '.'], repo)
+    git(['commit', '-q', '-m', 'outputs'], repo)
+    const version = run().stdout
+    expect(run('emit').stdout).toBe(`updated    version.json\nupdated    ${path.join('src', 'version.ts')}\nupdated    package.json`)
+    expect(run('verify', version)).toEqual({ code: 0, stdout: `Version matches: ${version}`, stderr: '' })
+    expect(run('files').stdout).toBe('')
+
+    // Other changes to package.json still count, and the version is written again.
+    const packageJsonPath = path.join(repo, 'package.json')
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))
+    fs.writeFileSync(packageJsonPath, JSON.stringify({ ...packageJson, dependencies: { lodash: '^4.0.0' } }, null, 4))
+    expect(run('verify', version).code).toBe(1)
+    const changed = run().stdout
+    expect(changed).not.toBe(version)
+    expect(run('files').stdout).toBe('modified   package.json')
+    expect(run('emit').stdout).toMatch(/^updated {4}version\.json\n/)
+    expect(JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'))).toMatchObject({ dependencies: { lodash: '^4.0.0' }, gitverdiffVersion: changed })
+    expect(run('verify', changed).code).toBe(0)
+  })
+
+  test('stamp copies artifacts to versioned names', () => {
+    fs.mkdirSync(path.join(repo, 'dist'))
+    fs.writeFileSync(path.join(repo, 'dist', 'app.js'), 'app()')
+    fs.writeFileSync(path.join(repo, 'dist', 'index.html'), '<script src="app.js"></script>')
+    const options = ['--dir', 'dist', '--format', '{branch}+{short-commit-sha}']
+    const stamped = `app.main_${commit.slice(0, 7)}.js`
+
+    expect(run('stamp', '*.js', ...options, '--dry-run')).toEqual({
+      code: 0,
+      stdout: [
+        `copy     dist/app.js -> dist/${stamped}`,
+        'rewrite  dist/index.html (1 reference)',
+        'write    dist/manifest.json',
+        'Dry run: no file was changed.'
+      ].join('\n'),
+      stderr: ''
+    })
+    expect(fs.readdirSync(path.join(repo, 'dist')).sort()).toEqual(['app.js', 'index.html'])
+
+    expect(JSON.parse(run('stamp', '*.js', ...options, '--json').stdout)).toEqual({
+      version: `main_${commit.slice(0, 7)}`,
+      files: [{ from: 'app.js', to: stamped }],
+      rewrites: [{ file: 'index.html', count: 1 }],
+      manifest: 'manifest.json'
+    })
+    expect(fs.readFileSync(path.join(repo, 'dist', 'index.html'), 'utf8')).toBe(`<script src="${stamped}"></script>`)
+    expect(run('stamp', ...options).code).toBe(2)
+  })
+
+  test('reports errors with exit code 1', () => {
+    const result = run('--format', 'nope')
+    expect(result.code).toBe(1)
+    expect(result.stderr).toMatch(/^Error: Unknown token: nope\n/)
+    expect(result.stderr).toContain('Available format tokens:')
+  })
+})
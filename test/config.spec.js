@@ -0,0 +1,106 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { applyProfile, readConfig, readConfigAsync, stripJsonComments } = require('../src/config')
+
+describe('config', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-config-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, content)
+    return filePath
+  }
+
+  test('strips JSON comments outside strings', () => {
+    const text = '{\n  // line\n  "a": "http://x/*y*/", /* block */ "b": "\\"//"\n}'
+    expect(JSON.parse(stripJsonComments(text))).toEqual({ a: 'http://x/*y*/', b: '"//' })
+  })
+
+  test('returns null without a configuration file', async () => {
+    expect(readConfig(tempDir)).toBeNull()
+    await expect(readConfigAsync(tempDir)).resolves.toBeNull()
+  })
+
+  test('reads JSON with comments, YAML and JavaScript', async () => {
+    const jsonPath = write('.gitverdiffrc.json', '{\n  // Sources only\n  "include": "src/**",\n  "separator": "."\n}')
+    const expected = { include: ['src/**'], separator: '.', profiles: {} }
+    expect(readConfig(tempDir)).toEqual({ path: jsonPath, config: expected })
+    await expect(readConfigAsync(tempDir)).resolves.toEqual({ path: jsonPath, config: expected })
+
+    fs.rmSync(jsonPath)
+    const yamlPath = write('.gitverdiffrc.yaml', '# Sources only\ninclude:\n  - src/**\nseparator: .\n')
+    expect(readConfig(tempDir)).toEqual({ path: yamlPath, config: expected })
+
+    fs.rmSync(yamlPath)
+    const jsPath = write('gitverdiff.config.js', 'module.exports = { include: ["src/**"], separator: "." }')
+    expect(readConfig(tempDir)).toEqual({ path: jsPath, config: expected })
+  })
+
+  test('resolves extends, with the extending file winning', async () => {
+    write('base/shared.yaml', 'include: ["lib/**"]\nignore: ["**/*.md"]\nprofiles:\n  docker:\n    target: docker\n  ci:\n    format: diff-hash\n')
+    write('node_modules/@acme/gitverdiff-config/index.json', '{ "format": "branch", "separator": "_" }')
+    write('node_modules/@acme/gitverdiff-config/package.json', '{ "name": "@acme/gitverdiff-config", "main": "index.json" }')
+    write('.gitverdiffrc.json', JSON.stringify({
+      extends: ['./base/shared.yaml', '@acme/gitverdiff-config'],
+      include: ['src/**'],
+      profiles: { ci: { format: 'tree-hash' } }
+    }))
+    const expected = {
+      include: ['src/**'],
+      ignore: ['**/*.md'],
+      format: 'branch',
+      separator: '_',
+      profiles: { docker: { target: 'docker' }, ci: { format: 'tree-hash' } }
+    }
+    expect(readConfig(tempDir).config).toEqual(expected)
+    await expect(readConfigAsync(tempDir)).resolves.toMatchObject({ config: expected })
+  })
+
+  test('reports invalid configurations', () => {
+    write('.gitverdiffrc.json', '{ "extends": "./a.json" }')
+    write('a.json', '{ "extends": "./.gitverdiffrc.json" }')
+    expect(() => readConfig(tempDir)).toThrow(/^Circular extends: .*\.gitverdiffrc\.json -> .*a\.json -> .*\.gitverdiffrc\.json$/)
+
+    write('.gitverdiffrc.json', '{ "extends": "./missing.json" }')
+    expect(() => readConfig(tempDir)).toThrow(/^Config file not found: .*missing\.json$/)
+
+    write('.gitverdiffrc.json', '{ "extends": "no-such-package" }')
+    expect(() => readConfig(tempDir)).toThrow(/^Cannot find config "no-such-package" extended by/)
+
+    write('.gitverdiffrc.json', '{ "includes": [] }')
+    expect(() => readConfig(tempDir)).toThrow(/^Unknown key "includes" in .*\.gitverdiffrc\.json/)
+
+    write('.gitverdiffrc.json', '{ "include": [1] }')
+    expect(() => readConfig(tempDir)).toThrow('"include" in')
+
+    write('.gitverdiffrc.json', '{ "tokens": { "foo": "bar" } }')
+    expect(() => readConfig(tempDir)).toThrow(/^"tokens" in .*\.gitverdiffrc\.json must be the path of a token module/)
+
+    write('.gitverdiffrc.json', '{ "profiles": { "x": { "extends": "./a.json" } } }')
+    expect(() => readConfig(tempDir)).toThrow('Profile "x" in')
+
+    write('.gitverdiffrc.json', '{ invalid')
+    expect(() => readConfig(tempDir)).toThrow(/^Invalid config file .*\.gitverdiffrc\.json: /)
+  })
+
+  test('applies profiles', () => {
+    const config = { include: ['src/**'], format: 'branch', profiles: { docker: { format: 'diff-hash', target: 'docker' } } }
+    expect(applyProfile(config, 'docker')).toEqual({ include: ['src/**'], format: 'diff-hash', target: 'docker' })
+    expect(applyProfile(config, 'toString')).toBeNull()
+    expect(applyProfile({}, 'docker')).toBeNull()
+  })
+})
@@ -0,0 +1,174 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { parseOutput, stripPackageJsonField } = require('../src/emit')
+const {
+  emitVersion,
+  emitVersionAsync,
+  generateVersionHash,
+  generateVersionHashAsync,
+  generateVersionInfo,
+  generateVersionInfoAsync
+} = require('../src/index')
+const { git, isolateEnvironment } = require('./helpers')
+
+describe('emit', () => {
+  isolateEnvironment()
+
+  let repo
+  let commit
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-emit-')))
+    git(['init', '-q', '-b', 'main'], repo)
+    // Git notes are commits, which need an identity.
+    git(['config', 'user.name', 'Test'], repo)
+    git(['config', 'user.email', 'test@example.com'], repo)
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'app', version: '1.2.3' }, null, 4) + '\n')
+    fs.writeFileSync(path.join(repo, 'index.js'), 'module.exports = 1\n')
+    git(['add', '-A'], repo)
+    git(['commit', '-q', '-m', 'initial'], repo)
+    commit = git(['rev-parse', 'HEAD'], repo)
+  })
+
+  afterEach(() => {
+    fs.rmSync(repo, { recursive: true, force: true })
+  })
+
+  const read = name => fs.readFileSync(path.join(repo, name), 'utf8')
+
+  test('parses outputs', () => {
+    expect(parseOutput('dotenv')).toEqual({ type: 'dotenv', file: '.env' })
+    expect(parseOutput('ts:src/version.ts')).toEqual({ type: 'ts', file: 'src/version.ts' })
+    expect(parseOutput('package-json:config.version')).toEqual({ type: 'package-json', file: 'package.json', field: 'config.version' })
+    expect(parseOutput('package-json')).toEqual({ type: 'package-json', file: 'package.json', field: 'gitverdiffVersion' })
+    expect(parseOutput({ type: 'git-note' })).toEqual({ type: 'git-note', ref: 'gitverdiff' })
+    expect(() => parseOutput('yaml')).toThrow('Unknown output: yaml (expected one of dotenv, json, esm, cjs, ts, package-json, git-note)')
+  })
+
+  test('strips the field of a package-json output', () => {
+    const manifest = '{\n  "name": "app",\n  "config": { "port": 80, "build": { "version": "v1" } }\n}\n'
+    expect(stripPackageJsonField(manifest, 'config.build.version')).toBe('{"name":"app","config":{"port":80}}')
+    expect(stripPackageJsonField(manifest, 'config.port')).toBe('{"name":"app","config":{"build":{"version":"v1"}}}')
+    expect(stripPackageJsonField(manifest, 'gitverdiffVersion')).toBe('{"name":"app","config":{"port":80,"build":{"version":"v1"}}}')
+    expect(stripPackageJsonField(manifest, 'name.first')).toBe('{"name":"app","config":{"port":80,"build":{"version":"v1"}}}')
+    expect(stripPackageJsonField('{ broken', 'gitverdiffVersion')).toBe('{ broken')
+  })
+
+  test('writes the version to files and to a Git note', () => {
+    fs.writeFileSync(path.join(repo, '.env'), 'PORT=3000\nexport GITVERDIFF_VERSION=old\n')
+    const version = `v1.2.3-main-${commit.slice(0, 7)}`
+
+    const options = {
+      packageRoot: repo,
+      outputs: ['dotenv', 'json:dist/version.json', 'esm', 'cjs', 'ts:src/version.ts', 'package-json:config.version', 'git-note']
+    }
+    const { info, outputs } = emitVersion(options)
+    expect(info.version).toBe(version)
+    expect(outputs.map(output => output.changed)).toEqual([true, true, true, true, true, true, true])
+    expect(outputs[1]).toEqual({ type: 'json', file: 'dist/version.json', path: path.join(repo, 'dist/version.json'), changed: true })
+
+    expect(read('.env')).toBe([
+      'PORT=3000',
+      `export GITVERDIFF_VERSION=${version}`,
+      'GITVERDIFF_PACKAGE_VERSION=1.2.3',
+      'GITVERDIFF_BRANCH=main',
+      `GITVERDIFF_COMMIT=${commit}`,
+      `GITVERDIFF_SHORT_COMMIT=${commit.slice(0, 7)}`,
+      'GITVERDIFF_DIFF_HASH=',
+      'GITVERDIFF_DIRTY=false',
+      ''
+    ].join('\n'))
+    const components = {
+      version,
+      packageVersion: '1.2.3',
+      branch: 'main',
+      commit,
+      shortCommit: commit.slice(0, 7),
+      diffHash: '',
+      dirty: false
+    }
+    expect(JSON.parse(read('dist/version.json'))).toEqual(components)
+    expect(read('version.mjs')).toContain(`\nexport const version = "${version}"\n`)
+    expect(require(path.join(repo, 'version.cjs'))).toEqual(components)
+    expect(read('src/version.ts')).toBe([
+      '// Generated by gitverdiff. Do not edit.',
+      '',
+      `export const version: string = "${version}"`,
+      'export const packageVersion: string = "1.2.3"',
+      'export const branch: string = "main"',
+      `export const commit: string = "${commit}"`,
+      `export const shortCommit: string = "${commit.slice(0, 7)}"`,
+      'export const diffHash: string = ""',
+      'export const dirty: boolean = false',
+      ''
+    ].join('\n'))
+    // The indentation of package.json is kept.
+    expect(read('package.json')).toBe(JSON.stringify({ name: 'app', version: '1.2.3', config: { version } }, null, 4) + '\n')
+    expect(JSON.parse(git(['notes', '--ref=gitverdiff', 'show', 'HEAD'], repo))).toEqual(components)
+
+    // The written files do not change the version, and are not written again.
+    const modified = fs.statSync(path.join(repo, 'src/version.ts')).mtimeMs
+    const again = emitVersion(options)
+    expect(again.info.version).toBe(version)
+    expect(again.outputs.map(output => output.changed)).toEqual([false, false, false, false, false, false, false])
+    expect(fs.statSync(path.join(repo, 'src/version.ts')).mtimeMs).toBe(modified)
+    // Versions computed with the same outputs, e.g. from the configuration, do not count them
+    // either, but other versions still see them.
+    expect(generateVersionHash({ packageRoot: repo, outputs: options.outputs })).toBe(version)
+    expect(generateVersionHash({ packageRoot: repo })).not.toBe(version)
+  })
+
+  test('hashes package.json without the fields of the package-json outputs', async () => {
+    fs.writeFileSync(path.join(repo, '.gitverdiffrc.json'), JSON.stringify({ outputs: ['package-json:config.build.version'] }))
+    git(['add', '-A'], repo)
+    git(['commit', '-q', '-m', 'outputs'], repo)
+    const { info } = emitVersion({ packageRoot: repo })
+    expect(JSON.parse(read('package.json')).config).toEqual({ build: { version: info.version } })
+    expect(generateVersionHash({ packageRoot: repo })).toBe(info.version)
+    await expect(generateVersionInfoAsync({ packageRoot: repo })).resolves.toMatchObject({ version: info.version, files: [] })
+    // Once the field is committed, the next version replaces it, which makes no difference either.
+    git(['commit', '-q', '-am', 'version'], repo)
+    const base = git(['rev-parse', 'HEAD'], repo)
+    const next = emitVersion({ packageRoot: repo })
+    expect(next.outputs[0].changed).toBe(true)
+    expect(generateVersionInfo({ packageRoot: repo })).toMatchObject({ version: next.info.version, files: [] })
+
+    // Any other change counts, with or without since.
+    const packageJson = JSON.parse(read('package.json'))
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ ...packageJson, version: '1.2.4' }, null, 4) + '\n')
+    const changed = generateVersionInfo({ packageRoot: repo, format: 'diff-hash' })
+    expect(changed.files).toEqual([{ path: 'package.json', status: 'modified', hash: expect.stringMatching(/^[0-9a-f]{64}$/) }])
+    await expect(generateVersionHashAsync({ packageRoot: repo, format: 'diff-hash' })).resolves.toBe(changed.version)
+    emitVersion({ packageRoot: repo })
+    expect(generateVersionHash({ packageRoot: repo, format: 'diff-hash' })).toBe(changed.version)
+    expect(generateVersionHash({ packageRoot: repo, format: 'diff-hash', since: base })).toBe(changed.version)
+    git(['commit', '-q', '-am', 'bump'], repo)
+    expect(generateVersionHash({ packageRoot: repo, format: 'diff-hash', since: base })).not.toBe('')
+  })
+
+  test('writes asynchronously, and only changed outputs', async () => {
+    await emitVersionAsync({ packageRoot: repo, outputs: ['json'] })
+    const first = JSON.parse(read('version.json'))
+    fs.writeFileSync(path.join(repo, 'index.js'), 'module.exports = 2\n')
+    const { outputs } = await emitVersionAsync({ packageRoot: repo, outputs: ['json', { type: 'esm', file: 'version.js' }] })
+    expect(outputs.map(output => output.changed)).toEqual([true, true])
+    expect(JSON.parse(read('version.json'))).toMatchObject({ dirty: true, diffHash: expect.stringMatching(/^[0-9a-f]{64}$/) })
+    expect(JSON.parse(read('version.json')).version).not.toBe(first.version)
+  })
+
+  test('rejects missing outputs and notes without a commit', () => {
+    expect(() => emitVersion({ packageRoot: repo })).toThrow('No outputs to write the version to')
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-emit-empty-'))
+    try {
+      git(['init', '-q'], empty)
+      expect(() => emitVersion({ packageRoot: empty, outputs: ['git-note'] })).toThrow('The git-note output needs a commit')
+    } finally {
+      fs.rmSync(empty, { recursive: true, force: true })
+    }
+  })
+})
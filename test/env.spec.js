@@ -0,0 +1,42 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { ENVIRONMENT_FIELDS, readEnvOptions, toEnvName, withEnvironment } = require('../src/env')
+
+describe('env', () => {
+  test('names variables after the options', () => {
+    expect(toEnvName('format')).toBe('GITVERDIFF_FORMAT')
+    expect(toEnvName('hashScheme')).toBe('GITVERDIFF_HASH_SCHEME')
+    expect(toEnvName('packageRoot')).toBe('GITVERDIFF_PACKAGE_ROOT')
+  })
+
+  test('parses lists, booleans and numbers', () => {
+    expect(readEnvOptions({
+      GITVERDIFF_INCLUDE: 'src/**, *.{js,ts}\nlib/**',
+      GITVERDIFF_SEMVER: 'true',
+      GITVERDIFF_DEPENDENCIES: '0',
+      GITVERDIFF_CONCURRENCY: '4',
+      GITVERDIFF_FORMAT: '{branch}',
+      GITVERDIFF_TARGET: '',
+      GITVERDIFF_OUTPUTS: 'dotenv, ts:src/version.ts',
+      GITVERDIFF_VERSION: 'v1.0.0'
+    })).toEqual({
+      include: ['src/**', '*.{js,ts}', 'lib/**'],
+      semver: true,
+      dependencies: false,
+      concurrency: 4,
+      format: '{branch}',
+      outputs: ['dotenv', 'ts:src/version.ts']
+    })
+
+    expect(() => readEnvOptions({ GITVERDIFF_SEMVER: 'maybe' })).toThrow('Invalid GITVERDIFF_SEMVER: maybe (expected true or false)')
+    expect(() => readEnvOptions({ GITVERDIFF_CONCURRENCY: 'lots' })).toThrow('Invalid GITVERDIFF_CONCURRENCY: lots (expected a number)')
+  })
+
+  test('fills the options that are not set', () => {
+    const env = { GITVERDIFF_FORMAT: 'branch', GITVERDIFF_IGNORE: '*.md', GITVERDIFF_SEPARATOR: '.' }
+    const options = withEnvironment({ format: 'commit-sha', ignore: [], separator: undefined }, env)
+    expect(options).toEqual({ format: 'commit-sha', ignore: ['*.md'], separator: '.', [ENVIRONMENT_FIELDS]: ['ignore', 'separator'] })
+  })
+})
@@ -0,0 +1,75 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { explainVersion } = require('../src/explain')
+
+describe('explainVersion', () => {
+  const info = {
+    version: 'v1.2.3-main-abcdef1-5f0e',
+    gitRoot: '/repo',
+    packageRoot: '/repo/packages/app',
+    patterns: { include: ['src/**', 'index.js'], ignore: ['src/build/**'] },
+    format: ['package-version', 'branch'],
+    separator: '-',
+    configSource: {
+      include: '/repo/packages/app/package.json',
+      ignore: '/repo/.gitverdiffignore',
+      format: 'default',
+      separator: 'options'
+    },
+    changes: [
+      { path: 'README.md', status: 'modified', selected: false, includedBy: null, ignoredBy: null },
+      { path: 'src/build/out.js', status: 'untracked', selected: false, includedBy: 'src/**', ignoredBy: 'src/build/**' },
+      { path: 'src/new.js', status: 'renamed', from: 'src/old.js', selected: true, includedBy: 'src/**', ignoredBy: null }
+    ],
+    dependencies: []
+  }
+
+  test('reports the source of each setting and the decision for each change', () => {
+    expect(explainVersion(info)).toBe([
+      'Git root:     /repo',
+      'Package root: /repo/packages/app',
+      '',
+      'Configuration:',
+      '  include:   src/**, index.js  (from /repo/packages/app/package.json)',
+      '  ignore:    src/build/**  (from /repo/.gitverdiffignore)',
+      '  format:    package-version,branch  (default)',
+      '  separator: "-"  (from the command line or API options)',
+      '',
+      'Changed files (paths relative to the Git root):',
+      '  excluded  modified   README.md         no include pattern matched',
+      '  ignored   untracked  src/build/out.js  include "src/**", ignore "src/build/**"',
+      '  included  renamed    src/new.js        include "src/**" (from src/old.js)',
+      '',
+      'Version: v1.2.3-main-abcdef1-5f0e'
+    ].join('\n'))
+  })
+
+  test('lists every source of merged settings', () => {
+    const report = explainVersion({ ...info, configSource: { ...info.configSource, ignore: ['/repo/package.json', 'options'] } })
+    expect(report).toContain('  ignore:    src/build/**  (merged from /repo/package.json, then from the command line or API options)')
+  })
+
+  test('lists the workspace dependencies and whether they changed', () => {
+    const report = explainVersion({
+      ...info,
+      dependencies: [
+        { name: '@acme/ui', packageRoot: '/repo/packages/ui', diffHash: '9a1c2b3d4e5f60718293a4b5' },
+        { name: 'core', packageRoot: '/repo/packages/core', diffHash: '' }
+      ]
+    })
+    expect(report).toContain('\nWorkspace dependencies:\n  @acme/ui  changed (9a1c2b3d4e5f…)\n  core      unchanged\n\nVersion:')
+  })
+
+  test('reports when nothing changed', () => {
+    const report = explainVersion({
+      ...info,
+      patterns: { include: ['**/*'], ignore: [] },
+      configSource: { ...info.configSource, ignore: 'default' },
+      changes: []
+    })
+    expect(report).toContain('  ignore:    (none)  (default)')
+    expect(report).toContain('Changed files (paths relative to the Git root):\n  (none)\n')
+  })
+})
@@ -0,0 +1,115 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { getFormatTokens, parseFormat, renderFormat } = require('../src/format')
+const { sanitizeForFilesystem } = require('../src/utils')
+
+describe('format', () => {
+  const values = {
+    'package-version': '1.2.3',
+    branch: 'Feat/New_Thing',
+    'short-commit-sha': 'abcdef1',
+    'diff-hash': '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef',
+    empty: ''
+  }
+  const render = (format, separator = '-') =>
+    renderFormat(parseFormat(format), values, { separator, sanitize: sanitizeForFilesystem })
+
+  describe('parseFormat', () => {
+    test('parses a comma-separated token list', () => {
+      expect(parseFormat('package-version, branch,diff-hash:12')).toEqual({
+        template: false,
+        parts: [
+          { token: 'package-version', length: null, modifiers: [] },
+          { token: 'branch', length: null, modifiers: [] },
+          { token: 'diff-hash', length: 12, modifiers: [] }
+        ]
+      })
+    })
+
+    test('parses an array token list', () => {
+      expect(parseFormat(['branch|upper']).parts).toEqual([
+        { token: 'branch', length: null, modifiers: [{ name: 'upper', arg: '' }] }
+      ])
+    })
+
+    test('parses a template with literals, lengths and modifiers', () => {
+      expect(parseFormat('v{package-version}+{branch|slug|default:none}.{diff-hash:8}')).toEqual({
+        template: true,
+        parts: [
+          { literal: 'v' },
+          { token: 'package-version', length: null, modifiers: [] },
+          { literal: '+' },
+          { token: 'branch', length: null, modifiers: [{ name: 'slug', arg: '' }, { name: 'default', arg: 'none' }] },
+          { literal: '.' },
+          { token: 'diff-hash', length: 8, modifiers: [] }
+        ]
+      })
+    })
+
+    test('treats doubled braces as literal braces', () => {
+      expect(parseFormat('{{{branch}}}').parts).toEqual([
+        { literal: '{' },
+        { token: 'branch', length: null, modifiers: [] },
+        { literal: '}' }
+      ])
+    })
+
+    test('throws for malformed templates', () => {
+      expect(() => parseFormat('v{package-version')).toThrow(/Unterminated token in format/)
+      expect(() => parseFormat('v}{branch}')).toThrow(/Unexpected "}" in format/)
+      expect(() => parseFormat('{branch:abc}')).toThrow(/Invalid token "branch:abc"/)
+      expect(() => parseFormat('{branch|reverse}')).toThrow(/Unknown modifier: reverse in \{branch\|reverse\}/)
+    })
+
+    test('lists the tokens used without duplicates', () => {
+      expect(getFormatTokens(parseFormat('{branch}-{diff-hash:4}-{branch|upper}'))).toEqual(['branch', 'diff-hash'])
+    })
+  })
+
+  describe('renderFormat', () => {
+    test('joins token list values with the separator and prefixes the package version', () => {
+      expect(render('package-version,branch,short-commit-sha', '|')).toBe('v1.2.3|Feat:New_Thing|abcdef1')
+    })
+
+    test('omits empty values from token lists', () => {
+      expect(render('branch,empty,short-commit-sha')).toBe('Feat:New_Thing-abcdef1')
+    })
+
+    test('renders templates with literal text and the raw package version', () => {
+      expect(render('v{package-version}+{branch|slug}.{short-commit-sha}')).toBe('v1.2.3+feat-new-thing.abcdef1')
+    })
+
+    test('truncates values to the given length', () => {
+      expect(render('{diff-hash:12}')).toBe('0123456789ab')
+      expect(render('short-commit-sha:4,diff-hash:6')).toBe('abcd-012345')
+    })
+
+    test('applies casing modifiers', () => {
+      expect(render('{branch|lower}/{branch|upper}')).toBe('feat:new_thing/FEAT:NEW_THING')
+    })
+
+    test('converts dates with the epoch and compact modifiers', () => {
+      const dates = { date: '2023-11-14T22:13:20Z', empty: '' }
+      const renderDates = format => renderFormat(parseFormat(format), dates, { separator: '-', sanitize: value => value })
+      expect(renderDates('{date|epoch}')).toBe('1700000000')
+      expect(renderDates('{date|compact}')).toBe('20231114221320')
+      expect(renderDates('{empty|epoch}{empty|compact}')).toBe('')
+    })
+
+    test('uses fallback values for empty tokens', () => {
+      expect(render('{empty|default:none}-{branch|default:none|slug}')).toBe('none-feat-new-thing')
+      expect(render('empty|default:clean,short-commit-sha')).toBe('clean-abcdef1')
+      expect(render('[{empty}]')).toBe('[]')
+    })
+
+    test('sanitizes token values but not literal text', () => {
+      expect(render('{branch}/x')).toBe('Feat:New_Thing/x')
+    })
+
+    test('throws for tokens without a value', () => {
+      expect(() => render('{missing}')).toThrow(/Unknown token: missing/)
+    })
+  })
+})
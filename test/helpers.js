@@ -0,0 +1,64 @@
+/* eslint-env jest */
+
+'use strict'
+
+// The actual module, for the specs that mock child_process.
+const childProcess = jest.requireActual('child_process')
+
+// Variables detectCI recognizes a CI provider by.
+const CI_VARIABLES = ['GITHUB_ACTIONS', 'GITLAB_CI', 'CIRCLECI', 'JENKINS_URL', 'BUILDKITE', 'TF_BUILD']
+
+/**
+ * Runs a real git command, for tests that build actual repositories. Commits are made as a
+ * test identity, whatever the Git configuration of the machine.
+ *
+ * @param {string[]} args Arguments passed to git.
+ * @param {string} cwd    The directory to run git in.
+ * @returns {string}      The output, trimmed.
+ */
+function git (args, cwd) {
+  return childProcess.execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    env: {
+      ...process.env,
+      GIT_AUTHOR_NAME: 'Test',
+      GIT_AUTHOR_EMAIL: 'test@example.com',
+      GIT_COMMITTER_NAME: 'Test',
+      GIT_COMMITTER_EMAIL: 'test@example.com'
+    }
+  }).trim()
+}
+
+/**
+ * Waits until a condition holds, for changes reported by watchers.
+ *
+ * @param {function(): boolean} condition The condition, checked every 20 milliseconds for 3 seconds.
+ * @returns {Promise<void>}
+ */
+async function waitFor (condition) {
+  for (let i = 0; i < 150 && !condition(); i++) await new Promise(resolve => setTimeout(resolve, 20))
+  expect(condition()).toBe(true)
+}
+
+/**
+ * Runs every test of the calling suite without the GITVERDIFF_* and CI variables, which change
+ * the versions, and restores the environment after each test, so that tests may set variables.
+ */
+function isolateEnvironment () {
+  const ENV = process.env
+
+  beforeEach(() => {
+    process.env = Object.fromEntries(Object.entries(ENV).filter(([name]) => !name.startsWith('GITVERDIFF_') && !CI_VARIABLES.includes(name)))
+  })
+
+  afterEach(() => {
+    process.env = ENV
+  })
+}
+
+module.exports = {
+  git,
+  isolateEnvironment,
+  waitFor
+}
@@ -6,15 +6,40 @@ const fs = require('fs')
 const os = require('os')
 const path = require('path')
 const crypto = require('crypto')
-const { generateVersionHash } = require('../src/index.js')
+const { generateVersionHash, generateVersionHashAsync, generateVersionInfo, generateVersionInfoAsync } = require('../src/index.js')
 const childProcess = require('child_process')
+const { git, isolateEnvironment } = require('./helpers')
 
-// Mock execSync so that we can simulate Git output without requiring an actual repository.
+// Mock execSync and execFile so that we can simulate Git output without requiring an actual repository.
 jest.mock('child_process', () => ({
-  execSync: jest.fn()
+  execSync: jest.fn(),
+  execFile: jest.fn(),
+  execFileSync: jest.fn()
 }))
 
+/**
+ * Makes the mocked execFile answer git commands the same way the mocked execSync does.
+ */
+function mirrorExecSyncToExecFile () {
+  childProcess.execFile.mockImplementation((file, args, options, callback) => {
+    callback(null, childProcess.execSync([file, ...args].join(' '), options))
+  })
+}
+
+/**
+ * Lets the mocked child_process run real commands, and returns the git helper for building repositories.
+ */
+function useRealGit () {
+  const actual = jest.requireActual('child_process')
+  childProcess.execSync.mockImplementation(actual.execSync)
+  childProcess.execFile.mockImplementation(actual.execFile)
+  childProcess.execFileSync.mockImplementation(actual.execFileSync)
+  return git
+}
+
 describe('generateVersionHash', () => {
+  isolateEnvironment()
+
   let tempDir
 
   beforeEach(() => {
@@ -124,10 +149,11 @@ describe('generateVersionHash', () => {
       include: ['include.js'],
       ignore: ['exclude.js'],
       format: 'diff-hash',
-      separator: '|'
+      separator: '|',
+      hashScheme: 'v1'
     })
 
-    // Compute expected diff-hash from 'included content'.
+    // Compute expected diff-hash from 'included content' (the v1 scheme hashes raw contents).
     const expectedDiffHash = crypto.createHash('sha256')
       .update('included content')
       .digest('hex')
@@ -162,7 +188,8 @@ describe('generateVersionHash', () => {
     const hash = generateVersionHash({
       packageRoot: subDir,
       format: 'package-version,branch,short-commit-sha,diff-hash',
-      separator: '@'
+      separator: '@',
+      hashScheme: 'v1'
     })
     // Diff hash should be computed from the content of the file included by the subDir config:
     const diffHash = crypto.createHash('sha256')
@@ -217,6 +244,12 @@ describe('generateVersionHash', () => {
     }).toThrow(/Unknown token: unknown/)
   })
 
+  test('throws error for tokens named after Object.prototype properties', () => {
+    childProcess.execSync.mockReturnValue('')
+    expect(() => generateVersionHash({ packageRoot: tempDir, format: 'constructor' })).toThrow(/Unknown token: constructor/)
+    expect(() => generateVersionHash({ packageRoot: tempDir, format: 'v{toString}' })).toThrow(/Unknown token: toString/)
+  })
+
   test('handles detached HEAD scenario', () => {
     // Simulate detached HEAD by writing a commit hash directly in .git/HEAD.
     const gitDir = path.join(tempDir, '.git')
@@ -236,6 +269,30 @@ describe('generateVersionHash', () => {
     expect(hash).toBe(`v1.2.3|${detachedCommit.substring(0, 7)}`)
   })
 
+  test('reads the branch ref from packed-refs when there is no loose ref', () => {
+    const gitDir = path.join(tempDir, '.git')
+    fs.rmSync(path.join(gitDir, 'refs', 'heads', 'main'))
+    fs.writeFileSync(path.join(gitDir, 'packed-refs'), [
+      '# pack-refs with: peeled fully-peeled sorted ',
+      'abcdef1234567890abcdef1234567890abcdef12 refs/heads/main',
+      '1111111111111111111111111111111111111111 refs/tags/v1.0.0',
+      '^2222222222222222222222222222222222222222',
+      ''
+    ].join('\n'))
+    childProcess.execSync.mockReturnValue('')
+    expect(generateVersionHash({ packageRoot: tempDir })).toBe('v1.2.3|main|abcdef1')
+  })
+
+  test('omits commit tokens on an unborn branch', () => {
+    fs.rmSync(path.join(tempDir, '.git', 'refs', 'heads', 'main'))
+    childProcess.execSync.mockReturnValue('')
+    const hash = generateVersionHash({
+      packageRoot: tempDir,
+      format: 'package-version,branch,short-commit-sha,commit-sha'
+    })
+    expect(hash).toBe('v1.2.3|main')
+  })
+
   test('handles non-main branch scenario (simple branch name)', () => {
     const gitDir = path.join(tempDir, '.git')
     // Simulate HEAD pointing to a branch "refs/heads/test"
@@ -290,7 +347,8 @@ describe('generateVersionHash', () => {
       packageRoot: subDir,
       include: ['../../shared/**'],
       format: 'diff-hash',
-      separator: '|'
+      separator: '|',
+      hashScheme: 'v1'
     })
     const expectedDiffHash = crypto.createHash('sha256')
       .update('shared content')
@@ -321,7 +379,7 @@ describe('generateVersionHash', () => {
     childProcess.execSync.mockImplementation((cmd, options) => {
       if (cmd === 'git ls-files -m -o --exclude-standard') {
         return ''
-      } else if (cmd === 'git status --porcelain') {
+      } else if (cmd === 'git status --porcelain --untracked-files=all') {
         return ' D file.txt\n'
       }
       return ''
@@ -360,7 +418,7 @@ describe('generateVersionHash', () => {
     childProcess.execSync.mockImplementation((cmd, options) => {
       if (cmd === 'git ls-files -m -o --exclude-standard') {
         return 'newfile.txt\n'
-      } else if (cmd === 'git status --porcelain') {
+      } else if (cmd === 'git status --porcelain --untracked-files=all') {
         return '?? newfile.txt\n'
       }
       return ''
@@ -396,7 +454,7 @@ describe('generateVersionHash', () => {
     childProcess.execSync.mockImplementation((cmd, options) => {
       if (cmd === 'git ls-files -m -o --exclude-standard') {
         return ''
-      } else if (cmd === 'git status --porcelain') {
+      } else if (cmd === 'git status --porcelain --untracked-files=all') {
         return ' D file1.txt\n D file2.txt\n'
       }
       return ''
@@ -428,7 +486,7 @@ describe('generateVersionHash', () => {
     childProcess.execSync.mockImplementation((cmd, options) => {
       if (cmd === 'git ls-files -m -o --exclude-standard') {
         return 'modified.txt\n'
-      } else if (cmd === 'git status --porcelain') {
+      } else if (cmd === 'git status --porcelain --untracked-files=all') {
         return ' M modified.txt\n D deleted.txt\n'
       }
       return ''
@@ -552,4 +610,732 @@ describe('generateVersionHash', () => {
     // Spaces should be sanitized
     expect(hash).toBe('feature:123-1122334')
   })
+
+  test('generates version hash inside a real git worktree and submodule', async () => {
+    // Drive real git for this test, so that .git files are created the way git creates them.
+    const git = useRealGit()
+    const createRepo = dir => {
+      fs.mkdirSync(dir, { recursive: true })
+      git(['init', '-q', '-b', 'main'], dir)
+      fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify({ version: '2.0.0' }))
+      git(['add', '.'], dir)
+      git(['commit', '-q', '-m', 'initial'], dir)
+      return dir
+    }
+
+    const repo = createRepo(path.join(tempDir, 'repo'))
+    const worktree = path.join(tempDir, 'worktree')
+    git(['worktree', 'add', '-q', '-b', 'feat/wt', worktree], repo)
+    const worktreeCommit = git(['rev-parse', 'HEAD'], worktree)
+    expect(generateVersionHash({ packageRoot: worktree, format: 'package-version,branch,commit-sha' }))
+      .toBe(`v2.0.0-feat:wt-${worktreeCommit}`)
+
+    const library = createRepo(path.join(tempDir, 'library'))
+    git(['-c', 'protocol.file.allow=always', 'submodule', 'add', '-q', library, 'libs/library'], repo)
+    const submodule = path.join(repo, 'libs', 'library')
+    expect(generateVersionHash({ packageRoot: submodule, format: 'branch,short-commit-sha' }))
+      .toBe(`main-${git(['rev-parse', '--short=7', 'HEAD'], library)}`)
+
+    await expect(generateVersionHashAsync({ packageRoot: worktree, format: 'package-version,branch,commit-sha' }))
+      .resolves.toBe(`v2.0.0-feat:wt-${worktreeCommit}`)
+  })
+
+  describe('template formats', () => {
+    test('renders templates with literals, lengths and modifiers', () => {
+      childProcess.execSync.mockReturnValue('file1.js')
+      fs.writeFileSync(path.join(tempDir, 'file1.js'), 'content')
+      const full = generateVersionHash({ packageRoot: tempDir, format: 'diff-hash' })
+      const hash = generateVersionHash({
+        packageRoot: tempDir,
+        format: 'v{package-version}+{branch|upper}.{short-commit-sha}.{diff-hash:12}'
+      })
+      // The separator does not apply to templates.
+      expect(hash).toBe(`v1.2.3+MAIN.abcdef1.${full.slice(0, 12)}`)
+    })
+
+    test('reads templates from package.json and applies fallbacks', () => {
+      const gitDir = path.join(tempDir, '.git')
+      fs.writeFileSync(path.join(gitDir, 'HEAD'), 'abcdef1234567890abcdef1234567890abcdef12')
+      const pkg = { version: '1.2.3', gitverdiff: { format: '{package-version}-{branch|default:detached}{diff-hash|default:}' } }
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify(pkg))
+      childProcess.execSync.mockReturnValue('')
+      expect(generateVersionHash({ packageRoot: tempDir })).toBe('1.2.3-detached')
+    })
+
+    test('supports lengths in token lists', () => {
+      childProcess.execSync.mockReturnValue('')
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'branch,commit-sha:10' })).toBe('main|abcdef1234')
+    })
+
+    test('throws for unknown tokens in templates', () => {
+      childProcess.execSync.mockReturnValue('')
+      expect(() => generateVersionHash({ packageRoot: tempDir, format: 'v{version}' })).toThrow(/Unknown token: version/)
+    })
+  })
+
+  describe('release tokens', () => {
+    test('resolves tag, describe, commit-count and commit-date from git', async () => {
+      const git = useRealGit()
+      const repo = path.join(tempDir, 'repo')
+      fs.mkdirSync(repo)
+      git(['init', '-q', '-b', 'main'], repo)
+      fs.writeFileSync(path.join(repo, 'a.js'), 'a')
+      git(['add', '.'], repo)
+      const options = { packageRoot: repo, format: '{tag|default:none}/{describe}/{commit-count}' }
+
+      // Unborn branch: nothing to describe yet.
+      expect(generateVersionHash(options)).toBe('none//')
+
+      git(['commit', '-q', '-m', 'first'], repo)
+      const first = git(['rev-parse', '--short=7', 'HEAD'], repo)
+      expect(generateVersionHash(options)).toBe(`none/${first}/1`)
+
+      git(['tag', 'v1.0.0'], repo)
+      expect(generateVersionHash(options)).toBe('v1.0.0/v1.0.0/0')
+
+      fs.writeFileSync(path.join(repo, 'a.js'), 'a2')
+      git(['commit', '-q', '-am', 'second'], repo)
+      fs.writeFileSync(path.join(repo, 'a.js'), 'a3')
+      git(['commit', '-q', '-am', 'third'], repo)
+      const describe = git(['describe', '--tags', '--always'], repo)
+      expect(describe).toMatch(/^v1\.0\.0-2-g[0-9a-f]+$/)
+      expect(generateVersionHash(options)).toBe(`v1.0.0/${describe}/2`)
+      await expect(generateVersionHashAsync(options)).resolves.toBe(`v1.0.0/${describe}/2`)
+
+      const timestamp = Number(git(['show', '-s', '--format=%ct', 'HEAD'], repo))
+      const isoDate = new Date(timestamp * 1000).toISOString().replace('.000Z', 'Z')
+      expect(generateVersionHash({ packageRoot: repo, format: '{commit-date} {commit-date|epoch}' }))
+        .toBe(`${isoDate.replace(/[^a-zA-Z0-9-_.]/g, ':')} ${timestamp}`)
+    })
+
+    test('resolves author from git', () => {
+      const git = useRealGit()
+      const repo = path.join(tempDir, 'repo')
+      fs.mkdirSync(repo)
+      git(['init', '-q', '-b', 'main'], repo)
+      const options = { packageRoot: repo, format: '{author|default:nobody}' }
+      expect(generateVersionHash(options)).toBe('nobody')
+
+      fs.writeFileSync(path.join(repo, 'a.js'), 'a')
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'first', '--author', 'Jane Doe <jane@example.com>'], repo)
+      expect(generateVersionHash(options)).toBe('Jane:Doe')
+      expect(generateVersionHash({ ...options, format: '{author|slug}' })).toBe('jane-doe')
+    })
+
+    test('build-date honours SOURCE_DATE_EPOCH', () => {
+      process.env.SOURCE_DATE_EPOCH = '1700000000'
+      childProcess.execSync.mockReturnValue('')
+      expect(generateVersionHash({ packageRoot: tempDir, format: '{build-date|compact}.{build-date|epoch}' }))
+        .toBe('20231114221320.1700000000')
+    })
+
+    test('an invalid SOURCE_DATE_EPOCH only fails when build-date is requested', () => {
+      process.env.SOURCE_DATE_EPOCH = 'abc'
+      childProcess.execSync.mockReturnValue('')
+      try {
+        expect(() => generateVersionHash({ packageRoot: tempDir, format: '{build-date}' }))
+          .toThrow('Invalid SOURCE_DATE_EPOCH: "abc" (expected a number of seconds since the epoch)')
+        expect(generateVersionHash({ packageRoot: tempDir, format: 'branch' })).toBe('main')
+      } finally {
+        delete process.env.SOURCE_DATE_EPOCH
+      }
+    })
+
+    test('build-date defaults to the current time', () => {
+      delete process.env.SOURCE_DATE_EPOCH
+      childProcess.execSync.mockReturnValue('')
+      const before = Math.floor(Date.now() / 1000)
+      const epoch = Number(generateVersionHash({ packageRoot: tempDir, format: '{build-date|epoch}' }))
+      expect(epoch).toBeGreaterThanOrEqual(before)
+      expect(epoch).toBeLessThanOrEqual(Math.ceil(Date.now() / 1000))
+    })
+
+    test('dirty is only present when selected files are modified', () => {
+      childProcess.execSync.mockReturnValue('')
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'short-commit-sha,dirty' })).toBe('abcdef1')
+
+      childProcess.execSync.mockReturnValue('notes.md')
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'short-commit-sha,dirty' })).toBe('abcdef1')
+
+      childProcess.execSync.mockReturnValue('index.js')
+      fs.writeFileSync(path.join(tempDir, 'index.js'), 'changed')
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'short-commit-sha,dirty' })).toBe('abcdef1|dirty')
+      expect(generateVersionHash({ packageRoot: tempDir, format: '{short-commit-sha}{dirty|default:clean}' })).toBe('abcdef1dirty')
+    })
+
+    test('does not run git for tokens that are not requested', () => {
+      childProcess.execSync.mockReturnValue('')
+      generateVersionHash({ packageRoot: tempDir, format: 'package-version,branch,short-commit-sha,diff-hash,dirty,build-date' })
+      expect(childProcess.execFileSync).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('semver', () => {
+    test('emits a SemVer version instead of the format', () => {
+      childProcess.execSync.mockReturnValue('')
+      expect(generateVersionHash({ packageRoot: tempDir, semver: true })).toBe('1.2.3-main.gabcdef1')
+
+      childProcess.execSync.mockReturnValue('index.js')
+      fs.writeFileSync(path.join(tempDir, 'index.js'), 'changed')
+      expect(generateVersionHash({ packageRoot: tempDir, semver: true })).toMatch(/^1\.2\.3-main\.gabcdef1\+[0-9a-f]{64}$/)
+    })
+
+    test('reads the semver setting from package.json', async () => {
+      childProcess.execSync.mockReturnValue('')
+      mirrorExecSyncToExecFile()
+      const pkgPath = path.join(tempDir, 'package.json')
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+      pkg.gitverdiff.semver = true
+      fs.writeFileSync(pkgPath, JSON.stringify(pkg))
+
+      expect(generateVersionHash({ packageRoot: tempDir })).toBe('1.2.3-main.gabcdef1')
+      await expect(generateVersionHashAsync({ packageRoot: tempDir })).resolves.toBe('1.2.3-main.gabcdef1')
+      expect(generateVersionHash({ packageRoot: tempDir, semver: false })).toBe('v1.2.3|main|abcdef1')
+    })
+  })
+
+  describe('generateVersionInfo', () => {
+    test('returns the version with its components', async () => {
+      childProcess.execSync.mockReturnValue('index.js\nnotes.md\ngone.js')
+      mirrorExecSyncToExecFile()
+      fs.writeFileSync(path.join(tempDir, 'index.js'), 'changed')
+      fs.writeFileSync(path.join(tempDir, 'notes.md'), 'ignored')
+
+      const info = generateVersionInfo({ packageRoot: tempDir, ignore: ['gone.js'] })
+      expect(info).toEqual({
+        version: 'v1.2.3|main|abcdef1',
+        gitRoot: tempDir,
+        packageRoot: tempDir,
+        branch: 'main',
+        commit: 'abcdef1234567890abcdef1234567890abcdef12',
+        packageVersion: '1.2.3',
+        patterns: { include: ['*.js'], ignore: ['gone.js'] },
+        format: 'package-version,branch,short-commit-sha',
+        separator: '|',
+        configSource: {
+          include: path.join(tempDir, 'package.json'),
+          ignore: 'options',
+          format: path.join(tempDir, 'package.json'),
+          separator: path.join(tempDir, 'package.json'),
+          hashScheme: 'default',
+          semver: 'default',
+          target: 'default',
+          merge: 'default',
+          dependencies: 'default',
+          outputs: 'default'
+        },
+        hashScheme: 'v2',
+        diffHash: expect.stringMatching(/^[0-9a-f]{64}$/),
+        dirty: true,
+        files: [{
+          path: 'index.js',
+          status: 'modified',
+          hash: crypto.createHash('sha256').update('changed').digest('hex')
+        }],
+        changes: [
+          { path: 'gone.js', status: 'modified', selected: false, includedBy: '*.js', ignoredBy: 'gone.js' },
+          { path: 'index.js', status: 'modified', selected: true, includedBy: '*.js', ignoredBy: null },
+          { path: 'notes.md', status: 'modified', selected: false, includedBy: null, ignoredBy: null }
+        ],
+        dependencies: [],
+        outputs: [],
+        ci: null
+      })
+      expect(generateVersionHash({ packageRoot: tempDir, ignore: ['gone.js'] })).toBe(info.version)
+      await expect(generateVersionInfoAsync({ packageRoot: tempDir, ignore: ['gone.js'] })).resolves.toEqual(info)
+    })
+  })
+
+  describe('configuration files', () => {
+    test('.gitverdiffrc.json wins over package.json, which remains a fallback', async () => {
+      childProcess.execSync.mockReturnValue('')
+      mirrorExecSyncToExecFile()
+      fs.writeFileSync(path.join(tempDir, '.gitverdiffrc.json'), '{\n  // Dots are safer in file names\n  "separator": "."\n}')
+
+      const info = generateVersionInfo({ packageRoot: tempDir })
+      expect(info.version).toBe('v1.2.3.main.abcdef1')
+      expect(info.configSource.separator).toBe(path.join(tempDir, '.gitverdiffrc.json'))
+      expect(info.configSource.format).toBe(path.join(tempDir, 'package.json'))
+      await expect(generateVersionHashAsync({ packageRoot: tempDir })).resolves.toBe('v1.2.3.main.abcdef1')
+    })
+
+    test('include and ignore patterns follow gitignore negation ordering', () => {
+      childProcess.execSync.mockReturnValue('src/a.js\nsrc/gen/b.js\nsrc/gen/keep.js\nsrc/gen/keep.md')
+      fs.mkdirSync(path.join(tempDir, 'src', 'gen'), { recursive: true })
+      for (const file of ['src/a.js', 'src/gen/b.js', 'src/gen/keep.js', 'src/gen/keep.md']) {
+        fs.writeFileSync(path.join(tempDir, file), file)
+      }
+      fs.writeFileSync(path.join(tempDir, '.gitverdiffrc.yaml'), [
+        '# Sources, without generated files but keep.js',
+        'include:',
+        '  - src/**',
+        '  - "!src/gen/**"',
+        '  - src/gen/keep.*',
+        'ignore:',
+        '  - "**/*.md"',
+        ''
+      ].join('\n'))
+
+      const info = generateVersionInfo({ packageRoot: tempDir })
+      expect(info.files.map(file => file.path)).toEqual(['src/a.js', 'src/gen/keep.js'])
+      expect(info.changes.map(({ path, includedBy, ignoredBy }) => [path, includedBy, ignoredBy])).toEqual([
+        ['src/a.js', 'src/**', null],
+        ['src/gen/b.js', '!src/gen/**', null],
+        ['src/gen/keep.js', 'src/gen/keep.*', null],
+        ['src/gen/keep.md', 'src/gen/keep.*', '**/*.md']
+      ])
+    })
+
+    test('dotfiles skip comments and blank lines', () => {
+      childProcess.execSync.mockReturnValue('a.js\nb.js')
+      fs.writeFileSync(path.join(tempDir, 'a.js'), 'a')
+      fs.writeFileSync(path.join(tempDir, 'b.js'), 'b')
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ version: '1.2.3' }))
+      fs.writeFileSync(path.join(tempDir, '.gitverdiffignore'), '# Generated\n\nb.js   \n')
+
+      const info = generateVersionInfo({ packageRoot: tempDir })
+      expect(info.patterns.ignore).toEqual(['b.js'])
+      expect(info.files.map(file => file.path)).toEqual(['a.js'])
+    })
+
+    test('profiles override the configuration', () => {
+      childProcess.execSync.mockReturnValue('')
+      fs.writeFileSync(path.join(tempDir, '.gitverdiffrc.json'), JSON.stringify({
+        format: 'branch,short-commit-sha',
+        profiles: { docker: { format: '{package-version}_{branch}', target: 'docker' } }
+      }))
+      expect(generateVersionHash({ packageRoot: tempDir })).toBe('main|abcdef1')
+      expect(generateVersionHash({ packageRoot: tempDir, profile: 'docker' })).toBe('1.2.3_main')
+      expect(() => generateVersionHash({ packageRoot: tempDir, profile: 'k8s' })).toThrow('Unknown profile: k8s')
+    })
+
+    test('a package configuration file wins over the Git root one', () => {
+      childProcess.execSync.mockReturnValue('')
+      const packageRoot = path.join(tempDir, 'packages', 'app')
+      fs.mkdirSync(packageRoot, { recursive: true })
+      fs.writeFileSync(path.join(tempDir, '.gitverdiffrc.json'), '{ "format": "branch", "separator": "_" }')
+      fs.writeFileSync(path.join(packageRoot, '.gitverdiffrc.json'), '{ "format": "branch,short-commit-sha" }')
+      expect(generateVersionHash({ packageRoot })).toBe('main_abcdef1')
+    })
+  })
+
+  describe('merge strategies', () => {
+    let packageRoot
+
+    beforeEach(() => {
+      childProcess.execSync.mockReturnValue('packages/app/a.js\npackages/app/b.js\npackages/app/c.md\npackages/app/gen/d.js')
+      packageRoot = path.join(tempDir, 'packages', 'app')
+      fs.mkdirSync(path.join(packageRoot, 'gen'), { recursive: true })
+      for (const file of ['a.js', 'b.js', 'c.md', 'gen/d.js']) {
+        fs.writeFileSync(path.join(packageRoot, file), file)
+      }
+      // The Git root ignores Markdown files (and includes *.js, see the outer beforeEach).
+      const pkgPath = path.join(tempDir, 'package.json')
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+      pkg.gitverdiff.include = ['**/*']
+      pkg.gitverdiff.ignore = ['*.md', 'gen/**']
+      fs.writeFileSync(pkgPath, JSON.stringify(pkg))
+      fs.writeFileSync(path.join(packageRoot, '.gitverdiffignore'), 'b.js\n')
+    })
+
+    const selected = options => generateVersionInfo({ packageRoot, ...options }).files.map(file => path.basename(file.path))
+
+    test('replace keeps the nearest layer only', () => {
+      expect(selected()).toEqual(['a.js', 'c.md', 'd.js'])
+      expect(selected({ merge: 'replace' })).toEqual(['a.js', 'c.md', 'd.js'])
+    })
+
+    test('append and extend add package patterns to the root ones', () => {
+      const info = generateVersionInfo({ packageRoot, merge: 'append' })
+      expect(info.patterns.ignore).toEqual(['*.md', 'gen/**', 'b.js'])
+      expect(info.configSource.ignore).toEqual([path.join(tempDir, 'package.json'), path.join(packageRoot, '.gitverdiffignore')])
+      expect(info.files.map(file => path.basename(file.path))).toEqual(['a.js'])
+
+      // Inner layers come last, so they can negate inherited patterns.
+      expect(selected({ merge: { ignore: 'append' }, ignore: ['!gen/**', 'gen/**', 'a.js'] })).toEqual([])
+      expect(generateVersionInfo({ packageRoot, merge: 'extend', ignore: ['!gen/**', '*.md'] }).patterns.ignore)
+        .toEqual(['gen/**', 'b.js', '!gen/**', '*.md'])
+      expect(selected({ merge: 'extend', ignore: ['!gen/**'] })).toEqual(['a.js', 'd.js'])
+    })
+
+    test('reads the strategy from the configuration and stops at root: true', () => {
+      fs.writeFileSync(path.join(packageRoot, '.gitverdiffrc.json'), '{ "merge": { "ignore": "append" } }')
+      expect(selected()).toEqual(['a.js'])
+
+      // An intermediate directory is a layer too, and `root: true` ends the walk there.
+      fs.writeFileSync(path.join(tempDir, 'packages', 'package.json'), JSON.stringify({ gitverdiff: { root: true, ignore: ['*.md'] } }))
+      expect(generateVersionInfo({ packageRoot }).patterns.ignore).toEqual(['*.md', 'b.js'])
+      expect(selected()).toEqual(['a.js', 'd.js'])
+    })
+
+    test('rejects unknown strategies', () => {
+      expect(() => generateVersionHash({ packageRoot, merge: 'concat' })).toThrow('Unknown merge strategy: concat')
+    })
+  })
+
+  describe('targets', () => {
+    test('sanitizes the whole output for the target', () => {
+      childProcess.execSync.mockReturnValue('')
+      expect(generateVersionHash({ packageRoot: tempDir, target: 'docker' })).toBe('v1.2.3-main-abcdef1')
+      expect(generateVersionHash({ packageRoot: tempDir, target: 'env' })).toBe('V1_2_3_MAIN_ABCDEF1')
+      expect(generateVersionHash({ packageRoot: tempDir, semver: true, target: 'docker' })).toBe('1.2.3-main.gabcdef1')
+
+      childProcess.execSync.mockReturnValue('index.js')
+      fs.writeFileSync(path.join(tempDir, 'index.js'), 'changed')
+      expect(generateVersionHash({ packageRoot: tempDir, semver: true, target: 'docker' }))
+        .toMatch(/^1\.2\.3-main\.gabcdef1-[0-9a-f]{64}$/)
+    })
+
+    test('reads the target from package.json', () => {
+      childProcess.execSync.mockReturnValue('')
+      const pkgPath = path.join(tempDir, 'package.json')
+      const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+      pkg.gitverdiff.target = 'filename'
+      fs.writeFileSync(pkgPath, JSON.stringify(pkg))
+      expect(generateVersionHash({ packageRoot: tempDir })).toBe('v1.2.3_main_abcdef1')
+      expect(() => generateVersionHash({ packageRoot: tempDir, target: 'nope' })).toThrow('Unknown target: nope')
+    })
+  })
+
+  describe('custom tokens', () => {
+    test('calls providers from options with the version context', () => {
+      childProcess.execSync.mockReturnValue('index.js\nnotes.md')
+      fs.writeFileSync(path.join(tempDir, 'index.js'), 'changed')
+      const provider = jest.fn(() => 'staging')
+      const hash = generateVersionHash({
+        packageRoot: tempDir,
+        format: '{package-version}-{env}',
+        tokens: { env: provider, unused: () => { throw new Error('should not be called') } }
+      })
+      expect(hash).toBe('1.2.3-staging')
+      expect(provider).toHaveBeenCalledWith({
+        gitRoot: tempDir,
+        packageRoot: tempDir,
+        commit: 'abcdef1234567890abcdef1234567890abcdef12',
+        branch: 'main',
+        files: [{ path: 'index.js', status: 'modified' }],
+        packageJson: expect.objectContaining({ version: '1.2.3' })
+      })
+    })
+
+    test('loads providers from the module named in package.json', () => {
+      const subDir = path.join(tempDir, 'packages', 'app')
+      fs.mkdirSync(subDir, { recursive: true })
+      fs.writeFileSync(path.join(subDir, 'package.json'), JSON.stringify({ name: 'app', version: '0.1.0' }))
+      fs.writeFileSync(path.join(tempDir, 'tokens.js'), 'module.exports = { name: ctx => ctx.packageJson.name, build: () => 42 }')
+      const pkg = JSON.parse(fs.readFileSync(path.join(tempDir, 'package.json'), 'utf8'))
+      pkg.gitverdiff.tokens = './tokens.js'
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify(pkg))
+      childProcess.execSync.mockReturnValue('')
+
+      // The module is found through the Git root fallback; options.tokens win over it.
+      expect(generateVersionHash({ packageRoot: subDir, format: 'name,build,package-version' })).toBe('app|42|v0.1.0')
+      expect(generateVersionHash({ packageRoot: subDir, format: 'name,build', tokens: { build: () => 'override' } })).toBe('app|override')
+    })
+
+    test('awaits asynchronous providers in generateVersionHashAsync only', async () => {
+      childProcess.execSync.mockReturnValue('')
+      mirrorExecSyncToExecFile()
+      const options = { packageRoot: tempDir, format: 'branch,lockfile', tokens: { lockfile: async () => 'abc123' } }
+      await expect(generateVersionHashAsync(options)).resolves.toBe('main|abc123')
+      expect(() => generateVersionHash(options)).toThrow(/returned a Promise; use generateVersionHashAsync/)
+    })
+
+    test('rejects custom tokens that shadow built-in ones', () => {
+      childProcess.execSync.mockReturnValue('')
+      expect(() => generateVersionHash({ packageRoot: tempDir, tokens: { branch: () => 'x' } }))
+        .toThrow(/Custom token "branch" conflicts with a built-in token/)
+    })
+  })
+
+  describe('tree-hash', () => {
+    test('only changes when files selected by the package patterns change', async () => {
+      const git = useRealGit()
+      const repo = path.join(tempDir, 'monorepo')
+      const packageA = path.join(repo, 'packages', 'a')
+      const packageB = path.join(repo, 'packages', 'b')
+      fs.mkdirSync(packageA, { recursive: true })
+      fs.mkdirSync(packageB, { recursive: true })
+      fs.writeFileSync(path.join(packageA, 'index.js'), 'a')
+      fs.writeFileSync(path.join(packageA, 'notes.md'), 'a notes')
+      fs.writeFileSync(path.join(packageB, 'index.js'), 'b')
+      git(['init', '-q', '-b', 'main'], repo)
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'initial'], repo)
+
+      const options = { packageRoot: packageA, include: ['**/*'], ignore: ['*.md'], format: 'tree-hash,short-commit-sha' }
+      const [treeHash, shortCommit] = generateVersionHash(options).split('-')
+      expect(treeHash).toMatch(/^[a-f0-9]{64}$/)
+
+      // A commit that only touches another package, or ignored files, keeps the tree hash.
+      fs.writeFileSync(path.join(packageB, 'index.js'), 'b changed')
+      fs.writeFileSync(path.join(packageA, 'notes.md'), 'a notes changed')
+      git(['commit', '-q', '-am', 'change b'], repo)
+      const [unchangedTreeHash, newShortCommit] = generateVersionHash(options).split('-')
+      expect(newShortCommit).not.toBe(shortCommit)
+      expect(unchangedTreeHash).toBe(treeHash)
+      await expect(generateVersionHashAsync(options)).resolves.toBe(generateVersionHash(options))
+
+      // Working-tree changes to the package change it...
+      fs.writeFileSync(path.join(packageA, 'index.js'), 'a changed')
+      const dirtyTreeHash = generateVersionHash(options).split('-')[0]
+      expect(dirtyTreeHash).not.toBe(treeHash)
+      await expect(generateVersionHashAsync(options)).resolves.toBe(generateVersionHash(options))
+
+      // ...and so does committing them.
+      git(['commit', '-q', '-am', 'change a'], repo)
+      const committedTreeHash = generateVersionHash(options).split('-')[0]
+      expect(committedTreeHash).not.toBe(treeHash)
+      expect(committedTreeHash).not.toBe(dirtyTreeHash)
+    })
+
+    test('is computed for a clean tree and only when requested', () => {
+      childProcess.execSync.mockReturnValue('')
+      childProcess.execFileSync.mockReturnValue(
+        '100644 blob 1111111111111111111111111111111111111111\tmain.js\0' +
+        '100644 blob 2222222222222222222222222222222222222222\treadme.md\0'
+      )
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'branch' })).toBe('main')
+      expect(childProcess.execFileSync).not.toHaveBeenCalled()
+
+      const treeHash = generateVersionHash({ packageRoot: tempDir, format: 'tree-hash' })
+      expect(treeHash).toMatch(/^[a-f0-9]{64}$/)
+      expect(childProcess.execFileSync).toHaveBeenCalledWith(
+        'git', ['ls-tree', '-r', '-z', '--full-tree', 'abcdef1234567890abcdef1234567890abcdef12'], expect.objectContaining({ cwd: tempDir })
+      )
+
+      // readme.md is not selected by the '*.js' include pattern from package.json.
+      childProcess.execFileSync.mockReturnValue('100644 blob 1111111111111111111111111111111111111111\tmain.js\0')
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'tree-hash' })).toBe(treeHash)
+    })
+  })
+
+  describe('CI and environment variables', () => {
+    test('takes the branch from the CI provider on a detached HEAD', () => {
+      fs.writeFileSync(path.join(tempDir, '.git', 'HEAD'), 'abcdef1234567890abcdef1234567890abcdef12')
+      childProcess.execSync.mockReturnValue('')
+      const options = { packageRoot: tempDir, format: '{branch|default:detached}/{ci-build|default:local}' }
+      expect(generateVersionHash(options)).toBe('detached/local')
+
+      Object.assign(process.env, { GITHUB_ACTIONS: 'true', GITHUB_REF: 'refs/pull/7/merge', GITHUB_HEAD_REF: 'feature', GITHUB_RUN_ID: '42' })
+      expect(generateVersionHash(options)).toBe('feature/42')
+      expect(generateVersionInfo(options).ci).toEqual({ provider: 'github-actions', branch: 'feature', pullRequest: '7', build: '42' })
+
+      // The branch checked out wins.
+      fs.writeFileSync(path.join(tempDir, '.git', 'HEAD'), 'ref: refs/heads/main')
+      expect(generateVersionHash(options)).toBe('main/42')
+    })
+
+    test('reads options from GITVERDIFF_* variables, after the options', async () => {
+      childProcess.execSync.mockReturnValue('')
+      Object.assign(process.env, { GITVERDIFF_FORMAT: 'branch,package-version', GITVERDIFF_SEPARATOR: '+', GITVERDIFF_PACKAGE_ROOT: tempDir })
+      const info = generateVersionInfo()
+      expect(info.version).toBe('main+v1.2.3')
+      expect(info.configSource).toMatchObject({ format: 'environment', separator: 'environment', include: path.join(tempDir, 'package.json') })
+      mirrorExecSyncToExecFile()
+      await expect(generateVersionHashAsync()).resolves.toBe('main+v1.2.3')
+      expect(generateVersionHash({ packageRoot: tempDir, format: 'branch' })).toBe('main')
+    })
+  })
+
+  describe('deps-hash', () => {
+    test('follows the lockfile entries of the package dependencies', async () => {
+      const git = useRealGit()
+      const repo = path.join(tempDir, 'monorepo')
+      const packageA = path.join(repo, 'packages', 'a')
+      fs.mkdirSync(packageA, { recursive: true })
+      fs.writeFileSync(path.join(packageA, 'package.json'), JSON.stringify({ name: 'a', dependencies: { x: '^1.0.0' } }))
+      const writeLockfile = (xVersion, yVersion) => fs.writeFileSync(path.join(repo, 'package-lock.json'), JSON.stringify({
+        lockfileVersion: 3,
+        packages: {
+          '': { workspaces: ['packages/*'] },
+          'packages/a': { name: 'a', dependencies: { x: '^1.0.0' } },
+          'node_modules/x': { version: xVersion, integrity: `sha512-x${xVersion}` },
+          'node_modules/y': { version: yVersion, integrity: `sha512-y${yVersion}` }
+        }
+      }))
+      writeLockfile('1.0.0', '1.0.0')
+      git(['init', '-q', '-b', 'main'], repo)
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'initial'], repo)
+
+      const options = { packageRoot: packageA, format: 'deps-hash' }
+      const depsHash = generateVersionHash(options)
+      expect(depsHash).toMatch(/^[a-f0-9]{64}$/)
+      await expect(generateVersionHashAsync(options)).resolves.toBe(depsHash)
+
+      // The lockfile is outside the package, and only the entries of its dependencies count.
+      writeLockfile('1.0.0', '2.0.0')
+      expect(generateVersionHash(options)).toBe(depsHash)
+      writeLockfile('1.0.1', '2.0.0')
+      expect(generateVersionHash(options)).not.toBe(depsHash)
+
+      // Without a lockfile, the token is empty.
+      fs.rmSync(path.join(repo, 'package-lock.json'))
+      expect(generateVersionHash({ ...options, format: 'branch,deps-hash' })).toBe('main')
+    })
+  })
+
+  describe('since', () => {
+    test('hashes changes relative to the merge base with the include/ignore patterns', async () => {
+      const git = useRealGit()
+      const repo = path.join(tempDir, 'repo')
+      fs.mkdirSync(repo)
+      git(['init', '-q', '-b', 'main'], repo)
+      fs.writeFileSync(path.join(repo, 'app.js'), 'app')
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'base'], repo)
+      git(['checkout', '-q', '-b', 'feature'], repo)
+
+      const options = { packageRoot: repo, include: ['**/*.js'], ignore: ['generated.js'], format: 'diff-hash', since: 'main' }
+      // Nothing differs from main yet.
+      expect(generateVersionHash(options)).toBe('')
+
+      fs.writeFileSync(path.join(repo, 'feature.js'), 'feature')
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'feature'], repo)
+      const committed = generateVersionHash(options)
+      expect(committed).toMatch(/^[a-f0-9]{64}$/)
+      // Without since, a clean working tree has no diff-hash.
+      expect(generateVersionHash({ ...options, since: undefined })).toBe('')
+
+      // Ignored and non-matching files do not count.
+      fs.writeFileSync(path.join(repo, 'generated.js'), 'generated')
+      fs.writeFileSync(path.join(repo, 'notes.txt'), 'notes')
+      expect(generateVersionHash(options)).toBe(committed)
+
+      // Uncommitted changes on top of the branch do.
+      fs.writeFileSync(path.join(repo, 'app.js'), 'app changed')
+      const dirty = generateVersionHash(options)
+      expect(dirty).not.toBe(committed)
+      await expect(generateVersionHashAsync(options)).resolves.toBe(dirty)
+    })
+  })
+
+  describe('hash schemes', () => {
+    const diffHash = options => generateVersionHash({ packageRoot: tempDir, include: ['*.js'], format: 'diff-hash', ...options })
+
+    beforeEach(() => {
+      childProcess.execSync.mockImplementation((cmd) => {
+        if (cmd === 'git ls-files -m -o --exclude-standard') {
+          return 'a.js\nb.js\n'
+        }
+        return ''
+      })
+      fs.writeFileSync(path.join(tempDir, 'a.js'), 'first')
+      fs.writeFileSync(path.join(tempDir, 'b.js'), 'second')
+    })
+
+    test('v2 is the default and differs from v1', () => {
+      expect(diffHash()).toBe(diffHash({ hashScheme: 'v2' }))
+      expect(diffHash()).not.toBe(diffHash({ hashScheme: 'v1' }))
+      expect(diffHash({ hashScheme: 'v1' })).toBe(crypto.createHash('sha256').update('firstsecond').digest('hex'))
+    })
+
+    test('v2 changes when contents are swapped between files, v1 does not', () => {
+      const v1 = diffHash({ hashScheme: 'v1' })
+      const v2 = diffHash()
+      fs.writeFileSync(path.join(tempDir, 'a.js'), 'firstsec')
+      fs.writeFileSync(path.join(tempDir, 'b.js'), 'ond')
+      expect(diffHash({ hashScheme: 'v1' })).toBe(v1)
+      expect(diffHash()).not.toBe(v2)
+    })
+
+    test('v2 changes when a modified file is renamed, v1 does not', () => {
+      childProcess.execSync.mockImplementation((cmd) => cmd === 'git ls-files -m -o --exclude-standard' ? 'a.js\n' : '')
+      const v1 = diffHash({ hashScheme: 'v1' })
+      const v2 = diffHash()
+      fs.renameSync(path.join(tempDir, 'a.js'), path.join(tempDir, 'c.js'))
+      childProcess.execSync.mockImplementation((cmd) => cmd === 'git ls-files -m -o --exclude-standard' ? 'c.js\n' : '')
+      expect(diffHash({ hashScheme: 'v1' })).toBe(v1)
+      expect(diffHash()).not.toBe(v2)
+    })
+
+    test('v2 includes the rename source reported by git status', () => {
+      const status = rename => cmd => {
+        if (cmd === 'git ls-files -m -o --exclude-standard') return 'a.js\nb.js\n'
+        if (cmd === 'git status --porcelain --untracked-files=all') return rename
+        return ''
+      }
+      childProcess.execSync.mockImplementation(status('RM old.js -> a.js\n'))
+      const renamed = diffHash()
+      childProcess.execSync.mockImplementation(status(' M a.js\n'))
+      expect(diffHash()).not.toBe(renamed)
+    })
+
+    test('v2 changes when a file becomes executable, v1 does not', () => {
+      const v1 = diffHash({ hashScheme: 'v1' })
+      const v2 = diffHash()
+      fs.chmodSync(path.join(tempDir, 'a.js'), 0o755)
+      expect(diffHash({ hashScheme: 'v1' })).toBe(v1)
+      expect(diffHash()).not.toBe(v2)
+    })
+
+    test('reads the hash scheme from package.json', () => {
+      const pkg = JSON.parse(fs.readFileSync(path.join(tempDir, 'package.json'), 'utf8'))
+      pkg.gitverdiff.hashScheme = 'v1'
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify(pkg))
+      expect(diffHash()).toBe(crypto.createHash('sha256').update('firstsecond').digest('hex'))
+    })
+
+    test('throws for an unknown hash scheme', () => {
+      expect(() => diffHash({ hashScheme: 'v9' })).toThrow(/Unknown hash scheme: v9/)
+    })
+  })
+
+  describe('generateVersionHashAsync', () => {
+    test('resolves to the same hash as the synchronous API', async () => {
+      childProcess.execSync.mockImplementation((cmd) => {
+        if (cmd === 'git ls-files -m -o --exclude-standard') {
+          return 'a.js\nb.js\nc.js\n'
+        } else if (cmd === 'git status --porcelain --untracked-files=all') {
+          return ' M a.js\n?? b.js\n?? c.js\n D gone.js\n'
+        }
+        return ''
+      })
+      mirrorExecSyncToExecFile()
+      fs.writeFileSync(path.join(tempDir, 'a.js'), 'a'.repeat(100000))
+      fs.writeFileSync(path.join(tempDir, 'b.js'), 'b')
+      fs.writeFileSync(path.join(tempDir, 'c.js'), '')
+
+      const options = {
+        packageRoot: tempDir,
+        format: 'package-version,branch,short-commit-sha,diff-hash'
+      }
+      const hash = await generateVersionHashAsync({ ...options, concurrency: 2 })
+      expect(hash).toBe(generateVersionHash(options))
+      expect(hash.split('|')[3]).toMatch(/^[a-f0-9]{64}$/)
+      await expect(generateVersionHashAsync({ ...options, hashScheme: 'v1' }))
+        .resolves.toBe(generateVersionHash({ ...options, hashScheme: 'v1' }))
+      expect(childProcess.execFile).toHaveBeenCalledWith(
+        'git', ['ls-files', '-m', '-o', '--exclude-standard'], expect.objectContaining({ cwd: tempDir }), expect.any(Function)
+      )
+    })
+
+    test('omits diff-hash when nothing is modified', async () => {
+      childProcess.execSync.mockReturnValue('')
+      mirrorExecSyncToExecFile()
+      const hash = await generateVersionHashAsync({ packageRoot: tempDir })
+      expect(hash).toBe('v1.2.3|main|abcdef1')
+    })
+
+    test('rejects for an unknown format token', async () => {
+      childProcess.execSync.mockReturnValue('')
+      mirrorExecSyncToExecFile()
+      await expect(generateVersionHashAsync({
+        packageRoot: tempDir,
+        format: 'package-version,unknown'
+      })).rejects.toThrow(/Unknown token: unknown/)
+    })
+
+    test('rejects when no Git repository is found', async () => {
+      const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-nogit-'))
+      try {
+        await expect(generateVersionHashAsync({ packageRoot: outside })).rejects.toThrow(/No \.git directory found/)
+      } finally {
+        fs.rmSync(outside, { recursive: true, force: true })
+      }
+    })
+  })
 })
@@ -0,0 +1,186 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { hashLockfileEntries, readLockfile, readLockfileAsync, resolveLockfileEntries } = require('../src/lockfiles')
+
+describe('lockfiles', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-lockfiles-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content))
+    return filePath
+  }
+
+  /**
+   * Reads the lockfile of a package and lists the keys of its resolved entries.
+   */
+  const resolveKeys = (packageDir, packageJson, manifests) => {
+    const lockfile = readLockfile(path.join(tempDir, packageDir), tempDir)
+    return [...resolveLockfileEntries(lockfile, packageDir, packageJson, manifests).keys()].sort()
+  }
+
+  test('finds the nearest lockfile up to the Git root', async () => {
+    expect(readLockfile(tempDir, tempDir)).toBeNull()
+    const lockfilePath = write('package-lock.json', { lockfileVersion: 3, packages: {} })
+    fs.mkdirSync(path.join(tempDir, 'packages/app'), { recursive: true })
+    const expected = { path: lockfilePath, type: 'npm', lockfile: { lockfileVersion: 3, packages: {} } }
+    expect(readLockfile(path.join(tempDir, 'packages/app'), tempDir)).toEqual(expected)
+    await expect(readLockfileAsync(path.join(tempDir, 'packages/app'), tempDir)).resolves.toEqual(expected)
+
+    write('pnpm-lock.yaml', 'lockfileVersion: \'9.0\'\n')
+    expect(readLockfile(tempDir, tempDir).type).toBe('pnpm')
+    write('pnpm-lock.yaml', 'a: [')
+    expect(() => readLockfile(tempDir, tempDir)).toThrow(/^Invalid lockfile .*pnpm-lock\.yaml: /)
+  })
+
+  test('follows package-lock.json entries, through nested node_modules and workspace links', () => {
+    write('package-lock.json', {
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'root', workspaces: ['packages/*'] },
+        'packages/app': { name: 'app', dependencies: { ui: '*', a: '^1.0.0' }, devDependencies: { jest: '^29.0.0' } },
+        'packages/ui': { name: 'ui', dependencies: { b: '^1.0.0' }, devDependencies: { other: '^1.0.0' } },
+        'node_modules/app': { resolved: 'packages/app', link: true },
+        'node_modules/ui': { resolved: 'packages/ui', link: true },
+        'node_modules/a': { version: '1.0.0', integrity: 'sha512-a', dependencies: { b: '^2.0.0' } },
+        'node_modules/a/node_modules/b': { version: '2.0.0', integrity: 'sha512-b2', dependencies: { a: '^1.0.0' } },
+        'node_modules/b': { version: '1.0.0', integrity: 'sha512-b1' },
+        'node_modules/jest': { version: '29.0.0', integrity: 'sha512-jest' },
+        'node_modules/other': { version: '1.0.0', integrity: 'sha512-other' }
+      }
+    })
+    expect(resolveKeys('packages/app', {})).toEqual([
+      'node_modules/a', 'node_modules/a/node_modules/b', 'node_modules/b', 'node_modules/jest', 'node_modules/ui'
+    ])
+    expect(resolveKeys('packages/ui', {})).toEqual(['node_modules/b', 'node_modules/other'])
+
+    write('package-lock.json', { lockfileVersion: 1, dependencies: {} })
+    expect(() => resolveKeys('', {})).toThrow('package-lock.json files older than lockfileVersion 2 (npm 7) are not supported')
+  })
+
+  test('follows pnpm-lock.yaml v9 snapshots and importers', () => {
+    write('pnpm-lock.yaml', [
+      'lockfileVersion: \'9.0\'',
+      'importers:',
+      '  .: {}',
+      '  packages/app:',
+      '    dependencies:',
+      '      ui: { specifier: workspace:*, version: link:../ui }',
+      '      react-dom: { specifier: ^18.0.0, version: 18.2.0(react@18.2.0) }',
+      '      alias: { specifier: npm:b@^1.0.0, version: b@1.0.0 }',
+      '  packages/ui:',
+      '    dependencies:',
+      '      b: { specifier: ^1.0.0, version: 1.0.0 }',
+      'packages:',
+      '  react@18.2.0: { resolution: { integrity: sha512-react } }',
+      '  react-dom@18.2.0: { resolution: { integrity: sha512-dom } }',
+      '  b@1.0.0: { resolution: { integrity: sha512-b } }',
+      'snapshots:',
+      '  react@18.2.0: {}',
+      '  react-dom@18.2.0(react@18.2.0): { dependencies: { react: 18.2.0 } }',
+      '  b@1.0.0: {}',
+      ''
+    ].join('\n'))
+    expect(resolveKeys('packages/app', {})).toEqual(['b@1.0.0', 'link:packages/ui', 'react-dom@18.2.0(react@18.2.0)', 'react@18.2.0'])
+
+    // Projects missing from the lockfile count their dependencies as unresolved.
+    expect(resolveKeys('packages/new', { dependencies: { b: '^1.0.0' } })).toEqual(['b@^1.0.0'])
+  })
+
+  test('follows pnpm-lock.yaml v6 and v5 packages', () => {
+    write('pnpm-lock.yaml', [
+      'lockfileVersion: \'6.0\'',
+      'dependencies:',
+      '  a: { specifier: ^1.0.0, version: 1.0.0 }',
+      'packages:',
+      '  /a@1.0.0: { resolution: { integrity: sha512-a }, dependencies: { b: 2.0.0 } }',
+      '  /b@2.0.0: { resolution: { integrity: sha512-b } }',
+      ''
+    ].join('\n'))
+    expect(resolveKeys('', {})).toEqual(['/a@1.0.0', '/b@2.0.0'])
+
+    write('pnpm-lock.yaml', [
+      'lockfileVersion: 5.4',
+      'specifiers: { a: ^1.0.0 }',
+      'dependencies: { a: 1.0.0_react@18.2.0 }',
+      'packages:',
+      '  /a/1.0.0_react@18.2.0: { resolution: { integrity: sha512-a } }',
+      ''
+    ].join('\n'))
+    expect(resolveKeys('', {})).toEqual(['/a/1.0.0_react@18.2.0'])
+  })
+
+  test('follows Yarn 1 lockfiles, through workspace manifests', () => {
+    write('yarn.lock', [
+      '# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.',
+      '# yarn lockfile v1',
+      '',
+      '',
+      '"@scope/a@^1.0.0", "@scope/a@^1.1.0":',
+      '  version "1.1.0"',
+      '  resolved "https://registry.yarnpkg.com/@scope/a/-/a-1.1.0.tgz#abc"',
+      '  integrity sha512-a',
+      '  dependencies:',
+      '    b "^2.0.0"',
+      '',
+      'b@^2.0.0:',
+      '  version "2.0.0"',
+      '  integrity sha512-b',
+      '',
+      'c@^3.0.0:',
+      '  version "3.0.0"',
+      ''
+    ].join('\n'))
+    const manifests = new Map([['ui', { version: '1.0.0', dependencies: { c: '^3.0.0' } }]])
+    const packageJson = { dependencies: { '@scope/a': '^1.1.0', ui: '*' }, devDependencies: { missing: '^1.0.0' } }
+    expect(resolveKeys('', packageJson, manifests)).toEqual(['@scope/a@1.1.0', 'b@2.0.0', 'c@3.0.0', 'missing@^1.0.0', 'ui@workspace'])
+  })
+
+  test('follows Yarn 2+ lockfiles', () => {
+    write('yarn.lock', [
+      '__metadata:',
+      '  version: 8',
+      '',
+      '"a@npm:^1.0.0":',
+      '  version: 1.0.0',
+      '  resolution: "a@npm:1.0.0"',
+      '  dependencies:',
+      '    b: "npm:^2.0.0"',
+      '  checksum: 10c0/abc',
+      '',
+      '"b@npm:^2.0.0":',
+      '  version: 2.0.0',
+      '  resolution: "b@npm:2.0.0"',
+      '',
+      '"ui@workspace:*, ui@workspace:packages/ui":',
+      '  version: 0.0.0-use.local',
+      '  resolution: "ui@workspace:packages/ui"',
+      '  dependencies:',
+      '    a: "npm:^1.0.0"',
+      ''
+    ].join('\n'))
+    expect(resolveKeys('', { dependencies: { ui: 'workspace:*' } })).toEqual(['a@npm:1.0.0', 'b@npm:2.0.0', 'ui@workspace:packages/ui'])
+  })
+
+  test('hashes the entries in key order, independently of their key order', () => {
+    expect(hashLockfileEntries(new Map())).toBe('')
+    const hash = hashLockfileEntries(new Map([['a', { version: '1.0.0', integrity: 'x' }], ['b', null]]))
+    expect(hash).toMatch(/^[0-9a-f]{64}$/)
+    expect(hashLockfileEntries(new Map([['b', null], ['a', { integrity: 'x', version: '1.0.0' }]]))).toBe(hash)
+    expect(hashLockfileEntries(new Map([['a', { version: '1.0.1', integrity: 'x' }], ['b', null]]))).not.toBe(hash)
+  })
+})
@@ -0,0 +1,38 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { findDecidingPattern, isNegated, matchesPatterns } = require('../src/patterns')
+
+describe('patterns', () => {
+  const patterns = ['src/**', '!src/generated/**', 'src/generated/keep.js']
+
+  test('the last matching pattern decides', () => {
+    expect(findDecidingPattern('src/index.js', patterns)).toBe('src/**')
+    expect(findDecidingPattern('src/generated/out.js', patterns)).toBe('!src/generated/**')
+    expect(findDecidingPattern('src/generated/keep.js', patterns)).toBe('src/generated/keep.js')
+    expect(findDecidingPattern('README.md', patterns)).toBeNull()
+  })
+
+  test('negated patterns un-match paths', () => {
+    expect(matchesPatterns('src/index.js', patterns)).toBe(true)
+    expect(matchesPatterns('src/generated/out.js', patterns)).toBe(false)
+    expect(matchesPatterns('src/generated/keep.js', patterns)).toBe(true)
+    expect(matchesPatterns('README.md', patterns)).toBe(false)
+  })
+
+  test('negated patterns only match every other path, as minimatch negations do', () => {
+    expect(matchesPatterns('README.md', ['!src/**'])).toBe(true)
+    expect(matchesPatterns('.env', ['!src/**', '!lib/**'])).toBe(true)
+    expect(matchesPatterns('src/index.js', ['!src/**'])).toBe(false)
+    expect(findDecidingPattern('README.md', ['!src/**'])).toBe('**')
+    expect(findDecidingPattern('README.md', [])).toBeNull()
+  })
+
+  test('a backslash escapes a leading "!" or "#"', () => {
+    expect(matchesPatterns('!important.txt', ['\\!important.txt'])).toBe(true)
+    expect(matchesPatterns('#notes.md', ['\\#notes.md'])).toBe(true)
+    expect(isNegated('\\!important.txt')).toBe(false)
+    expect(isNegated('!important.txt')).toBe(true)
+  })
+})
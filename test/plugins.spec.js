@@ -0,0 +1,219 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { EventEmitter } = require('events')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createVersionState, replaceConstants, toDefinitions } = require('../src/plugins/core')
+const gitverdiffEsbuild = require('../src/plugins/esbuild')
+const gitverdiffRollup = require('../src/plugins/rollup')
+const gitverdiffVite = require('../src/plugins/vite')
+const gitverdiffWebpack = require('../src/plugins/webpack')
+const { git, isolateEnvironment, waitFor } = require('./helpers')
+
+describe('build plugins', () => {
+  isolateEnvironment()
+
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-plugins-')))
+    git(['init', '-q', '-b', 'main'], tempDir)
+    write('package.json', { name: 'app', version: '1.2.3' })
+    write('src/index.js', 'export default 1\n')
+    write('docs/readme.md', '# App\n')
+    git(['add', '-A'], tempDir)
+    git(['commit', '-q', '-m', 'initial'], tempDir)
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content))
+    return filePath
+  }
+
+  const CODE = 'console.log(import.meta.env.GITVERDIFF_VERSION, process.env.GITVERDIFF_BRANCH, process.env.GITVERDIFF_OTHER)'
+
+  test('replaces and defines the version constants', async () => {
+    const info = await createVersionState({ packageRoot: tempDir }).refresh()
+    expect(replaceConstants(CODE, info)).toBe(`console.log("${info.version}", "main", process.env.GITVERDIFF_OTHER)`)
+    expect(replaceConstants('console.log(process.env.NODE_ENV)', info)).toBeNull()
+    expect(replaceConstants('console.log(process.env.GITVERDIFF_OTHER)', info)).toBeNull()
+    expect(toDefinitions(info)).toMatchObject({
+      'import.meta.env.GITVERDIFF_VERSION': JSON.stringify(info.version),
+      'process.env.GITVERDIFF_DIRTY': '"false"'
+    })
+  })
+
+  test('computes the version again only after a relevant change', async () => {
+    const state = createVersionState({ packageRoot: tempDir, include: ['src/**'] })
+    const first = await state.refresh()
+    expect(state.gitFiles).toEqual(expect.arrayContaining([path.join(tempDir, '.git/HEAD'), path.join(tempDir, '.git/refs/heads/main')]))
+
+    write('docs/readme.md', '# Changed\n')
+    expect(state.invalidate(path.join(tempDir, 'docs/readme.md'))).toBe(false)
+    expect(await state.refresh()).toBe(first)
+
+    write('src/index.js', 'export default 2\n')
+    expect(state.invalidate(path.join(tempDir, 'src/index.js'))).toBe(true)
+    const second = await state.refresh()
+    expect(second).not.toBe(first)
+    expect(second.version).not.toBe(first.version)
+
+    expect(state.invalidate(path.join(tempDir, '.gitverdiffrc.json'))).toBe(true)
+    expect(state.invalidate(path.join(tempDir, '.git/HEAD'))).toBe(true)
+    expect(state.invalidate(path.join(os.tmpdir(), 'elsewhere.js'))).toBe(false)
+  })
+
+  test('waits for a computation started before a change, then computes again', async () => {
+    const state = createVersionState({ packageRoot: tempDir })
+    const first = state.refresh()
+    state.invalidate()
+    const second = state.refresh()
+    expect(await second).not.toBe(await first)
+    expect(await state.refresh()).toBe(await second)
+  })
+
+  test('Rollup: transforms modules again when the version changed, and emits the version file', async () => {
+    const plugin = gitverdiffRollup({ packageRoot: tempDir, versionFile: true })
+    const context = { addWatchFile: jest.fn(), emitFile: jest.fn() }
+    await plugin.buildStart.call(context)
+    expect(context.addWatchFile).toHaveBeenCalledWith(path.join(tempDir, '.git/HEAD'))
+
+    const result = plugin.transform.call(context, CODE, 'src/index.js')
+    expect(result.code).toMatch(/^console\.log\("[^"]+", "main", process\.env\.GITVERDIFF_OTHER\)$/)
+    expect(plugin.transform.call(context, 'export default 1', 'src/other.js')).toBeNull()
+    expect(plugin.shouldTransformCachedModule({ meta: result.meta })).toBe(false)
+    expect(plugin.shouldTransformCachedModule({ meta: {} })).toBe(false)
+
+    plugin.generateBundle.call(context)
+    const { version } = JSON.parse(context.emitFile.mock.calls[0][0].source)
+    expect(context.emitFile).toHaveBeenCalledWith(expect.objectContaining({ type: 'asset', fileName: 'version.json' }))
+
+    write('src/index.js', 'export default 2\n')
+    plugin.watchChange(path.join(tempDir, 'src/index.js'))
+    await plugin.buildStart.call(context)
+    expect(plugin.shouldTransformCachedModule({ meta: result.meta })).toBe(true)
+    plugin.generateBundle.call(context)
+    expect(JSON.parse(context.emitFile.mock.calls[1][0].source).version).not.toBe(version)
+  })
+
+  test('Vite: defaults to the Vite root and reloads the page when the version changes', async () => {
+    const plugin = gitverdiffVite()
+    expect(plugin.enforce).toBe('pre')
+    plugin.configResolved({ root: tempDir })
+    await plugin.buildStart.call({ addWatchFile () {} })
+    expect(plugin.transform.call({}, CODE, path.join(tempDir, 'src/index.js')).code).toContain('"main"')
+
+    const watcher = new EventEmitter()
+    const server = {
+      watcher,
+      config: { logger: { error: jest.fn() } },
+      moduleGraph: { getModuleById: jest.fn(id => ({ id })), invalidateModule: jest.fn() },
+      ws: { send: jest.fn() }
+    }
+    plugin.configureServer(server)
+    try {
+      watcher.emit('all', 'change', path.join(tempDir, 'package.json'))
+      await new Promise(resolve => setTimeout(resolve, 200))
+      expect(server.ws.send).not.toHaveBeenCalled()
+
+      write('src/index.js', 'export default 2\n')
+      watcher.emit('all', 'change', path.join(tempDir, 'src/index.js'))
+      await waitFor(() => server.ws.send.mock.calls.length > 0)
+      expect(server.ws.send).toHaveBeenCalledWith({ type: 'full-reload' })
+      expect(server.moduleGraph.invalidateModule).toHaveBeenCalledWith({ id: path.join(tempDir, 'src/index.js') })
+
+      // Commits change the Git files, which Vite does not watch.
+      git(['commit', '-q', '-am', 'change'], tempDir)
+      await waitFor(() => server.ws.send.mock.calls.length > 1)
+    } finally {
+      plugin.closeBundle()
+    }
+  })
+
+  test('webpack: defines runtime values computed before each compilation', async () => {
+    const hooks = {}
+    const hook = name => ({
+      tap: (options, callback) => { hooks[name] = callback },
+      tapPromise: (options, callback) => { hooks[name] = callback }
+    })
+    const definePlugins = []
+    function DefinePlugin (definitions) {
+      definePlugins.push(definitions)
+      this.apply = () => {}
+    }
+    DefinePlugin.runtimeValue = (fn, uncacheable) => ({ fn, uncacheable })
+    function RawSource (source) {
+      this.source = () => source
+    }
+    const compiler = {
+      context: tempDir,
+      hooks: { watchRun: hook('watchRun'), beforeCompile: hook('beforeCompile'), thisCompilation: hook('thisCompilation') },
+      webpack: { Compilation: { PROCESS_ASSETS_STAGE_ADDITIONAL: -2000 }, DefinePlugin, sources: { RawSource } }
+    }
+
+    gitverdiffWebpack({ versionFile: 'build/version.json' }).apply(compiler)
+    const definition = definePlugins[0]['process.env.GITVERDIFF_VERSION']
+    expect(definition.uncacheable).toBe(true)
+    expect(Object.keys(definePlugins[0])).toContain('import.meta.env.GITVERDIFF_COMMIT')
+
+    await hooks.beforeCompile()
+    const version = JSON.parse(definition.fn())
+    const fileDependencies = new Set()
+    fileDependencies.addAll = files => files.forEach(file => fileDependencies.add(file))
+    const compilation = { fileDependencies, emitAsset: jest.fn(), hooks: { processAssets: hook('processAssets') } }
+    hooks.thisCompilation(compilation)
+    expect(fileDependencies.has(path.join(tempDir, '.git/HEAD'))).toBe(true)
+    hooks.processAssets()
+    expect(compilation.emitAsset.mock.calls[0][0]).toBe('build/version.json')
+    expect(JSON.parse(compilation.emitAsset.mock.calls[0][1].source()).version).toBe(version)
+
+    write('src/index.js', 'export default 2\n')
+    compiler.modifiedFiles = new Set([path.join(tempDir, 'src/index.js')])
+    hooks.watchRun()
+    await hooks.beforeCompile()
+    expect(JSON.parse(definition.fn())).not.toBe(version)
+  })
+
+  test('esbuild: replaces the constants on load and writes the version file', async () => {
+    const callbacks = {}
+    const build = {
+      initialOptions: { absWorkingDir: tempDir, outdir: 'dist' },
+      onStart: callback => { callbacks.start = callback },
+      onLoad: (options, callback) => { callbacks.load = { options, callback } },
+      onEnd: callback => { callbacks.end = callback }
+    }
+    gitverdiffEsbuild({ versionFile: true }).setup(build)
+    expect(await callbacks.start()).toBeUndefined()
+
+    expect(callbacks.load.options.filter.test('src/index.tsx')).toBe(true)
+    expect(await callbacks.load.callback({ path: path.join(tempDir, 'src/index.js') })).toBeUndefined()
+    const file = write('src/version.ts', CODE)
+    const result = await callbacks.load.callback({ path: file })
+    expect(result.loader).toBe('ts')
+    expect(result.contents).toContain('"main"')
+
+    await callbacks.end({ errors: [] })
+    const versionFile = JSON.parse(fs.readFileSync(path.join(tempDir, 'dist/version.json'), 'utf8'))
+    expect(versionFile).toEqual({
+      version: expect.any(String),
+      packageVersion: '1.2.3',
+      branch: 'main',
+      commit: git(['rev-parse', 'HEAD'], tempDir),
+      shortCommit: git(['rev-parse', '--short=7', 'HEAD'], tempDir),
+      diffHash: '',
+      dirty: false
+    })
+
+    fs.rmSync(path.join(tempDir, '.git'), { recursive: true })
+    expect(await callbacks.start()).toEqual({ errors: [{ text: expect.any(String) }] })
+  })
+})
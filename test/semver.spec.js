@@ -0,0 +1,50 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { buildSemver, isValidSemver, parseSemver, toSemverIdentifier } = require('../src/semver')
+
+describe('semver', () => {
+  const diffHash = '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'
+
+  test('parses and validates versions', () => {
+    expect(parseSemver('1.2.3-beta.1+build.5')).toEqual({ core: '1.2.3', prerelease: ['beta', '1'], build: ['build', '5'] })
+    expect(parseSemver('1.2.3')).toEqual({ core: '1.2.3', prerelease: [], build: [] })
+    expect(parseSemver('v1.2.3')).toBeNull()
+    expect(isValidSemver('1.0.0-01')).toBe(false)
+    expect(isValidSemver('1.0.0+01')).toBe(true)
+    expect(isValidSemver('1.0.0-a..b')).toBe(false)
+  })
+
+  test('turns values into identifiers', () => {
+    expect(toSemverIdentifier('feat/New_Thing')).toBe('feat-New-Thing')
+    expect(toSemverIdentifier('--release/1.x--')).toBe('release-1-x')
+    expect(toSemverIdentifier('007')).toBe('7')
+    expect(toSemverIdentifier('000')).toBe('0')
+    expect(toSemverIdentifier('/')).toBe('')
+    expect(toSemverIdentifier(undefined)).toBe('')
+  })
+
+  test('puts the branch and commit in the pre-release and the diff hash in the build metadata', () => {
+    expect(buildSemver({ packageVersion: '1.0.3', branch: 'feat/login', shortCommit: '1a2b3c4', diffHash }))
+      .toBe(`1.0.3-feat-login.g1a2b3c4+${diffHash}`)
+    expect(buildSemver({ packageVersion: '1.0.3', branch: 'main', shortCommit: '0123456', diffHash: '' }))
+      .toBe('1.0.3-main.g0123456')
+  })
+
+  test('leaves out empty parts', () => {
+    expect(buildSemver({ packageVersion: '', branch: '', shortCommit: '', diffHash: '' })).toBe('0.0.0')
+    expect(buildSemver({ packageVersion: '2.0.0', branch: '', shortCommit: 'abcdef1', diffHash: '' }))
+      .toBe('2.0.0-gabcdef1')
+  })
+
+  test('keeps the identifiers of the package version first', () => {
+    expect(buildSemver({ packageVersion: '1.0.0-rc.1+meta', branch: 'main', shortCommit: 'abcdef1', diffHash }))
+      .toBe(`1.0.0-rc.1.main.gabcdef1+meta.${diffHash}`)
+  })
+
+  test('rejects package versions that are not SemVer', () => {
+    expect(() => buildSemver({ packageVersion: 'latest', branch: 'main', shortCommit: 'abcdef1', diffHash: '' }))
+      .toThrow('Package version "latest" is not a valid SemVer 2.0 version')
+  })
+})
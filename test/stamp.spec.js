@@ -0,0 +1,123 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { rewriteReferences, stampFiles, toStampedPath } = require('../src/stamp')
+
+describe('stamp', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-stamp-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, content)
+    return filePath
+  }
+
+  const read = name => fs.readFileSync(path.join(tempDir, name), 'utf8')
+
+  test('names stamped files after a template', () => {
+    expect(toStampedPath('app.js', 'v1', '[name].[version][ext]')).toBe('app.v1.js')
+    expect(toStampedPath('js/app.min.js', 'v1', '[name].[version][ext]')).toBe('js/app.min.v1.js')
+    expect(toStampedPath('LICENSE', 'v1', '[name]-[version][ext]')).toBe('LICENSE-v1')
+  })
+
+  test('rewrites delimited references, relative to the file or to the root', () => {
+    const stamped = [{ from: 'js/app.js', to: 'js/app.v1.js' }, { from: 'js/app.js.map', to: 'js/app.js.v1.map' }]
+    const html = '<script src="js/app.js"></script><script src="./js/app.js?x=1"></script>\n' +
+      '<link href=/js/app.js.map><a href="vendor/js/app.js">'
+    expect(rewriteReferences(html, 'index.html', stamped)).toEqual({
+      content: '<script src="js/app.v1.js"></script><script src="./js/app.v1.js?x=1"></script>\n' +
+        '<link href=/js/app.js.v1.map><a href="vendor/js/app.js">',
+      count: 3
+    })
+    expect(rewriteReferences('a { background: url(../js/app.js) }', 'css/style.css', stamped))
+      .toEqual({ content: 'a { background: url(../js/app.v1.js) }', count: 1 })
+  })
+
+  test('copies files, rewrites references and writes the manifest', () => {
+    write('index.html', '<link rel="stylesheet" href="css/style.css"><script src="js/app.js"></script>')
+    write('css/style.css', 'body { background: url(../img/bg.png) }')
+    write('js/app.js', 'app()')
+    write('img/bg.png', 'png')
+    write('node_modules/dep/index.js', 'dep()')
+
+    const plan = stampFiles('v1', ['**/*.js', '**/*.css', '**/*.png'], { dir: tempDir })
+    expect(plan.files).toEqual([
+      { from: 'css/style.css', to: 'css/style.v1.css' },
+      { from: 'img/bg.png', to: 'img/bg.v1.png' },
+      { from: 'js/app.js', to: 'js/app.v1.js' }
+    ])
+    expect(read('index.html')).toBe('<link rel="stylesheet" href="css/style.v1.css"><script src="js/app.v1.js"></script>')
+    expect(read('css/style.css')).toBe('body { background: url(../img/bg.png) }')
+    expect(read('css/style.v1.css')).toBe('body { background: url(../img/bg.v1.png) }')
+    expect(read('js/app.js')).toBe('app()')
+    expect(read('js/app.v1.js')).toBe('app()')
+    expect(JSON.parse(read('manifest.json'))).toEqual({
+      'css/style.css': 'css/style.v1.css',
+      'img/bg.png': 'img/bg.v1.png',
+      'js/app.js': 'js/app.v1.js'
+    })
+
+    // Files stamped by the previous run are not stamped again, and its entries are kept.
+    stampFiles('v2', ['**/*.js'], { dir: tempDir, manifest: 'manifest.json' })
+    expect(JSON.parse(read('manifest.json'))).toEqual({
+      'css/style.css': 'css/style.v1.css',
+      'img/bg.png': 'img/bg.v1.png',
+      'js/app.js': 'js/app.v2.js'
+    })
+  })
+
+  test('stamps again the files of later builds', () => {
+    write('index.html', '<script src="app.js"></script><script src="app.min.js"></script>')
+    write('app.js', 'app()')
+    write('app.min.js', 'app()')
+
+    for (const version of ['v1', 'v2', 'v3']) {
+      const plan = stampFiles(version, ['*.js'], { dir: tempDir })
+      expect(plan.files).toEqual([
+        { from: 'app.js', to: `app.${version}.js` },
+        { from: 'app.min.js', to: `app.min.${version}.js` }
+      ])
+    }
+    expect(JSON.parse(read('manifest.json'))).toEqual({ 'app.js': 'app.v3.js', 'app.min.js': 'app.min.v3.js' })
+    expect(read('index.html')).toBe('<script src="app.v3.js"></script><script src="app.min.v3.js"></script>')
+    expect(fs.readdirSync(tempDir).sort()).toEqual([
+      'app.js', 'app.min.js', 'app.min.v1.js', 'app.min.v2.js', 'app.min.v3.js', 'app.v1.js', 'app.v2.js', 'app.v3.js',
+      'index.html', 'manifest.json'
+    ])
+  })
+
+  test('renames files, and changes nothing on dry runs', () => {
+    write('app.js', 'app()')
+    write('index.html', '<script src="/app.js"></script>')
+
+    const plan = stampFiles('v1', ['*.js'], { dir: tempDir, rename: true, manifest: 'meta/assets.json', dryRun: true })
+    expect(plan).toMatchObject({ mode: 'rename', rewrites: [{ file: 'index.html', count: 1 }], manifest: { path: 'meta/assets.json' } })
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['app.js', 'index.html'])
+    expect(read('index.html')).toBe('<script src="/app.js"></script>')
+
+    stampFiles('v1', ['*.js'], { dir: tempDir, rename: true, manifest: 'meta/assets.json' })
+    expect(fs.readdirSync(tempDir).sort()).toEqual(['app.v1.js', 'index.html', 'meta'])
+    expect(read('index.html')).toBe('<script src="/app.v1.js"></script>')
+    expect(JSON.parse(read('meta/assets.json'))).toEqual({ 'app.js': 'app.v1.js' })
+  })
+
+  test('rejects templates without a version and patterns matching nothing', () => {
+    write('app.js', 'app()')
+    expect(() => stampFiles('v1', ['*.js'], { dir: tempDir, template: '[name][ext]' }))
+      .toThrow('Invalid template: [name][ext] (expected a [version] placeholder)')
+    expect(() => stampFiles('v1', ['*.css'], { dir: tempDir })).toThrow(`No files match *.css in ${tempDir}`)
+  })
+})
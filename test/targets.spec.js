@@ -0,0 +1,56 @@
+/* eslint-env jest */
+
+'use strict'
+
+const { TARGETS, getTarget, sanitizeForTarget, sanitizeValue } = require('../src/targets')
+
+describe('targets', () => {
+  const sanitize = (output, name) => sanitizeForTarget(output, getTarget(name))
+
+  test('rejects unknown targets', () => {
+    expect(() => getTarget('windows')).toThrow('Unknown target: windows. Expected one of: filename, docker, npm, url, k8s-label, env')
+    expect(() => getTarget('toString')).toThrow('Unknown target: toString')
+  })
+
+  test('replaces disallowed characters per target', () => {
+    const output = 'v1.2.3+Feat/New Thing:abc~1'
+    expect(sanitize(output, 'filename')).toBe('v1.2.3_Feat_New_Thing_abc_1')
+    expect(sanitize(output, 'docker')).toBe('v1.2.3-Feat-New-Thing-abc-1')
+    expect(sanitize(output, 'npm')).toBe('v1.2.3-feat-new-thing-abc-1')
+    expect(sanitize(output, 'url')).toBe('v1.2.3-Feat-New-Thing-abc~1')
+    expect(sanitize(output, 'k8s-label')).toBe('v1.2.3-Feat-New-Thing-abc-1')
+    expect(sanitize(output, 'env')).toBe('V1_2_3_FEAT_NEW_THING_ABC_1')
+  })
+
+  test('fixes the start and end of the output', () => {
+    expect(sanitize('.hidden.', 'filename')).toBe('hidden')
+    expect(sanitize('-tag', 'docker')).toBe('tag')
+    expect(sanitize('_label_', 'k8s-label')).toBe('label')
+    expect(sanitize('-1.0.0-', 'npm')).toBe('1.0.0')
+    expect(sanitize('1.2.3', 'env')).toBe('_1_2_3')
+  })
+
+  test('truncates long outputs and keeps them distinct', () => {
+    const long = 'feature-'.repeat(20)
+    const first = sanitize(`${long}a`, 'k8s-label')
+    const second = sanitize(`${long}b`, 'k8s-label')
+    expect(first).toHaveLength(63)
+    expect(first).toMatch(/^feature-feature-.*-[0-9a-f]{8}$/)
+    expect(first).not.toBe(second)
+    expect(first.slice(0, 54)).toBe(second.slice(0, 54))
+
+    for (const name of Object.keys(TARGETS)) {
+      expect(sanitize('x'.repeat(300), name).length).toBeLessThanOrEqual(TARGETS[name].maxLength)
+    }
+    expect(sanitize('x'.repeat(300), 'env')).toMatch(/^X+_[0-9A-F]{8}$/)
+  })
+
+  test('leaves valid outputs untouched', () => {
+    expect(sanitize('1.2.3-main-abcdef1', 'docker')).toBe('1.2.3-main-abcdef1')
+    expect(sanitize('', 'env')).toBe('')
+  })
+
+  test('sanitizeValue only applies the charset and case rules', () => {
+    expect(sanitizeValue('-Feat/X-', getTarget('npm'))).toBe('-feat-x-')
+  })
+})
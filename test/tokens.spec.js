@@ -0,0 +1,72 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { createTokenProviders, loadTokenModule, toTokenValue } = require('../src/tokens')
+
+describe('tokens', () => {
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-tokens-'))
+  })
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  describe('loadTokenModule', () => {
+    test('loads providers relative to the base directory', () => {
+      fs.mkdirSync(path.join(tempDir, 'config'))
+      fs.writeFileSync(path.join(tempDir, 'config', 'tokens.js'), "module.exports = { env: () => 'prod' }")
+      const providers = loadTokenModule('./config/tokens.js', tempDir)
+      expect(providers.env()).toBe('prod')
+    })
+
+    test('throws a clear error when the module cannot be loaded', () => {
+      expect(() => loadTokenModule('./missing.js', tempDir)).toThrow(/Cannot load token module .*missing\.js/)
+    })
+
+    test('throws when the module does not export an object', () => {
+      fs.writeFileSync(path.join(tempDir, 'tokens.js'), 'module.exports = 42')
+      expect(() => loadTokenModule('tokens.js', tempDir)).toThrow(/must export an object of token providers/)
+    })
+  })
+
+  describe('createTokenProviders', () => {
+    test('merges sources, later ones winning', () => {
+      const first = () => 'first'
+      const second = () => 'second'
+      const other = () => 'other'
+      expect(createTokenProviders({ env: first, other }, undefined, { env: second })).toEqual({ env: second, other })
+    })
+
+    test('rejects built-in names, invalid names and non-functions', () => {
+      expect(() => createTokenProviders({ branch: () => 'x' })).toThrow(/Custom token "branch" conflicts with a built-in token/)
+      expect(() => createTokenProviders({ 'a b': () => 'x' })).toThrow(/Invalid custom token name: "a b"/)
+      expect(() => createTokenProviders({ env: 'prod' })).toThrow(/Custom token "env" must be a function/)
+    })
+
+    test('does not inherit names from Object.prototype', () => {
+      const providers = createTokenProviders({ env: () => 'prod' })
+      expect(providers.constructor).toBeUndefined()
+      expect(providers.toString).toBeUndefined()
+    })
+  })
+
+  describe('toTokenValue', () => {
+    test('converts provider results to strings', () => {
+      expect(toTokenValue('n', 42)).toBe('42')
+      expect(toTokenValue('n', null)).toBe('')
+      expect(toTokenValue('n', undefined)).toBe('')
+      expect(toTokenValue('n', 'x')).toBe('x')
+    })
+
+    test('rejects promises', () => {
+      expect(() => toTokenValue('lockfile', Promise.resolve('x'))).toThrow(/Custom token "lockfile" returned a Promise; use generateVersionHashAsync/)
+    })
+  })
+})
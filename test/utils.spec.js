@@ -3,17 +3,51 @@
 'use strict'
 
 const childProcess = require('child_process')
+const crypto = require('crypto')
 const {
   findGitRoot,
+  findGitRootAsync,
+  getGitChanges,
+  getGitChangesAsync,
+  getGitChangesSince,
+  getGitChangesSinceAsync,
   getGitModifiedFiles,
+  getGitModifiedFilesAsync,
+  getGitTree,
+  getGitTreeAsync,
   getPackageVersion,
+  getPackageVersionAsync,
+  hashDependencies,
+  hashFiles,
+  hashFilesAsync,
   readPatternsFromFile,
+  readPatternsFromFileAsync,
   readPatternsFromPackageJson,
+  readGitHead,
+  readGitHeadAsync,
+  readPatternsFromPackageJsonAsync,
+  resolveGitDir,
+  resolveGitDirAsync,
+  resolveRef,
+  resolveRefAsync,
   sanitizeForFilesystem
 } = require('../src/utils')
 const fs = require('fs')
 const os = require('os')
 const path = require('path')
+const { git } = require('./helpers')
+
+/**
+ * Creates a repository with a single commit and returns its path.
+ */
+function createRepo (dir) {
+  fs.mkdirSync(dir, { recursive: true })
+  git(['init', '-q', '-b', 'main'], dir)
+  fs.writeFileSync(path.join(dir, 'file.txt'), 'content')
+  git(['add', '.'], dir)
+  git(['commit', '-q', '-m', 'initial'], dir)
+  return dir
+}
 
 describe('Utils functions', () => {
   let tempDir
@@ -45,6 +79,148 @@ describe('Utils functions', () => {
     })
   })
 
+  describe('findGitRootAsync', () => {
+    test('should resolve to the directory containing .git', async () => {
+      const gitRoot = path.join(tempDir, 'repo')
+      fs.mkdirSync(path.join(gitRoot, '.git'), { recursive: true })
+      const nestedDir = path.join(gitRoot, 'src', 'lib')
+      fs.mkdirSync(nestedDir, { recursive: true })
+
+      await expect(findGitRootAsync(nestedDir)).resolves.toBe(gitRoot)
+    })
+
+    test('should reject if no .git directory is found', async () => {
+      await expect(findGitRootAsync(tempDir)).rejects.toThrow(/No \.git directory found/)
+    })
+  })
+
+  describe('resolveGitDir and readGitHead', () => {
+    test('should read HEAD from a plain .git directory', async () => {
+      const repo = createRepo(path.join(tempDir, 'repo'))
+      const gitDir = path.join(repo, '.git')
+      expect(resolveGitDir(repo)).toEqual({ gitDir, commonDir: gitDir })
+      await expect(resolveGitDirAsync(repo)).resolves.toEqual({ gitDir, commonDir: gitDir })
+
+      const expected = { commitHash: git(['rev-parse', 'HEAD'], repo), branchName: 'main' }
+      expect(readGitHead(repo)).toEqual(expected)
+      await expect(readGitHeadAsync(repo)).resolves.toEqual(expected)
+    })
+
+    test('should follow gitdir and commondir in a worktree', async () => {
+      const repo = createRepo(path.join(tempDir, 'repo'))
+      const worktree = path.join(tempDir, 'worktree')
+      git(['worktree', 'add', '-q', '-b', 'feat/wt', worktree], repo)
+      fs.writeFileSync(path.join(worktree, 'file.txt'), 'changed')
+      git(['commit', '-q', '-am', 'worktree commit'], worktree)
+
+      expect(fs.statSync(path.join(worktree, '.git')).isFile()).toBe(true)
+      const { gitDir, commonDir } = resolveGitDir(worktree)
+      expect(fs.realpathSync(commonDir)).toBe(fs.realpathSync(path.join(repo, '.git')))
+      expect(fs.realpathSync(gitDir)).toBe(fs.realpathSync(path.join(repo, '.git', 'worktrees', 'worktree')))
+      await expect(resolveGitDirAsync(worktree)).resolves.toEqual({ gitDir, commonDir })
+
+      const expected = { commitHash: git(['rev-parse', 'HEAD'], worktree), branchName: 'feat/wt' }
+      expect(expected.commitHash).not.toBe(git(['rev-parse', 'HEAD'], repo))
+      expect(readGitHead(worktree)).toEqual(expected)
+      await expect(readGitHeadAsync(worktree)).resolves.toEqual(expected)
+      // The main checkout is unaffected.
+      expect(readGitHead(repo)).toEqual({ commitHash: git(['rev-parse', 'HEAD'], repo), branchName: 'main' })
+    })
+
+    test('should follow a relative gitdir in a submodule', async () => {
+      const library = createRepo(path.join(tempDir, 'library'))
+      const superproject = createRepo(path.join(tempDir, 'superproject'))
+      git(['-c', 'protocol.file.allow=always', 'submodule', 'add', '-q', library, 'libs/library'], superproject)
+      const submodule = path.join(superproject, 'libs', 'library')
+
+      expect(fs.readFileSync(path.join(submodule, '.git'), 'utf8')).toMatch(/^gitdir: \.\.\//)
+      expect(findGitRoot(path.join(submodule))).toBe(submodule)
+      const { gitDir, commonDir } = resolveGitDir(submodule)
+      expect(fs.realpathSync(gitDir)).toBe(fs.realpathSync(path.join(superproject, '.git', 'modules', 'libs', 'library')))
+      expect(commonDir).toBe(gitDir)
+
+      const expected = { commitHash: git(['rev-parse', 'HEAD'], library), branchName: 'main' }
+      expect(readGitHead(submodule)).toEqual(expected)
+      await expect(readGitHeadAsync(submodule)).resolves.toEqual(expected)
+    })
+
+    test('should throw a clear error for a malformed .git file', () => {
+      fs.writeFileSync(path.join(tempDir, '.git'), 'not a gitdir pointer')
+      expect(() => resolveGitDir(tempDir)).toThrow(/Invalid \.git file .*expected "gitdir: <path>"/)
+    })
+  })
+
+  describe('resolveRef', () => {
+    let repo
+    let commit
+
+    beforeEach(() => {
+      repo = createRepo(path.join(tempDir, 'repo'))
+      commit = git(['rev-parse', 'HEAD'], repo)
+    })
+
+    test('should resolve a loose ref', async () => {
+      expect(fs.existsSync(path.join(repo, '.git', 'refs', 'heads', 'main'))).toBe(true)
+      expect(resolveRef(repo, 'refs/heads/main')).toBe(commit)
+      await expect(resolveRefAsync(repo, 'refs/heads/main')).resolves.toBe(commit)
+    })
+
+    test('should resolve refs that only exist in packed-refs', async () => {
+      git(['branch', 'feat/packed'], repo)
+      git(['pack-refs', '--all'], repo)
+      expect(fs.existsSync(path.join(repo, '.git', 'refs', 'heads', 'main'))).toBe(false)
+
+      expect(resolveRef(repo, 'refs/heads/feat/packed')).toBe(commit)
+      await expect(resolveRefAsync(repo, 'refs/heads/main')).resolves.toBe(commit)
+      expect(readGitHead(repo)).toEqual({ commitHash: commit, branchName: 'main' })
+      await expect(readGitHeadAsync(repo)).resolves.toEqual({ commitHash: commit, branchName: 'main' })
+    })
+
+    test('should prefer a loose ref over a stale packed-refs entry', () => {
+      git(['pack-refs', '--all'], repo)
+      fs.writeFileSync(path.join(repo, 'file.txt'), 'updated')
+      git(['commit', '-q', '-am', 'second'], repo)
+      const newCommit = git(['rev-parse', 'HEAD'], repo)
+
+      expect(newCommit).not.toBe(commit)
+      expect(resolveRef(repo, 'refs/heads/main')).toBe(newCommit)
+    })
+
+    test('should follow symbolic refs', async () => {
+      git(['symbolic-ref', 'refs/heads/alias', 'refs/heads/main'], repo)
+      expect(resolveRef(repo, 'refs/heads/alias')).toBe(commit)
+      await expect(resolveRefAsync(repo, 'HEAD')).resolves.toBe(commit)
+    })
+
+    test('should report an unborn branch', async () => {
+      const empty = path.join(tempDir, 'empty')
+      fs.mkdirSync(empty)
+      git(['init', '-q', '-b', 'trunk'], empty)
+
+      expect(() => resolveRef(empty, 'HEAD')).toThrow(/HEAD points to refs\/heads\/trunk, which has no commits yet \(unborn branch\)/)
+      await expect(resolveRefAsync(empty, 'HEAD')).rejects.toMatchObject({ code: 'ERR_GITVERDIFF_UNBORN_BRANCH' })
+      expect(readGitHead(empty)).toEqual({ commitHash: '', branchName: 'trunk' })
+      await expect(readGitHeadAsync(empty)).resolves.toEqual({ commitHash: '', branchName: 'trunk' })
+    })
+
+    test('should report a missing ref', async () => {
+      expect(() => resolveRef(repo, 'refs/heads/missing')).toThrow(/Ref refs\/heads\/missing not found as a loose ref or in packed-refs/)
+      await expect(resolveRefAsync(repo, 'refs/tags/missing')).rejects.toMatchObject({ code: 'ERR_GITVERDIFF_REF_NOT_FOUND' })
+    })
+
+    test('should report a symbolic ref loop', () => {
+      const headsDir = path.join(repo, '.git', 'refs', 'heads')
+      fs.writeFileSync(path.join(headsDir, 'a'), 'ref: refs/heads/b\n')
+      fs.writeFileSync(path.join(headsDir, 'b'), 'ref: refs/heads/a\n')
+      expect(() => resolveRef(repo, 'refs/heads/a')).toThrow(/Too many levels of symbolic refs resolving refs\/heads\/a: refs\/heads\/a -> refs\/heads\/b -> refs\/heads\/a/)
+    })
+
+    test('should report a ref without a valid object id', () => {
+      fs.writeFileSync(path.join(repo, '.git', 'refs', 'heads', 'broken'), 'not-a-hash\n')
+      expect(() => resolveRef(repo, 'refs/heads/broken')).toThrow(expect.objectContaining({ code: 'ERR_GITVERDIFF_INVALID_REF' }))
+    })
+  })
+
   describe('getGitModifiedFiles', () => {
     test('should split and filter output from execSync', () => {
       const mockOutput = 'file1.js\nfile2.js\n\n'
@@ -68,6 +244,239 @@ describe('Utils functions', () => {
     })
   })
 
+  describe('getGitChanges', () => {
+    test('should report the status of each change', () => {
+      const spy = jest.spyOn(childProcess, 'execSync').mockImplementation(cmd => cmd === 'git status --porcelain --untracked-files=all'
+        ? ' M mod.js\n?? new.js\nR  old.js -> moved.js\nRM before.js -> after.js\n D gone.js\n'
+        : 'mod.js\nnew.js\nafter.js\n')
+      expect(getGitChanges(tempDir)).toEqual([
+        { path: 'mod.js', status: 'modified' },
+        { path: 'new.js', status: 'untracked' },
+        { path: 'after.js', status: 'renamed', from: 'before.js' },
+        { path: 'gone.js', status: 'deleted' }
+      ])
+      spy.mockRestore()
+    })
+
+    test('should find changes in a real repository', async () => {
+      const repo = createRepo(path.join(tempDir, 'repo'))
+      fs.writeFileSync(path.join(repo, 'file.txt'), 'modified')
+      fs.writeFileSync(path.join(repo, 'untracked.txt'), 'new')
+      fs.writeFileSync(path.join(repo, 'tracked.txt'), 'tracked')
+      git(['add', 'tracked.txt'], repo)
+      git(['commit', '-q', '-m', 'tracked'], repo)
+      git(['mv', 'tracked.txt', 'moved.txt'], repo)
+      fs.writeFileSync(path.join(repo, 'moved.txt'), 'tracked and changed')
+      fs.mkdirSync(path.join(repo, 'newdir', 'nested'), { recursive: true })
+      fs.writeFileSync(path.join(repo, 'newdir', 'nested', 'a.js'), 'new')
+
+      const expected = [
+        { path: 'file.txt', status: 'modified' },
+        { path: 'moved.txt', status: 'renamed', from: 'tracked.txt' },
+        { path: 'newdir/nested/a.js', status: 'untracked' },
+        { path: 'untracked.txt', status: 'untracked' }
+      ]
+      const sort = changes => changes.sort((a, b) => a.path.localeCompare(b.path))
+      expect(sort(getGitChanges(repo))).toEqual(expected)
+      await expect(getGitChangesAsync(repo).then(sort)).resolves.toEqual(expected)
+    })
+  })
+
+  describe('getGitTree', () => {
+    test('should list committed blobs with modes and object ids', async () => {
+      const repo = createRepo(path.join(tempDir, 'repo'))
+      fs.mkdirSync(path.join(repo, 'dir with space'))
+      fs.writeFileSync(path.join(repo, 'dir with space', 'tool.sh'), '#!/bin/sh')
+      fs.chmodSync(path.join(repo, 'dir with space', 'tool.sh'), 0o755)
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'tool'], repo)
+      const commit = git(['rev-parse', 'HEAD'], repo)
+
+      const expected = [
+        { mode: '100755', type: 'blob', objectId: git(['rev-parse', 'HEAD:dir with space/tool.sh'], repo), path: 'dir with space/tool.sh' },
+        { mode: '100644', type: 'blob', objectId: git(['rev-parse', 'HEAD:file.txt'], repo), path: 'file.txt' }
+      ]
+      expect(getGitTree(path.join(repo, 'dir with space'), commit)).toEqual(expected)
+      await expect(getGitTreeAsync(repo, commit)).resolves.toEqual(expected)
+    })
+
+    test('should return no entries without a commit', async () => {
+      expect(getGitTree(tempDir, '')).toEqual([])
+      await expect(getGitTreeAsync(tempDir, '')).resolves.toEqual([])
+    })
+  })
+
+  describe('getGitChangesSince', () => {
+    test('should list committed and uncommitted changes since the merge base', async () => {
+      const repo = createRepo(path.join(tempDir, 'repo'))
+      fs.writeFileSync(path.join(repo, 'keep.txt'), 'keep')
+      fs.writeFileSync(path.join(repo, 'remove.txt'), 'remove')
+      fs.writeFileSync(path.join(repo, 'rename.txt'), 'rename me, with enough content to be detected')
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'base'], repo)
+      git(['checkout', '-q', '-b', 'feature'], repo)
+      // Moving main forward must not affect the result: only the merge base counts.
+      git(['checkout', '-q', 'main'], repo)
+      fs.writeFileSync(path.join(repo, 'main-only.txt'), 'main')
+      git(['add', '.'], repo)
+      git(['commit', '-q', '-m', 'main moves on'], repo)
+      git(['checkout', '-q', 'feature'], repo)
+
+      fs.writeFileSync(path.join(repo, 'committed.txt'), 'committed')
+      git(['add', '.'], repo)
+      git(['mv', 'rename.txt', 'renamed.txt'], repo)
+      git(['commit', '-q', '-m', 'feature work'], repo)
+      fs.writeFileSync(path.join(repo, 'file.txt'), 'unstaged change')
+      fs.rmSync(path.join(repo, 'remove.txt'))
+      fs.writeFileSync(path.join(repo, 'untracked.txt'), 'untracked')
+
+      const expected = [
+        { path: 'committed.txt', status: 'added' },
+        { path: 'file.txt', status: 'modified' },
+        { path: 'remove.txt', status: 'deleted' },
+        { path: 'renamed.txt', status: 'renamed', from: 'rename.txt' },
+        { path: 'untracked.txt', status: 'untracked' }
+      ]
+      const byPath = (a, b) => a.path.localeCompare(b.path)
+      expect(getGitChangesSince(repo, 'main').sort(byPath)).toEqual(expected)
+      expect((await getGitChangesSinceAsync(repo, 'main')).sort(byPath)).toEqual(expected)
+    })
+
+    test('should throw a clear error for an unknown ref', async () => {
+      const repo = createRepo(path.join(tempDir, 'repo'))
+      expect(() => getGitChangesSince(repo, 'origin/missing')).toThrow(/Cannot find a merge base between origin\/missing and HEAD/)
+      await expect(getGitChangesSinceAsync(repo, 'origin/missing')).rejects.toThrow(/Cannot find a merge base between origin\/missing and HEAD/)
+    })
+
+    test('should reject refs that look like options', () => {
+      expect(() => getGitChangesSince(tempDir, '--output=/tmp/x')).toThrow(/Invalid since ref/)
+    })
+  })
+
+  describe('getGitModifiedFilesAsync', () => {
+    test('should combine ls-files output with deleted files from status', async () => {
+      const spy = jest.spyOn(childProcess, 'execFile').mockImplementation((file, args, options, callback) => {
+        callback(null, args[0] === 'status' ? ' M file1.js\n D removed.js\n' : 'file1.js\nfile2.js\n\n')
+      })
+      await expect(getGitModifiedFilesAsync(tempDir)).resolves.toEqual(['file1.js', 'file2.js', 'removed.js'])
+      expect(spy).toHaveBeenCalledWith('git', ['status', '--porcelain', '--untracked-files=all'], expect.objectContaining({ cwd: tempDir }), expect.any(Function))
+      spy.mockRestore()
+    })
+
+    test('should resolve to an empty array if git fails', async () => {
+      const spy = jest.spyOn(childProcess, 'execFile').mockImplementation((file, args, options, callback) => {
+        callback(new Error('Test error'))
+      })
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {})
+      await expect(getGitModifiedFilesAsync(tempDir)).resolves.toEqual([])
+      spy.mockRestore()
+      consoleSpy.mockRestore()
+    })
+  })
+
+  describe('hashFilesAsync', () => {
+    test('should produce the same digest as hashFiles', async () => {
+      const packageRoot = path.join(tempDir, 'pkg')
+      fs.mkdirSync(packageRoot)
+      fs.writeFileSync(path.join(tempDir, 'root.txt'), 'root')
+      fs.writeFileSync(path.join(packageRoot, 'big.txt'), 'x'.repeat(200000))
+      fs.writeFileSync(path.join(packageRoot, 'small.txt'), 'y')
+      const files = ['big.txt', 'deleted.txt', 'root.txt', 'small.txt']
+
+      fs.symlinkSync('root.txt', path.join(tempDir, 'link.txt'))
+      fs.chmodSync(path.join(tempDir, 'root.txt'), 0o755)
+
+      for (const scheme of ['v1', 'v2']) {
+        const expected = hashFiles(files, packageRoot, tempDir, { scheme })
+        await expect(hashFilesAsync(files, packageRoot, tempDir, { scheme, concurrency: 1 })).resolves.toBe(expected)
+        await expect(hashFilesAsync(files, packageRoot, tempDir, { scheme, concurrency: 3 })).resolves.toBe(expected)
+      }
+      const changes = [{ path: 'link.txt', status: 'untracked' }, { path: 'root.txt', status: 'renamed', from: 'old.txt' }]
+      await expect(hashFilesAsync(changes, tempDir, tempDir)).resolves.toBe(hashFiles(changes, tempDir, tempDir))
+    })
+
+    test('v2 should frame each file with its status, path, mode and length', () => {
+      fs.writeFileSync(path.join(tempDir, 'a.txt'), 'content')
+      const digest = crypto.createHash('sha256').update('content').digest('hex')
+      const expected = crypto.createHash('sha256')
+        .update('gitverdiff diff-hash v2\n')
+        .update(['untracked', 'a.txt', '', '100644', 7, digest].join('\0') + '\n')
+        .update(['deleted', 'gone.txt', '', '000000', 0, ''].join('\0') + '\n')
+        .digest('hex')
+      const changes = [{ path: 'a.txt', status: 'untracked' }, { path: 'gone.txt', status: 'deleted' }]
+      expect(hashFiles(changes, tempDir, tempDir, { scheme: 'v2' })).toBe(expected)
+    })
+
+    test('should report the content hash of each file in order', async () => {
+      fs.writeFileSync(path.join(tempDir, 'a.txt'), 'content')
+      fs.writeFileSync(path.join(tempDir, 'b.txt'), 'x'.repeat(200000))
+      const sha256 = content => crypto.createHash('sha256').update(content).digest('hex')
+      const expected = [['a.txt', sha256('content')], ['b.txt', sha256('x'.repeat(200000))], ['gone.txt', '']]
+      const files = ['a.txt', 'b.txt', 'gone.txt']
+
+      for (const scheme of ['v1', 'v2']) {
+        const reported = []
+        const onFile = (change, digest) => reported.push([change.path, digest])
+        hashFiles(files, tempDir, tempDir, { scheme, onFile })
+        await hashFilesAsync(files, tempDir, tempDir, { scheme, onFile, concurrency: 2 })
+        expect(reported).toEqual([...expected, ...expected])
+      }
+    })
+
+    test('v2 should reuse cached digests while the stats of a file are unchanged', async () => {
+      const filePath = path.join(tempDir, 'a.txt')
+      const past = new Date(Date.now() - 60000)
+      fs.writeFileSync(filePath, 'before')
+      fs.utimesSync(filePath, past, past)
+      fs.writeFileSync(path.join(tempDir, 'recent.txt'), 'recent')
+      const files = ['a.txt', 'recent.txt']
+      const cache = new Map()
+      const expected = hashFiles(files, tempDir, tempDir, { cache })
+      // Recently modified files are not cached: a write within the same timestamp would go unnoticed.
+      expect([...cache.keys()]).toEqual([filePath])
+
+      // Same size and modification time: the cached digest is used, without reading the file.
+      fs.writeFileSync(filePath, 'after!')
+      fs.utimesSync(filePath, past, past)
+      expect(hashFiles(files, tempDir, tempDir, { cache })).toBe(expected)
+      await expect(hashFilesAsync(files, tempDir, tempDir, { cache })).resolves.toBe(expected)
+
+      cache.delete(filePath)
+      const changed = hashFiles(files, tempDir, tempDir, { cache })
+      expect(changed).not.toBe(expected)
+      expect(changed).toBe(hashFiles(files, tempDir, tempDir))
+
+      // Another modification time: the file is read again.
+      const later = new Date(Date.now() - 30000)
+      fs.writeFileSync(filePath, 'before')
+      fs.utimesSync(filePath, later, later)
+      await expect(hashFilesAsync(files, tempDir, tempDir, { cache })).resolves.toBe(expected)
+    })
+
+    test('should throw for an unknown scheme', () => {
+      expect(() => hashFiles(['a.txt'], tempDir, tempDir, { scheme: 'v0' })).toThrow(/Unknown hash scheme: v0/)
+    })
+
+    test('should return the empty hash for no files', async () => {
+      await expect(hashFilesAsync([], tempDir, tempDir))
+        .resolves.toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855')
+    })
+  })
+
+  describe('hashDependencies', () => {
+    test('keeps the diff hash unless a dependency changed', () => {
+      const own = 'a'.repeat(64)
+      expect(hashDependencies(own, [])).toBe(own)
+      expect(hashDependencies('', [{ name: 'b', diffHash: '' }])).toBe('')
+
+      const changed = hashDependencies(own, [{ name: 'b', diffHash: 'b'.repeat(64) }, { name: 'c', diffHash: '' }])
+      expect(changed).toMatch(/^[0-9a-f]{64}$/)
+      expect(changed).not.toBe(own)
+      expect(hashDependencies('', [{ name: 'b', diffHash: 'b'.repeat(64) }])).not.toBe(changed)
+      expect(hashDependencies(own, [{ name: 'c', diffHash: 'b'.repeat(64) }])).not.toBe(changed)
+    })
+  })
+
   describe('getPackageVersion', () => {
     test('should return version from package.json', () => {
       const pkg = { version: '4.5.6' }
@@ -91,12 +500,41 @@ describe('Utils functions', () => {
       expect(patterns).toEqual(['pattern1', 'pattern2', 'pattern3'])
     })
 
+    test('should skip comments and blank lines, and trim trailing whitespace', () => {
+      fs.writeFileSync(path.join(tempDir, 'patterns.txt'), '# Sources\nsrc/**  \n   \n!src/gen/**\n\\#literal\n')
+      expect(readPatternsFromFile('patterns.txt', tempDir)).toEqual(['src/**', '!src/gen/**', '\\#literal'])
+    })
+
     test('should return empty array if file does not exist', () => {
       const patterns = readPatternsFromFile('nonexistent.txt', tempDir)
       expect(patterns).toEqual([])
     })
   })
 
+  describe('async readers', () => {
+    test('getPackageVersionAsync should return version from package.json', async () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ version: '4.5.6' }))
+      await expect(getPackageVersionAsync(tempDir)).resolves.toBe('4.5.6')
+    })
+
+    test('getPackageVersionAsync should return empty string for invalid package.json', async () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), '{invalid json}')
+      await expect(getPackageVersionAsync(tempDir)).resolves.toBe('')
+    })
+
+    test('readPatternsFromFileAsync should return non-empty lines', async () => {
+      fs.writeFileSync(path.join(tempDir, 'patterns.txt'), 'pattern1\r\npattern2\n\n')
+      await expect(readPatternsFromFileAsync('patterns.txt', tempDir)).resolves.toEqual(['pattern1', 'pattern2'])
+      await expect(readPatternsFromFileAsync('nonexistent.txt', tempDir)).resolves.toEqual([])
+    })
+
+    test('readPatternsFromPackageJsonAsync should return the gitverdiff field', async () => {
+      fs.writeFileSync(path.join(tempDir, 'package.json'), JSON.stringify({ gitverdiff: { include: ['a.js'] } }))
+      await expect(readPatternsFromPackageJsonAsync('include', tempDir)).resolves.toEqual(['a.js'])
+      await expect(readPatternsFromPackageJsonAsync('ignore', tempDir)).resolves.toEqual([])
+    })
+  })
+
   describe('readPatternsFromPackageJson', () => {
     test('should return field value from gitverdiff in package.json', () => {
       const pkg = { gitverdiff: { include: ['a.js', 'b.js'] } }
@@ -0,0 +1,183 @@
+/* eslint-env jest */
+
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { runCli } = require('../src/cli')
+const { watchVersion } = require('../src/index')
+const { createVersionWatcher, isRelevantChange, listGitFiles } = require('../src/watch')
+const { git, isolateEnvironment, waitFor } = require('./helpers')
+
+describe('watch', () => {
+  isolateEnvironment()
+
+  let repo
+  let watcher
+
+  beforeEach(() => {
+    repo = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-watch-')))
+    git(['init', '-q', '-b', 'main'], repo)
+    fs.writeFileSync(path.join(repo, 'package.json'), JSON.stringify({ name: 'app', version: '1.0.0' }) + '\n')
+    fs.mkdirSync(path.join(repo, 'src'))
+    fs.writeFileSync(path.join(repo, 'src/index.js'), 'module.exports = 1\n')
+    git(['add', '-A'], repo)
+    git(['commit', '-q', '-m', 'initial'], repo)
+  })
+
+  afterEach(async () => {
+    // Wait for the version being computed, which would fail once the repository is removed.
+    if (watcher) await watcher.close()
+    watcher = null
+    fs.rmSync(repo, { recursive: true, force: true })
+  })
+
+  test('tells which changes are relevant', () => {
+    const info = {
+      gitRoot: repo,
+      packageRoot: repo,
+      patterns: { include: ['src/**'], ignore: ['**/*.test.js'] },
+      dependencies: []
+    }
+    const gitFiles = listGitFiles(repo)
+    expect(gitFiles).toEqual([
+      path.join(repo, '.git/HEAD'),
+      path.join(repo, '.git/index'),
+      path.join(repo, '.git/packed-refs'),
+      path.join(repo, '.git/refs/heads/main')
+    ])
+    expect(isRelevantChange(info, gitFiles, path.join(repo, 'src/a.js'))).toBe(true)
+    expect(isRelevantChange(info, gitFiles, path.join(repo, 'src/a.test.js'))).toBe(false)
+    expect(isRelevantChange(info, gitFiles, path.join(repo, 'README.md'))).toBe(false)
+    expect(isRelevantChange(info, gitFiles, path.join(repo, '.gitignore'))).toBe(true)
+    expect(isRelevantChange(info, gitFiles, path.join(repo, '.git/index'))).toBe(true)
+    expect(isRelevantChange(info, gitFiles, path.join(repo, '.git/objects/ab'))).toBe(false)
+  })
+
+  test('emits the version, then each new version, as an async iterable', async () => {
+    const versions = []
+    watcher = watchVersion({ packageRoot: repo, include: ['src/**'], debounce: 20 }, info => versions.push(info.version))
+    const iterator = watcher[Symbol.asyncIterator]()
+    const first = (await iterator.next()).value
+    expect(first.version).toMatch(/^v1\.0\.0-main-[0-9a-f]{7}$/)
+
+    // Irrelevant files do not lead to a new version, nor do changes that leave it the same.
+    fs.writeFileSync(path.join(repo, 'README.md'), 'readme\n')
+    fs.writeFileSync(path.join(repo, 'src/index.js'), 'module.exports = 1\n')
+    fs.writeFileSync(path.join(repo, 'src/index.js'), 'module.exports = 2\n')
+    const second = (await iterator.next()).value
+    expect(second.version).toMatch(/^v1\.0\.0-main-[0-9a-f]{7}-[0-9a-f]{64}$/)
+    expect(second.files.map(file => file.path)).toEqual(['src/index.js'])
+
+    // New directories are watched too.
+    fs.mkdirSync(path.join(repo, 'src/lib'))
+    await new Promise(resolve => setTimeout(resolve, 50))
+    fs.writeFileSync(path.join(repo, 'src/lib/util.js'), 'module.exports = 3\n')
+    const third = (await iterator.next()).value
+    expect(third.files.map(file => file.path)).toEqual(['src/index.js', 'src/lib/util.js'])
+    expect(versions).toEqual([first.version, second.version, third.version])
+
+    // Commits move HEAD and the branch.
+    git(['add', '-A'], repo)
+    git(['commit', '-q', '-m', 'second'], repo)
+    const committed = `v1.0.0-main-${git(['rev-parse', '--short=7', 'HEAD'], repo)}`
+    await waitFor(() => versions[versions.length - 1] === committed)
+
+    await iterator.return()
+    expect(watcher.closed).toBe(true)
+    await expect(iterator.next()).resolves.toEqual({ value: undefined, done: true })
+  })
+
+  test('follows checkouts, and stops when aborted', async () => {
+    const controller = new AbortController()
+    const versions = []
+    watcher = watchVersion({ packageRoot: repo, debounce: 20, signal: controller.signal })
+    watcher.on('version', info => versions.push(info.branch))
+    await waitFor(() => versions.length === 1)
+
+    git(['checkout', '-q', '-b', 'feature'], repo)
+    await waitFor(() => versions.length === 2)
+    expect(versions).toEqual(['main', 'feature'])
+
+    const closed = jest.fn()
+    watcher.on('close', closed)
+    controller.abort()
+    expect(closed).toHaveBeenCalled()
+  })
+
+  test('closes once the version being computed is done', async () => {
+    let computed = false
+    watcher = createVersionWatcher({
+      compute: () => new Promise(resolve => setTimeout(() => {
+        computed = true
+        resolve({ gitRoot: repo, version: 'v1' })
+      }, 50)),
+      invalidate: () => {}
+    })
+    const versions = []
+    watcher.on('version', info => versions.push(info.version))
+    const closing = watcher.close()
+    expect(watcher.closed).toBe(true)
+    expect(computed).toBe(false)
+    await closing
+    expect(computed).toBe(true)
+    // The version computed after closing is dropped, and closing again does not wait.
+    expect(versions).toEqual([])
+    await expect(watcher.close()).resolves.toBeUndefined()
+  })
+
+  test('reports errors, and the CLI stops on them before a first version', async () => {
+    const notARepo = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-watch-none-'))
+    try {
+      const errors = []
+      watcher = watchVersion({ packageRoot: notARepo })
+      watcher.on('error', error => errors.push(error.message))
+      await waitFor(() => errors.length === 1)
+      expect(errors[0]).toMatch(/git/i)
+
+      const stderr = []
+      await expect(runCli(['watch'], { cwd: notARepo, stdout: () => {}, stderr: line => stderr.push(line) })).resolves.toBe(1)
+      expect(stderr[0]).toMatch(/^Error: /)
+    } finally {
+      fs.rmSync(notARepo, { recursive: true, force: true })
+    }
+  })
+
+  test('recovers from a failed first computation on the next change', async () => {
+    fs.writeFileSync(path.join(repo, '.gitverdiffrc.json'), '{ invalid')
+    const errors = []
+    const versions = []
+    watcher = watchVersion({ packageRoot: repo, debounce: 20 }, info => versions.push(info.version))
+    watcher.on('error', error => errors.push(error.message))
+    await waitFor(() => errors.length === 1)
+    expect(watcher.info).toBeNull()
+
+    fs.writeFileSync(path.join(repo, '.gitverdiffrc.json'), '{ "format": "package-version" }')
+    await waitFor(() => versions.length === 1)
+    expect(versions).toEqual(['v1.0.0'])
+  })
+
+  test('prints the versions from the CLI until aborted', async () => {
+    const controller = new AbortController()
+    const lines = []
+    const exitCode = runCli(['watch', '--debounce', '20', '--format', 'package-version,diff-hash'], {
+      cwd: repo,
+      stdout: line => lines.push(line),
+      stderr: line => lines.push(line),
+      signal: controller.signal
+    })
+    try {
+      await waitFor(() => lines.length === 1)
+      expect(lines).toEqual(['v1.0.0'])
+      fs.writeFileSync(path.join(repo, 'src/index.js'), 'module.exports = 2\n')
+      await waitFor(() => lines.length === 2)
+      expect(lines[1]).toMatch(/^v1\.0\.0-[0-9a-f]{64}$/)
+    } finally {
+      controller.abort()
+    }
+    await expect(exitCode).resolves.toBe(0)
+
+    expect(runCli(['watch', '--debounce', 'soon'], { cwd: repo, stdout: () => {}, stderr: () => {} })).toBe(2)
+  })
+})
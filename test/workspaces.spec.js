@@ -0,0 +1,183 @@
+/* eslint-env jest */
+
+'use strict'
+
+const childProcess = require('child_process')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { toVersionComponents } = require('../src/emit')
+const { toEnvVariables } = require('../src/env')
+const { readWorkspaces, readWorkspacesAsync } = require('../src/workspaces')
+const {
+  generateVersionHash,
+  generateVersionInfo,
+  generateVersionInfoAsync,
+  generateWorkspaceVersions,
+  generateWorkspaceVersionsAsync
+} = require('../src/index')
+const { git, isolateEnvironment } = require('./helpers')
+
+describe('workspaces', () => {
+  isolateEnvironment()
+
+  let tempDir
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gitverdiff-workspaces-'))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+    fs.rmSync(tempDir, { recursive: true, force: true })
+  })
+
+  const write = (name, content) => {
+    const filePath = path.join(tempDir, name)
+    fs.mkdirSync(path.dirname(filePath), { recursive: true })
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content))
+    return filePath
+  }
+
+  test('lists the packages of pnpm-workspace.yaml, with exclusions', async () => {
+    const manifest = write('pnpm-workspace.yaml', 'packages:\n  - "packages/*"\n  - "./tools/**/"\n  - "!packages/skip"\n')
+    write('packages/a/package.json', { name: '@scope/a' })
+    write('packages/b/package.json', {})
+    write('packages/skip/package.json', { name: 'skip' })
+    write('packages/no-manifest/index.js', '')
+    write('packages/a/node_modules/dep/package.json', { name: 'dep' })
+    write('tools/build/cli/package.json', { name: 'cli' })
+
+    const expected = {
+      root: tempDir,
+      manifest,
+      packages: [
+        { name: '@scope/a', dir: path.join(tempDir, 'packages/a') },
+        { name: 'packages/b', dir: path.join(tempDir, 'packages/b') },
+        { name: 'cli', dir: path.join(tempDir, 'tools/build/cli') }
+      ]
+    }
+    expect(readWorkspaces(tempDir, tempDir)).toEqual(expected)
+    await expect(readWorkspacesAsync(tempDir, tempDir)).resolves.toEqual(expected)
+  })
+
+  test('reads the workspaces field of package.json from a package directory', () => {
+    const manifest = write('package.json', { name: 'root', workspaces: ['apps/*'] })
+    write('apps/web/package.json', { name: 'web' })
+    const workspace = readWorkspaces(path.join(tempDir, 'apps/web'), tempDir)
+    expect(workspace).toEqual({ root: tempDir, manifest, packages: [{ name: 'web', dir: path.join(tempDir, 'apps/web') }] })
+
+    // Yarn's object form.
+    write('package.json', { workspaces: { packages: ['apps/*'], nohoist: ['**/x'] } })
+    expect(readWorkspaces(tempDir, tempDir).packages).toEqual(workspace.packages)
+  })
+
+  test('returns null without workspaces, and rejects duplicate names', () => {
+    write('package.json', { name: 'root' })
+    expect(readWorkspaces(tempDir, tempDir)).toBeNull()
+
+    write('package.json', { workspaces: ['*'] })
+    write('a/package.json', { name: 'same' })
+    write('b/package.json', { name: 'same' })
+    expect(() => readWorkspaces(tempDir, tempDir)).toThrow('Several workspace packages are named same')
+  })
+
+  describe('generateWorkspaceVersions', () => {
+    beforeEach(() => {
+      git(['init', '-q', '-b', 'main'], tempDir)
+      write('package.json', { private: true, workspaces: ['packages/*'] })
+      write('.gitverdiffrc.json', { format: 'package-version,diff-hash' })
+      write('packages/a/package.json', { name: 'a', version: '1.0.0' })
+      write('packages/a/index.js', 'a')
+      write('packages/b/package.json', { name: 'b', version: '2.0.0' })
+      write('packages/b/index.js', 'b')
+      git(['add', '.'], tempDir)
+      git(['commit', '-q', '-m', 'initial'], tempDir)
+    })
+
+    test('computes the version of every package from one Git scan', async () => {
+      write('packages/b/index.js', 'b2')
+      const separately = {
+        a: generateVersionHash({ packageRoot: path.join(tempDir, 'packages/a') }),
+        b: generateVersionHash({ packageRoot: path.join(tempDir, 'packages/b') })
+      }
+      expect(separately.a).toBe('v1.0.0')
+      expect(separately.b).toMatch(/^v2\.0\.0-[0-9a-f]{64}$/)
+
+      const execSync = jest.spyOn(childProcess, 'execSync')
+      expect(generateWorkspaceVersions({ packageRoot: tempDir })).toEqual(separately)
+      // ls-files and status, once for both packages.
+      expect(execSync).toHaveBeenCalledTimes(2)
+
+      await expect(generateWorkspaceVersionsAsync({ packageRoot: path.join(tempDir, 'packages/a') })).resolves.toEqual(separately)
+    })
+
+    test('applies the options to every package', () => {
+      expect(generateWorkspaceVersions({ packageRoot: tempDir, format: '{package-version}' })).toEqual({ a: '1.0.0', b: '2.0.0' })
+    })
+
+    test('fails outside a workspace', () => {
+      write('package.json', { private: true })
+      expect(() => generateWorkspaceVersions({ packageRoot: tempDir })).toThrow(/^No workspaces found from /)
+    })
+  })
+
+  describe('dependencies', () => {
+    const packageRoot = name => path.join(tempDir, 'packages', name)
+
+    beforeEach(() => {
+      git(['init', '-q', '-b', 'main'], tempDir)
+      write('pnpm-workspace.yaml', 'packages: ["packages/*"]\n')
+      write('.gitverdiffrc.json', { format: 'diff-hash' })
+      // app -> ui -> core -> ui (a cycle), and app -> lodash (not in the workspace).
+      write('packages/app/package.json', { name: 'app', dependencies: { ui: 'workspace:*', lodash: '^4.0.0' } })
+      write('packages/ui/package.json', { name: 'ui', devDependencies: { core: 'workspace:^' } })
+      write('packages/core/package.json', { name: 'core', peerDependencies: { ui: '*' } })
+      write('packages/other/package.json', { name: 'other' })
+      for (const name of ['app', 'ui', 'core', 'other']) write(`packages/${name}/index.js`, name)
+      git(['add', '.'], tempDir)
+      git(['commit', '-q', '-m', 'initial'], tempDir)
+    })
+
+    test('folds the changes of workspace dependencies in, transitively', async () => {
+      const options = { packageRoot: packageRoot('app'), dependencies: true }
+      expect(generateVersionHash(options)).toBe('')
+      expect(generateVersionInfo(options).dependencies).toEqual([
+        { name: 'core', packageRoot: packageRoot('core'), diffHash: '' },
+        { name: 'ui', packageRoot: packageRoot('ui'), diffHash: '' }
+      ])
+
+      // Unrelated packages do not count.
+      write('packages/other/index.js', 'changed')
+      expect(generateVersionHash(options)).toBe('')
+
+      write('packages/core/index.js', 'changed')
+      const coreHash = generateVersionHash({ packageRoot: packageRoot('core') })
+      const info = generateVersionInfo(options)
+      expect(info.version).toMatch(/^[0-9a-f]{64}$/)
+      expect(info.files).toEqual([])
+      // Changes of dependencies make the package dirty, wherever that is reported.
+      expect(info.dirty).toBe(true)
+      expect(generateVersionHash({ ...options, format: 'dirty' })).toBe('dirty')
+      expect(toEnvVariables(info).GITVERDIFF_DIRTY).toBe('true')
+      expect(toVersionComponents(info).dirty).toBe(true)
+      expect(info.dependencies[0]).toEqual({ name: 'core', packageRoot: packageRoot('core'), diffHash: coreHash })
+      expect(generateVersionHash({ ...options, dependencies: false })).toBe('')
+      await expect(generateVersionInfoAsync(options)).resolves.toEqual(info)
+
+      // The cycle through ui comes back to core, whose changes count once.
+      expect(generateVersionHash({ packageRoot: packageRoot('ui'), dependencies: true })).not.toBe('')
+      expect(generateVersionHash({ packageRoot: packageRoot('core'), dependencies: true })).toBe(coreHash)
+    })
+
+    test('can be enabled in the configuration, for every workspace package', () => {
+      write('.gitverdiffrc.json', { format: 'diff-hash', dependencies: true })
+      write('packages/ui/index.js', 'changed')
+      const versions = generateWorkspaceVersions({ packageRoot: tempDir })
+      expect(versions.app).toMatch(/^[0-9a-f]{64}$/)
+      expect(versions.core).toBe(versions.app)
+      expect(versions.ui).not.toBe(versions.app)
+      expect(versions.other).toBe('')
+    })
+  })
+})